@@ -46,6 +46,7 @@ program
 program
   .command('init')
   .description(COMMAND_DESCRIPTIONS.INIT)
+  .option('--scope <scope>', 'Settings file to install into: user, project or local', 'user')
   .action(CommandHandlers.handleInit);
 
 // Status command
@@ -66,11 +67,123 @@ program
     );
   });
 
+// Theme commands
+const themeCommand = program
+  .command('theme')
+  .description(COMMAND_DESCRIPTIONS.THEME);
+
+themeCommand
+  .command('list')
+  .description(COMMAND_DESCRIPTIONS.THEME_LIST)
+  .option('--json', 'Output as JSON')
+  .action(CommandHandlers.handleThemeList);
+
+themeCommand
+  .command('use <name>')
+  .description(COMMAND_DESCRIPTIONS.THEME_USE)
+  .option('--json', 'Output as JSON')
+  .action(CommandHandlers.handleThemeUse);
+
+themeCommand
+  .command('info <name>')
+  .description(COMMAND_DESCRIPTIONS.THEME_INFO)
+  .option('--json', 'Output as JSON')
+  .action(CommandHandlers.handleThemeInfo);
+
+themeCommand
+  .command('install <source>')
+  .description(COMMAND_DESCRIPTIONS.THEME_INSTALL)
+  .option('--name <name>', 'Install under a different theme name')
+  .option('-f, --force', 'Overwrite an installed theme with the same name')
+  .option('--json', 'Output as JSON')
+  .action(CommandHandlers.handleThemeInstall);
+
+themeCommand
+  .command('pack <name>')
+  .description(COMMAND_DESCRIPTIONS.THEME_PACK)
+  .option('-o, --output <file>', 'Archive file or directory (default: <name>-<version>.tgz)')
+  .option('--json', 'Output as JSON')
+  .action(CommandHandlers.handleThemePack);
+
+themeCommand
+  .command('remove <name>')
+  .description(COMMAND_DESCRIPTIONS.THEME_REMOVE)
+  .option('-y, --yes', 'Skip confirmation prompt')
+  .option('--json', 'Output as JSON')
+  .action(CommandHandlers.handleThemeRemove);
+
+// Config commands
+const configCommand = program
+  .command('config')
+  .description(COMMAND_DESCRIPTIONS.CONFIG);
+
+configCommand
+  .command('get [key]')
+  .description(COMMAND_DESCRIPTIONS.CONFIG_GET)
+  .action(CommandHandlers.handleConfigGet);
+
+configCommand
+  .command('set <key> <value>')
+  .description(COMMAND_DESCRIPTIONS.CONFIG_SET)
+  .action(CommandHandlers.handleConfigSet);
+
+configCommand
+  .command('unset <key>')
+  .description(COMMAND_DESCRIPTIONS.CONFIG_UNSET)
+  .action(CommandHandlers.handleConfigUnset);
+
+// Sound level commands
+program
+  .command('volume <level>')
+  .description(COMMAND_DESCRIPTIONS.VOLUME)
+  .action(CommandHandlers.handleVolume);
+
+program
+  .command('mute')
+  .description(COMMAND_DESCRIPTIONS.MUTE)
+  .action(() => CommandHandlers.handleSoundEnabled(false));
+
+program
+  .command('unmute')
+  .description(COMMAND_DESCRIPTIONS.UNMUTE)
+  .action(() => CommandHandlers.handleSoundEnabled(true));
+
+program
+  .command('dnd [duration]')
+  .description(COMMAND_DESCRIPTIONS.DND)
+  .option('--volume <level>', 'Turn sounds down to this volume (0-100) instead of muting')
+  .action(CommandHandlers.handleDnd);
+
+// Hook sound toggles
+const hooksCommand = program
+  .command('hooks')
+  .description(COMMAND_DESCRIPTIONS.HOOKS);
+
+hooksCommand
+  .command('enable [events...]')
+  .description(COMMAND_DESCRIPTIONS.HOOKS_ENABLE)
+  .option('--all', 'Enable every hook event')
+  .action((events, options) => CommandHandlers.handleHookStates(true, events, options));
+
+hooksCommand
+  .command('disable [events...]')
+  .description(COMMAND_DESCRIPTIONS.HOOKS_DISABLE)
+  .option('--all', 'Disable every hook event')
+  .action((events, options) => CommandHandlers.handleHookStates(false, events, options));
+
+// Doctor command
+program
+  .command('doctor')
+  .description(COMMAND_DESCRIPTIONS.DOCTOR)
+  .option('--fix', 'Repair problems that can be fixed automatically')
+  .action(CommandHandlers.handleDoctor);
+
 // Uninstall command
 program
   .command('uninstall')
   .description(COMMAND_DESCRIPTIONS.UNINSTALL)
   .option('-y, --yes', 'Skip confirmation prompt')
+  .option('--scope <scope>', 'Only remove hooks from one scope: user, project or local')
   .action(CommandHandlers.handleUninstall);
 
 // Default action - show interactive menu
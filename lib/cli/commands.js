@@ -5,14 +5,19 @@
 
 import chalk from 'chalk';
 import { ClaudeSound } from '../orchestrator.js';
+import { ThemeManager } from '../core/themes.js';
 import { 
   StatusBar,
+  ConfigSourcesDisplay,
   LoadingSpinner,
   UninstallWarning,
-  VersionCheckDisplay
+  VersionCheckDisplay,
+  ThemeInfoDisplay,
+  DoctorReport
 } from '../ui/components/index.js';
 import { PromptManager } from '../ui/prompts/index.js';
 import { MESSAGES, PROMPTS } from '../ui/constants/index.js';
+import { ConfigUtils, QuietHours } from '../utils.js';
 
 /**
  * CommandHandlers Class
@@ -21,18 +26,41 @@ import { MESSAGES, PROMPTS } from '../ui/constants/index.js';
 export class CommandHandlers {
   /**
    * Handle initialization command
+   * @param {Object} options - Command options (--scope user|project|local)
    */
-  static async handleInit() {
-    const manager = new ClaudeSound();
+  static async handleInit(options = {}) {
     try {
-      await manager.init();
+      const manager = new ClaudeSound({ scope: options.scope });
+      const hookSummary = await manager.init();
       console.log(chalk.green(MESSAGES.INITIALIZATION_SUCCESS));
+      CommandHandlers.printHookSummary(hookSummary);
+      if (manager.scope !== 'user') {
+        console.log(chalk.gray(`Installed into ${manager.hookManager.claudeConfigPath}`));
+      }
     } catch (error) {
       console.error(chalk.red(`Initialization failed: ${error.message}`));
       process.exit(1);
     }
   }
 
+  /**
+   * Print what hook setup changed in Claude Code settings
+   * @param {Object} summary - Summary returned by HookManager.setup()
+   */
+  static printHookSummary(summary) {
+    if (!summary) return;
+
+    const parts = [];
+    if (summary.added.length > 0) parts.push(`${summary.added.length} added`);
+    if (summary.updated.length > 0) parts.push(`${summary.updated.length} updated`);
+    if (summary.unchanged.length > 0) parts.push(`${summary.unchanged.length} unchanged`);
+
+    console.log(chalk.gray(`Hooks: ${parts.join(', ')}`));
+    if (summary.preserved > 0) {
+      console.log(chalk.gray(`Kept ${summary.preserved} existing hook command(s) from other tools`));
+    }
+  }
+
   /**
    * Handle status command
    */
@@ -40,14 +68,32 @@ export class CommandHandlers {
     const manager = new ClaudeSound();
     try {
       await manager.initialize();
-      const config = manager.configManager.getConfig();
-      StatusBar.render(config);
+      const effective = await manager.configManager.getEffectiveConfig();
+      StatusBar.render(effective.config);
+      ConfigSourcesDisplay.render(effective);
+      CommandHandlers.printInstalledScopes(await manager.detectInstalledScopes());
     } catch (error) {
       console.error(chalk.red(`Error: ${error.message}`));
       process.exit(1);
     }
   }
 
+  /**
+   * Print the settings files where our hooks are registered
+   * @param {Array} scopes - Result of ClaudeSound.detectInstalledScopes()
+   */
+  static printInstalledScopes(scopes) {
+    if (scopes.length === 0) {
+      console.log(chalk.yellow('Hooks: not registered (run: npx claude-gamify init)'));
+      return;
+    }
+
+    console.log(chalk.gray('Hooks registered in:'));
+    scopes.forEach(entry => {
+      console.log(chalk.gray(`  • ${entry.scope.padEnd(8)}${entry.settingsPath} (${entry.hookCount} hooks)`));
+    });
+  }
+
   /**
    * Handle check-updates command
    * @param {Function} checkForUpdatesAsync - Update check function
@@ -75,10 +121,16 @@ export class CommandHandlers {
 
   /**
    * Handle uninstall command
-   * @param {Object} options - Command options (e.g., --yes flag)
+   * With --scope, only that scope's hooks and output style are removed.
+   * @param {Object} options - Command options (--yes, --scope)
    */
   static async handleUninstall(options = {}) {
-    const manager = new ClaudeSound();
+    let manager;
+    try {
+      manager = new ClaudeSound({ scope: options.scope });
+    } catch (error) {
+      CommandHandlers.fail(error.message);
+    }
     
     // Check if initialized
     try {
@@ -91,7 +143,9 @@ export class CommandHandlers {
     if (!options.yes) {
       // Interactive confirmation
       const confirmUninstall = await PromptManager.confirmAction(
-        'Are you sure you want to completely uninstall Claude Gamify?',
+        options.scope ?
+          `Remove Claude Gamify hooks from the ${options.scope} scope?` :
+          'Are you sure you want to completely uninstall Claude Gamify?',
         false
       );
       
@@ -104,11 +158,14 @@ export class CommandHandlers {
     console.log('Uninstalling Claude Gamify...');
     
     try {
-      const result = await manager.uninstall();
+      const result = await manager.uninstall({ scope: options.scope });
       
       if (result.success) {
         console.log(chalk.green('✅ Uninstalled successfully'));
         console.log(chalk.gray(`Removed ${result.removedHooks} hooks and ${result.removedStyles.length} styles`));
+        if (result.scopes.length > 0) {
+          console.log(chalk.gray(`Scopes: ${result.scopes.join(', ')}`));
+        }
       } else {
         console.log(chalk.yellow('⚠️  Uninstall had some errors:'));
         result.errors.forEach(err => console.log(chalk.gray(`  • ${err}`)));
@@ -120,6 +177,400 @@ export class CommandHandlers {
     }
   }
 
+  /**
+   * Load an initialized manager for non-interactive commands
+   * Exits with code 1 if Claude Gamify has not been initialized.
+   * @returns {Promise<ClaudeSound>} Initialized manager
+   */
+  static async requireManager() {
+    const manager = new ClaudeSound();
+    try {
+      await manager.initialize();
+    } catch (error) {
+      console.error(chalk.red(MESSAGES.NOT_INITIALIZED));
+      process.exit(1);
+    }
+    return manager;
+  }
+
+  /**
+   * Print a command result as JSON
+   * @param {*} data - Data to print
+   */
+  static printJson(data) {
+    console.log(JSON.stringify(data, null, 2));
+  }
+
+  /**
+   * Print an error and exit with code 1
+   * @param {string} message - Error message
+   */
+  static fail(message) {
+    console.error(chalk.red(`Error: ${message}`));
+    process.exit(1);
+  }
+
+  /**
+   * Handle `theme list` command
+   * @param {Object} options - Command options (e.g., --json flag)
+   */
+  static async handleThemeList(options = {}) {
+    const manager = await CommandHandlers.requireManager();
+    const themes = await manager.listThemes();
+    const currentTheme = manager.configManager.getTheme();
+
+    if (options.json) {
+      CommandHandlers.printJson(themes.map(theme => ({
+        ...theme,
+        active: theme.name === currentTheme
+      })));
+      return;
+    }
+
+    ThemeInfoDisplay.renderList(themes, currentTheme);
+  }
+
+  /**
+   * Handle `theme use <name>` command
+   * @param {string} themeName - Theme to activate
+   * @param {Object} options - Command options (e.g., --json flag)
+   */
+  static async handleThemeUse(themeName, options = {}) {
+    const manager = await CommandHandlers.requireManager();
+
+    try {
+      await manager.setTheme(themeName);
+    } catch (error) {
+      CommandHandlers.fail(error.message);
+    }
+
+    const outputStyle = await manager.styleManager.getActiveStyle();
+    if (options.json) {
+      CommandHandlers.printJson({ theme: themeName, outputStyle });
+      return;
+    }
+
+    console.log(chalk.green(`✓ Switched to theme "${themeName}"`));
+    if (outputStyle) {
+      console.log(chalk.gray(`Output style: ${outputStyle}`));
+    }
+  }
+
+  /**
+   * Handle `theme info <name>` command
+   * @param {string} themeName - Theme to describe
+   * @param {Object} options - Command options (e.g., --json flag)
+   */
+  static async handleThemeInfo(themeName, options = {}) {
+    const manager = await CommandHandlers.requireManager();
+    const theme = await manager.themeManager.get(themeName);
+
+    if (!theme) {
+      CommandHandlers.fail(`Theme "${themeName}" not found`);
+    }
+
+    const currentTheme = manager.configManager.getTheme();
+    if (options.json) {
+      CommandHandlers.printJson({ ...theme, active: theme.name === currentTheme });
+      return;
+    }
+
+    ThemeInfoDisplay.render(theme, currentTheme);
+  }
+
+  /**
+   * Handle `theme install <source>` command
+   * On a name collision the user is asked to rename or overwrite when
+   * running in a terminal; scripts pass --name or --force.
+   * @param {string} source - Theme directory, .tgz/.tar.gz or .zip archive
+   * @param {Object} options - Command options (--name, --force, --json)
+   */
+  static async handleThemeInstall(source, options = {}) {
+    const manager = await CommandHandlers.requireManager();
+    let installOptions = { name: options.name || null, overwrite: Boolean(options.force) };
+    let result;
+
+    while (!result) {
+      try {
+        result = await manager.installTheme(source, installOptions);
+      } catch (error) {
+        if (error.code !== 'THEME_EXISTS' || options.json || !process.stdin.isTTY) {
+          let hint = '';
+          if (error.code === 'THEME_EXISTS') {
+            hint = error.builtIn ?
+              ' (use --name <name> to install under another name)' :
+              ' (use --force to overwrite or --name <name> to install under another name)';
+          }
+          CommandHandlers.fail(error.message + hint);
+        }
+
+        const choice = await PromptManager.chooseThemeCollision(
+          error.themeName,
+          name => manager.themeManager.validateNewName(name.trim()),
+          !error.builtIn
+        );
+        if (!choice) {
+          console.log(chalk.yellow('Install cancelled'));
+          return;
+        }
+        installOptions = { ...installOptions, ...choice };
+      }
+    }
+
+    if (options.json) {
+      CommandHandlers.printJson(result);
+      return;
+    }
+
+    ThemeInfoDisplay.renderInstalled(result);
+  }
+
+  /**
+   * Handle `theme pack <name>` command
+   * @param {string} themeName - Theme to pack
+   * @param {Object} options - Command options (--output, --json)
+   */
+  static async handleThemePack(themeName, options = {}) {
+    const manager = await CommandHandlers.requireManager();
+
+    let result;
+    try {
+      result = await manager.packTheme(themeName, { output: options.output });
+    } catch (error) {
+      CommandHandlers.fail(error.message);
+    }
+
+    if (options.json) {
+      CommandHandlers.printJson(result);
+      return;
+    }
+
+    ThemeInfoDisplay.renderPacked(result);
+  }
+
+  /**
+   * Handle `theme remove <name>` command
+   * @param {string} themeName - Theme to remove
+   * @param {Object} options - Command options (--yes, --json)
+   */
+  static async handleThemeRemove(themeName, options = {}) {
+    const manager = await CommandHandlers.requireManager();
+
+    if (!ThemeManager.isValidName(themeName)) {
+      CommandHandlers.fail(`Invalid theme name "${themeName}"`);
+    }
+    if (ThemeManager.isBuiltIn(themeName)) {
+      CommandHandlers.fail(`"${themeName}" is a built-in theme and can't be removed`);
+    }
+    if (!await manager.themeManager.exists(themeName)) {
+      CommandHandlers.fail(`Theme "${themeName}" not found`);
+    }
+
+    if (!options.yes) {
+      const confirmed = await PromptManager.confirmAction(
+        `${PROMPTS.CONFIRM_THEME_REMOVE} "${themeName}"?`,
+        false
+      );
+      if (!confirmed) {
+        console.log(chalk.yellow('Remove cancelled'));
+        return;
+      }
+    }
+
+    let activeTheme;
+    try {
+      activeTheme = await manager.removeTheme(themeName);
+    } catch (error) {
+      CommandHandlers.fail(error.message);
+    }
+
+    if (options.json) {
+      CommandHandlers.printJson({ removed: themeName, activeTheme });
+      return;
+    }
+
+    console.log(chalk.green(`✓ Theme "${themeName}" removed`));
+    console.log(chalk.gray(`Active theme: ${activeTheme}`));
+  }
+
+  /**
+   * Print a config value: scalars as-is, objects as JSON
+   * @param {*} value - Value to print
+   */
+  static printValue(value) {
+    if (value !== null && typeof value === 'object') {
+      CommandHandlers.printJson(value);
+    } else {
+      console.log(value === undefined ? '' : String(value));
+    }
+  }
+
+  /**
+   * Handle `config get [key]` command
+   * @param {string} [keyPath] - Config key, e.g. sound_volume or sound_hooks.stop
+   */
+  static async handleConfigGet(keyPath) {
+    const manager = await CommandHandlers.requireManager();
+
+    if (!keyPath) {
+      CommandHandlers.printJson(manager.configManager.getConfig());
+      return;
+    }
+
+    try {
+      CommandHandlers.printValue(manager.configManager.getValue(keyPath));
+    } catch (error) {
+      CommandHandlers.fail(error.message);
+    }
+  }
+
+  /**
+   * Handle `config set <key> <value>` command
+   * @param {string} keyPath - Config key, e.g. sound_volume or tool_sounds.Bash
+   * @param {string} rawValue - Value as typed; JSON literals are parsed
+   */
+  static async handleConfigSet(keyPath, rawValue) {
+    const manager = await CommandHandlers.requireManager();
+
+    try {
+      const value = await manager.setConfigValue(keyPath, ConfigUtils.parseValue(rawValue));
+      console.log(chalk.green(`✓ ${keyPath} = ${JSON.stringify(value)}`));
+    } catch (error) {
+      CommandHandlers.fail(error.message);
+    }
+  }
+
+  /**
+   * Handle `config unset <key>` command
+   * @param {string} keyPath - Config key to reset
+   */
+  static async handleConfigUnset(keyPath) {
+    const manager = await CommandHandlers.requireManager();
+
+    try {
+      const value = await manager.unsetConfigValue(keyPath);
+      const shown = value === undefined ? 'removed' : `= ${JSON.stringify(value)}`;
+      console.log(chalk.green(`✓ ${keyPath} ${shown}`));
+    } catch (error) {
+      CommandHandlers.fail(error.message);
+    }
+  }
+
+  /**
+   * Handle `volume <level>` command
+   * @param {string} level - Volume level (0-100)
+   */
+  static async handleVolume(level) {
+    const manager = await CommandHandlers.requireManager();
+
+    try {
+      const volume = await manager.setVolume(level.trim());
+      console.log(chalk.green(`✓ Volume set to ${Math.round(volume * 100)}%`));
+    } catch (error) {
+      CommandHandlers.fail(error.message);
+    }
+  }
+
+  /**
+   * Handle `mute` / `unmute` commands
+   * @param {boolean} enabled - Whether sounds should be on
+   */
+  static async handleSoundEnabled(enabled) {
+    const manager = await CommandHandlers.requireManager();
+
+    try {
+      await manager.setSoundEnabled(enabled);
+      console.log(chalk.green(enabled ? '✓ Sounds enabled' : '✓ Sounds muted'));
+    } catch (error) {
+      CommandHandlers.fail(error.message);
+    }
+  }
+
+  /**
+   * Handle `dnd [duration|off]` command
+   * Without a duration, shows whether sounds are muted or turned down.
+   * @param {string} duration - e.g. "45m", or "off"
+   * @param {Object} options - Command options (--volume)
+   */
+  static async handleDnd(duration, options = {}) {
+    const manager = await CommandHandlers.requireManager();
+
+    if (duration === 'off') {
+      try {
+        const wasOn = await manager.stopDnd();
+        console.log(chalk.green(wasOn ? '✓ Do not disturb ended' : 'Do not disturb was not on'));
+      } catch (error) {
+        CommandHandlers.fail(error.message);
+      }
+    } else if (duration) {
+      try {
+        const quiet = await manager.startDnd(duration, { volume: options.volume });
+        console.log(chalk.green(`✓ ${QuietHours.describeQuietState(quiet)}`));
+        return;
+      } catch (error) {
+        CommandHandlers.fail(error.message);
+      }
+    }
+
+    // Quiet hours may still apply after do-not-disturb ends
+    const quiet = manager.getQuietState();
+    console.log(quiet ? chalk.yellow(QuietHours.describeQuietState(quiet)) : chalk.gray('Sounds play normally'));
+  }
+
+  /**
+   * Handle `hooks enable|disable <events...>` commands
+   * @param {boolean} enabled - Enable/disable state
+   * @param {Array<string>} events - Hook event names or config keys
+   * @param {Object} options - Command options (--all flag)
+   */
+  static async handleHookStates(enabled, events, options = {}) {
+    if (options.all && events.length > 0) {
+      CommandHandlers.fail('Pass hook events or --all, not both');
+    }
+    if (!options.all && events.length === 0) {
+      CommandHandlers.fail('Specify at least one hook event, or --all');
+    }
+
+    const manager = await CommandHandlers.requireManager();
+    const verb = enabled ? 'Enabled' : 'Disabled';
+
+    if (options.all) {
+      try {
+        await manager.setAllHookStates(enabled);
+        console.log(chalk.green(`✓ ${verb} sounds for all hooks`));
+      } catch (error) {
+        CommandHandlers.fail(error.message);
+      }
+      return;
+    }
+
+    try {
+      const updated = await manager.setHookStates(events, enabled);
+      console.log(chalk.green(`✓ ${verb} sounds for ${updated.join(', ')}`));
+    } catch (error) {
+      CommandHandlers.fail(error.message);
+    }
+  }
+
+  /**
+   * Handle `doctor` command
+   * Exits with code 1 while any check still fails.
+   * @param {Object} options - Command options (--fix flag)
+   */
+  static async handleDoctor(options = {}) {
+    const manager = new ClaudeSound();
+    const { results, fixes } = await manager.doctor({ fix: options.fix });
+
+    if (options.fix) {
+      DoctorReport.renderFixes(fixes);
+    }
+    DoctorReport.render(results, { fixAvailable: !options.fix });
+
+    if (results.some(result => result.status === 'fail')) {
+      process.exit(1);
+    }
+  }
+
   /**
    * Handle interactive uninstall flow (from main menu)
    * @param {ClaudeSound} manager - Manager instance
@@ -178,12 +629,14 @@ export class CommandHandlers {
         
         if (shouldInit) {
           try {
-            await manager.init();
+            const hookSummary = await manager.init();
             console.log(chalk.green('\n' + MESSAGES.SETUP_COMPLETE + '\n'));
             console.log('Claude Gamify has been successfully configured.\n');
             console.log('• Sound hooks are now active in Claude Code');
             console.log('• Default themes have been installed');
             console.log('• You can now manage themes and settings\n');
+            CommandHandlers.printHookSummary(hookSummary);
+            console.log();
             console.log(chalk.blue('Tip: Run npx claude-gamify anytime to manage your sound system\n'));
             
             await PromptManager.pressEnterToContinue();
@@ -3,14 +3,20 @@
  * Handles interactive menu navigation and flow control
  */
 
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawnSync } from 'child_process';
 import chalk from 'chalk';
 import inquirer from 'inquirer';
+import { ThemeManager } from '../core/themes.js';
 import { 
   WelcomeScreen, 
   StatusBar, 
   SystemInfoDisplay,
   ThemeListDisplay,
   ThemeManagementDisplay,
+  ThemeInfoDisplay,
   TestSoundsDisplay,
   InteractiveTestSoundsDisplay,
   SoundConfigState,
@@ -24,6 +30,7 @@ import {
   SOUND_TEST,
   MENU_CONFIG
 } from '../ui/constants/index.js';
+import { QuietHours, AudioFile } from '../utils.js';
 
 /**
  * MenuController Class
@@ -55,8 +62,8 @@ export class MenuController {
     ];
 
     while (true) {
-      await WelcomeScreen.render(updateInfo, upgradeVersion);
-      const config = this.manager.configManager.getConfig();
+      const { config } = await this.manager.configManager.getEffectiveConfig();
+      await WelcomeScreen.render(updateInfo, upgradeVersion, QuietHours.getQuietState(config));
       StatusBar.render(config);
 
       const { action } = await PromptManager.promptWithEsc({
@@ -108,12 +115,14 @@ export class MenuController {
       const currentTheme = config.theme;
 
       // Use standardized display (following Settings pattern)
-      ThemeManagementDisplay.render(themes, currentTheme);
+      ThemeManagementDisplay.render(themes, currentTheme, this.manager.getPlayableFormats());
 
       const choices = ThemeListDisplay.formatChoices(themes, currentTheme);
 
       choices.push(
         new inquirer.Separator(),
+        { name: 'Create Theme', value: 'create' },
+        { name: 'Install Theme', value: 'install' },
         { name: 'Remove Theme', value: 'remove' },
         { name: 'Back', value: 'back' }
       );
@@ -129,6 +138,14 @@ export class MenuController {
       if (choice === 'back') {
         return;
       }
+      if (choice === 'create') {
+        await this.createThemeFlow();
+        continue;
+      }
+      if (choice === 'install') {
+        await this.installThemeFlow();
+        continue;
+      }
       if (choice === 'remove') {
         await this.removeThemeFlow();
         continue;
@@ -153,7 +170,8 @@ export class MenuController {
    */
   async showSoundConfigMenu() {
     const config = await this.manager.configManager.load();
-    const state = new SoundConfigState(config);
+    const { overrides, projectConfigPath } = await this.manager.configManager.getEffectiveConfig();
+    const state = new SoundConfigState(config, { overrides, path: projectConfigPath });
     
     while (true) {
       // Render current state
@@ -184,7 +202,7 @@ export class MenuController {
         state.navigate(action.direction);
         break;
       case 'adjust':
-        state.adjustVolume(action.direction);
+        state.adjustCurrent(action.direction);
         break;
       case 'toggle':
         state.toggleCurrent();
@@ -252,11 +270,45 @@ export class MenuController {
       hookStates[hook] = await this.manager.configManager.getHookState(hook);
     }
     
-    // Prepare sound items list
-    const soundItems = HOOK_NAMES.map(hook => ({
-      name: hook,
-      displayName: hook // Could be mapped to display names if needed
-    }));
+    // Prepare sound items list, with tool-specific variants under their hook
+    // and every file of sounds that pick one of several
+    const soundItems = [];
+    const durationOf = (file) => {
+      const info = AudioFile.getAudioInfo(file);
+      return info ? info.duration : null;
+    };
+    const addItem = async (item) => {
+      const files = await this.manager.themeManager.getSoundVariants(config.theme, item.name, item.toolName || null);
+      soundItems.push({ ...item, duration: files.length === 1 ? durationOf(files[0]) : null });
+      
+      if (files.length > 1) {
+        files.forEach((file, i) => soundItems.push({
+          ...item,
+          id: `${item.id}#${i + 1}`,
+          file,
+          duration: durationOf(file),
+          displayName: `${item.displayName} › ${path.basename(file)}`
+        }));
+      }
+    };
+    
+    for (const hook of HOOK_NAMES) {
+      await addItem({
+        id: hook,
+        name: hook,
+        displayName: hook // Could be mapped to display names if needed
+      });
+      
+      const toolVariants = await this.manager.themeManager.getToolVariants(config.theme, hook);
+      for (const toolName of toolVariants) {
+        await addItem({
+          id: `${hook}.${toolName}`,
+          name: hook,
+          toolName,
+          displayName: `${hook} › ${toolName}`
+        });
+      }
+    }
     
     let currentIndex = 0;
     let playingSound = null;
@@ -277,7 +329,7 @@ export class MenuController {
           
         case 'play':
           const soundName = action.soundName;
-          playingSound = soundName;
+          playingSound = action.soundId;
           
           // Re-render to show playing state
           InteractiveTestSoundsDisplay.render(config, hookStates, soundItems, currentIndex, playingSound);
@@ -293,8 +345,18 @@ export class MenuController {
             console.log(chalk.yellow(`⚠️  ${soundName} hook is disabled - testing anyway...`));
           }
           
+          // Tests play anyway; hooks in Claude Code stay quiet
+          const quiet = QuietHours.getQuietState(config);
+          if (quiet && !action.file) {
+            console.log(chalk.yellow(`🔕 ${QuietHours.describeQuietState(quiet)} - testing anyway...`));
+          }
+          
           try {
-            await this.manager.testSingleSoundForced(soundName);
+            if (action.file) {
+              await this.manager.previewSoundFile(action.file);
+            } else {
+              await this.manager.testSingleSoundForced(soundName, action.toolName);
+            }
           } catch (error) {
             console.log(chalk.red(`Error playing ${soundName}: ${error.message}`));
           }
@@ -352,12 +414,163 @@ export class MenuController {
     await PromptManager.pressEnterToContinue();
   }
 
+  /**
+   * Handle theme install flow: ask for a directory or archive, then
+   * resolve name collisions by renaming or overwriting
+   */
+  async installThemeFlow() {
+    const source = (await PromptManager.inputText(
+      'Path to theme directory, .tgz or .zip (empty to cancel):'
+    )).trim();
+
+    if (source) {
+      let options = {};
+      while (true) {
+        try {
+          const result = await this.manager.installTheme(source, options);
+          ThemeInfoDisplay.renderInstalled(result);
+          break;
+        } catch (error) {
+          if (error.code !== 'THEME_EXISTS') {
+            console.log(chalk.red(`Install failed: ${error.message}`));
+            break;
+          }
+
+          const choice = await PromptManager.chooseThemeCollision(
+            error.themeName,
+            name => this.manager.themeManager.validateNewName(name.trim()),
+            !error.builtIn
+          );
+          if (!choice) break;
+          options = { ...options, ...choice };
+        }
+      }
+    }
+
+    await PromptManager.pressEnterToContinue();
+    MenuNavigator.clearScreen();
+  }
+
+  /**
+   * Handle theme creation: name and base theme, a sound file for each hook
+   * (previewed before it is used), output style and description; the new
+   * theme is then made active
+   */
+  async createThemeFlow() {
+    const name = (await PromptManager.inputText(
+      'New theme name (empty to cancel):',
+      input => !input.trim() || this.manager.themeManager.validateNewName(input.trim())
+    )).trim();
+
+    if (!name) {
+      MenuNavigator.clearScreen();
+      return;
+    }
+
+    const themes = await this.manager.listThemes();
+    const base = await PromptManager.selectFromList('Start from which theme?', themes.map(theme => ({
+      name: theme.name === 'system' ? 'system (no sounds)' : `${theme.name} (${theme.soundFiles.length} sounds)`,
+      value: theme.name
+    })));
+
+    console.log(chalk.gray(`\nPick a sound for each event. Files are copied into the theme as <Event>${ThemeManager.soundExtensions[0]}.\n`));
+    const sounds = {};
+    for (const hook of HOOK_NAMES) {
+      const choice = await this.pickHookSound(hook, await this.manager.themeManager.getSoundPath(base, hook));
+      if (choice === 'finish') break;
+      if (choice !== 'keep') {
+        sounds[hook] = choice;
+      }
+    }
+
+    const baseTheme = themes.find(theme => theme.name === base);
+    const cloneStyle = baseTheme.hasOutputStyle &&
+      await PromptManager.confirmAction(`Copy the ${base} output style into "${name}"?`, true);
+    const description = (await PromptManager.inputText('Description (optional):')).trim();
+
+    try {
+      const result = await this.manager.createTheme({ name, base, sounds, cloneStyle, description: description || null });
+      await this.manager.setTheme(name);
+      ThemeInfoDisplay.renderCreated(result);
+
+      if (result.outputStylePath && await PromptManager.confirmAction('Open the output style in your editor?', false)) {
+        this.openInEditor(result.outputStylePath);
+        await this.manager.installThemeStyle(name);
+      }
+    } catch (error) {
+      console.log(chalk.red(`Create failed: ${error.message}`));
+    }
+
+    await PromptManager.pressEnterToContinue();
+    MenuNavigator.clearScreen();
+  }
+
+  /**
+   * Ask which sound a hook gets in a new theme
+   * @param {string} hook - Hook event name
+   * @param {string|null} baseSoundPath - Sound the base theme plays for it
+   * @returns {Promise<string|null>} File path to use, null to remove the
+   *   sound, 'keep' for the base sound or 'finish' to keep all remaining ones
+   */
+  async pickHookSound(hook, baseSoundPath) {
+    const resolveFile = input => path.resolve(input.trim().replace(/^~(?=$|[\\/])/, os.homedir()));
+    const validateFile = input => {
+      if (!input.trim()) return true;
+      const file = resolveFile(input);
+      if (!ThemeManager.soundExtensions.includes(path.extname(file).toLowerCase())) {
+        return `Use a ${ThemeManager.soundExtensions.join(', ')} file`;
+      }
+      return fs.existsSync(file) || 'File not found';
+    };
+
+    while (true) {
+      const current = baseSoundPath ? path.basename(baseSoundPath) : 'no sound';
+      const action = await PromptManager.selectFromList(`${hook} (${current}):`, [
+        { name: baseSoundPath ? 'Keep this sound' : 'Leave silent', value: 'keep' },
+        { name: 'Choose a file...', value: 'choose' },
+        ...(baseSoundPath ? [
+          { name: 'Preview this sound', value: 'preview' },
+          { name: 'Remove sound', value: 'remove' }
+        ] : []),
+        { name: 'Keep the rest and finish', value: 'finish' }
+      ]);
+
+      if (action === 'preview') {
+        await this.manager.previewSoundFile(baseSoundPath);
+        continue;
+      }
+      if (action === 'remove') return null;
+      if (action !== 'choose') return action;
+
+      const input = await PromptManager.inputText('Path to audio file (empty to go back):', validateFile);
+      if (!input.trim()) continue;
+
+      const file = resolveFile(input);
+      await this.manager.previewSoundFile(file);
+      if (await PromptManager.confirmAction(`Use ${path.basename(file)} for ${hook}?`, true)) {
+        return file;
+      }
+    }
+  }
+
+  /**
+   * Open a file in $VISUAL / $EDITOR and wait for the editor to exit
+   * @param {string} filePath - File to edit
+   */
+  openInEditor(filePath) {
+    const editor = process.env.VISUAL || process.env.EDITOR || (process.platform === 'win32' ? 'notepad' : 'vi');
+    const result = spawnSync(`${editor} "${filePath}"`, { stdio: 'inherit', shell: true });
+    if (result.error || result.status !== 0) {
+      console.log(chalk.yellow(`Could not edit with ${editor}; the style is at ${filePath}`));
+    }
+  }
+
   /**
    * Handle theme removal flow
    */
   async removeThemeFlow() {
     const themes = await this.manager.listThemes();
-    const removableThemes = themes.filter(t => t.name !== 'system');
+    const removableThemes = themes.filter(t => !ThemeManager.isBuiltIn(t.name));
     
     if (removableThemes.length === 0) {
       console.log(chalk.yellow(MESSAGES.NO_CUSTOM_THEMES));
@@ -0,0 +1,377 @@
+/**
+ * Theme Archive
+ * Reads .tgz/.tar.gz and .zip theme archives and writes .tgz archives
+ * without external tools
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import zlib from 'zlib';
+import crypto from 'crypto';
+
+// Refuse archives that would unpack to more than this (theme packs are small)
+const MAX_EXTRACTED_BYTES = 200 * 1024 * 1024;
+
+const TAR_BLOCK = 512;
+const ZIP_EOCD_SIGNATURE = 0x06054b50;
+const ZIP_CENTRAL_SIGNATURE = 0x02014b50;
+const ZIP_LOCAL_SIGNATURE = 0x04034b50;
+
+/**
+ * Read a NUL-terminated string from a buffer slice
+ */
+function readString(buffer, start, end) {
+  const slice = buffer.subarray(start, end);
+  const nul = slice.indexOf(0);
+  return slice.subarray(0, nul === -1 ? slice.length : nul).toString('utf8');
+}
+
+/**
+ * Write a tar header field as a NUL-terminated octal number
+ */
+function writeOctal(header, value, offset, length) {
+  header.write(value.toString(8).padStart(length - 1, '0') + '\0', offset, length, 'ascii');
+}
+
+/**
+ * Build a ustar header block
+ * Names over 100 bytes are split into the ustar prefix field.
+ */
+function createTarHeader(name, { size = 0, mode = 0o644, mtime = 0, directory = false }) {
+  const header = Buffer.alloc(TAR_BLOCK);
+  let prefix = '';
+  let entryName = name;
+
+  if (Buffer.byteLength(entryName) > 100) {
+    const split = name.lastIndexOf('/', name.length - 2);
+    prefix = name.slice(0, split);
+    entryName = name.slice(split + 1);
+    if (split === -1 || Buffer.byteLength(entryName) > 100 || Buffer.byteLength(prefix) > 155) {
+      throw new Error(`Path too long for archive: ${name}`);
+    }
+  }
+
+  header.write(entryName, 0, 100, 'utf8');
+  writeOctal(header, mode, 100, 8);
+  writeOctal(header, 0, 108, 8);
+  writeOctal(header, 0, 116, 8);
+  writeOctal(header, size, 124, 12);
+  writeOctal(header, Math.floor(mtime / 1000), 136, 12);
+  header.write(directory ? '5' : '0', 156, 1, 'ascii');
+  header.write('ustar\u000000', 257, 8, 'ascii');
+  header.write(prefix, 345, 155, 'utf8');
+
+  // Checksum is computed with its own field set to spaces
+  header.fill(0x20, 148, 156);
+  const checksum = header.reduce((sum, byte) => sum + byte, 0);
+  header.write(checksum.toString(8).padStart(6, '0') + '\0 ', 148, 8, 'ascii');
+  return header;
+}
+
+/**
+ * ThemeArchive Class
+ * Extracts theme archives, rejecting entries that would escape the target
+ */
+export class ThemeArchive {
+  /**
+   * Archive file extensions that can be installed
+   */
+  static get extensions() {
+    return ['.tgz', '.tar.gz', '.zip'];
+  }
+
+  /**
+   * Check whether a path names a supported archive
+   * @param {string} filePath - Path to check
+   * @returns {boolean} True for .tgz, .tar.gz and .zip files
+   */
+  static isArchive(filePath) {
+    const lower = filePath.toLowerCase();
+    return this.extensions.some(ext => lower.endsWith(ext));
+  }
+
+  /**
+   * Archive file name without its extension
+   * @param {string} filePath - Archive path
+   * @returns {string} e.g. "retro" for "/tmp/retro.tar.gz"
+   */
+  static baseName(filePath) {
+    const name = path.basename(filePath);
+    const ext = this.extensions.find(candidate => name.toLowerCase().endsWith(candidate));
+    return ext ? name.slice(0, -ext.length) : name;
+  }
+
+  /**
+   * Extract an archive into a directory
+   * @param {string} archivePath - .tgz, .tar.gz or .zip file
+   * @param {string} destDir - Directory to extract into (created if missing)
+   * @returns {Promise<Array<string>>} Relative paths of extracted files
+   */
+  static async extract(archivePath, destDir) {
+    if (!this.isArchive(archivePath)) {
+      throw new Error(`Unsupported archive format: ${path.basename(archivePath)} (expected ${this.extensions.join(', ')})`);
+    }
+
+    const data = await fs.readFile(archivePath);
+    const entries = archivePath.toLowerCase().endsWith('.zip') ?
+      this.readZip(data) :
+      this.readTar(zlib.gunzipSync(data, { maxOutputLength: MAX_EXTRACTED_BYTES }));
+
+    await fs.mkdir(destDir, { recursive: true });
+    const written = [];
+    for (const entry of entries) {
+      const entryPath = this.safeEntryPath(entry.name);
+      // "", "." and "./" name the destination itself
+      if (!entryPath) continue;
+
+      const target = path.join(destDir, entryPath);
+      if (entry.directory) {
+        await fs.mkdir(target, { recursive: true });
+        continue;
+      }
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      await fs.writeFile(target, entry.data);
+      written.push(path.relative(destDir, target));
+    }
+    return written;
+  }
+
+  /**
+   * Pack a directory into a gzipped tar archive
+   * Entries are stored under rootName/ in sorted order so the same theme
+   * always produces the same listing.
+   * @param {string} sourceDir - Directory to pack
+   * @param {string} rootName - Top-level directory name inside the archive
+   * @param {Object} extraFiles - Additional { relativePath: Buffer|string }
+   *   entries, used for files that live outside the directory
+   * @returns {Promise<Object>} { data: Buffer, files: Array<string> }
+   */
+  static async createTarGz(sourceDir, rootName, extraFiles = {}) {
+    const blocks = [createTarHeader(`${rootName}/`, { mode: 0o755, directory: true })];
+    const files = [];
+
+    const addFile = (relativePath, data, mtime) => {
+      blocks.push(createTarHeader(`${rootName}/${relativePath}`, { size: data.length, mtime }));
+      blocks.push(data, Buffer.alloc((TAR_BLOCK - (data.length % TAR_BLOCK)) % TAR_BLOCK));
+      files.push(relativePath);
+    };
+
+    const walk = async (dir, relativeDir) => {
+      const entries = (await fs.readdir(dir, { withFileTypes: true }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+
+      for (const entry of entries) {
+        const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          blocks.push(createTarHeader(`${rootName}/${relativePath}/`, { mode: 0o755, directory: true }));
+          await walk(fullPath, relativePath);
+        } else if (entry.isFile()) {
+          const stat = await fs.stat(fullPath);
+          addFile(relativePath, await fs.readFile(fullPath), stat.mtimeMs);
+        }
+      }
+    };
+
+    await walk(sourceDir, '');
+    for (const [relativePath, content] of Object.entries(extraFiles)) {
+      addFile(relativePath, Buffer.from(content), Date.now());
+    }
+
+    // Two zero blocks end the archive
+    blocks.push(Buffer.alloc(TAR_BLOCK * 2));
+    return { data: zlib.gzipSync(Buffer.concat(blocks)), files };
+  }
+
+  /**
+   * SHA-256 checksum of archive data
+   * @param {Buffer} data - Archive contents
+   * @returns {string} Hex digest
+   */
+  static checksum(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+  }
+
+  /**
+   * Path of the checksum file written next to an archive
+   * @param {string} archivePath - Archive path
+   * @returns {string} e.g. "retro-1.0.0.tgz.sha256"
+   */
+  static checksumPath(archivePath) {
+    return `${archivePath}.sha256`;
+  }
+
+  /**
+   * Verify an archive against the checksum file next to it, if there is one
+   * The file uses the sha256sum format ("<hex>  <file name>").
+   * @param {string} archivePath - Archive path
+   * @returns {Promise<boolean>} True if verified, false if no checksum file
+   */
+  static async verifyChecksum(archivePath) {
+    let expected;
+    try {
+      expected = (await fs.readFile(this.checksumPath(archivePath), 'utf8')).trim().split(/\s+/)[0];
+    } catch {
+      return false;
+    }
+
+    const actual = this.checksum(await fs.readFile(archivePath));
+    if (expected.toLowerCase() !== actual) {
+      throw new Error(`Checksum mismatch for ${path.basename(archivePath)}; the archive may be corrupt or modified`);
+    }
+    return true;
+  }
+
+  /**
+   * Normalize an entry name and reject absolute or parent-relative paths
+   * @private
+   * @returns {string} Relative path, or "" for the archive root itself
+   */
+  static safeEntryPath(name) {
+    const normalized = path.normalize(name.replace(/\\/g, '/')).replace(/^(\.\/)+/, '');
+    if (path.isAbsolute(normalized) || normalized.split(path.sep).includes('..')) {
+      throw new Error(`Unsafe path in archive: ${name}`);
+    }
+    return normalized === '.' ? '' : normalized;
+  }
+
+  /**
+   * Parse an uncompressed tar stream (ustar, GNU long names and pax paths)
+   * Links and special files are skipped.
+   * @private
+   * @returns {Array<Object>} Array of { name, directory, data }
+   */
+  static readTar(buffer) {
+    const entries = [];
+    let offset = 0;
+    let longName = null;
+    let total = 0;
+
+    while (offset + TAR_BLOCK <= buffer.length) {
+      const header = buffer.subarray(offset, offset + TAR_BLOCK);
+      if (header.every(byte => byte === 0)) break;
+
+      const size = parseInt(readString(header, 124, 136).trim() || '0', 8);
+      const type = String.fromCharCode(header[156] || 48);
+      const dataStart = offset + TAR_BLOCK;
+      const data = buffer.subarray(dataStart, dataStart + size);
+      offset = dataStart + Math.ceil(size / TAR_BLOCK) * TAR_BLOCK;
+
+      let name = readString(header, 0, 100);
+      if (readString(header, 257, 262) === 'ustar') {
+        const prefix = readString(header, 345, 500);
+        if (prefix) name = `${prefix}/${name}`;
+      }
+      if (longName) {
+        name = longName;
+        longName = null;
+      }
+
+      if (type === 'L') {
+        longName = readString(data, 0, data.length);
+      } else if (type === 'x') {
+        const match = data.toString('utf8').match(/^\d+ path=(.*)$/m);
+        if (match) longName = match[1];
+      } else if (type === '5') {
+        entries.push({ name, directory: true });
+      } else if (type === '0' || type === '\0' || type === '7') {
+        total += size;
+        if (total > MAX_EXTRACTED_BYTES) {
+          throw new Error('Archive is too large to be a theme');
+        }
+        entries.push({ name, directory: false, data: Buffer.from(data) });
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * Parse a zip file from its central directory (stored and deflated entries)
+   * Symlinks are skipped; encrypted and ZIP64 archives are rejected.
+   * @private
+   * @returns {Array<Object>} Array of { name, directory, data }
+   */
+  static readZip(buffer) {
+    let eocd = -1;
+    for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+      if (buffer.readUInt32LE(i) === ZIP_EOCD_SIGNATURE) {
+        eocd = i;
+        break;
+      }
+    }
+    if (eocd === -1) {
+      throw new Error('Not a valid zip archive');
+    }
+
+    const count = buffer.readUInt16LE(eocd + 10);
+    let offset = buffer.readUInt32LE(eocd + 16);
+    if (count === 0xffff || offset === 0xffffffff) {
+      throw new Error('ZIP64 archives are not supported');
+    }
+
+    const entries = [];
+    let total = 0;
+    for (let i = 0; i < count; i++) {
+      if (buffer.readUInt32LE(offset) !== ZIP_CENTRAL_SIGNATURE) {
+        throw new Error('Corrupt zip central directory');
+      }
+      const flags = buffer.readUInt16LE(offset + 8);
+      const method = buffer.readUInt16LE(offset + 10);
+      const compressedSize = buffer.readUInt32LE(offset + 20);
+      const size = buffer.readUInt32LE(offset + 24);
+      const nameLength = buffer.readUInt16LE(offset + 28);
+      const extraLength = buffer.readUInt16LE(offset + 30);
+      const commentLength = buffer.readUInt16LE(offset + 32);
+      const mode = buffer.readUInt32LE(offset + 38) >>> 16;
+      const localOffset = buffer.readUInt32LE(offset + 42);
+      const name = buffer.subarray(offset + 46, offset + 46 + nameLength).toString('utf8');
+      offset += 46 + nameLength + extraLength + commentLength;
+
+      if (flags & 0x1) {
+        throw new Error(`Encrypted zip entries are not supported: ${name}`);
+      }
+      if (name.endsWith('/')) {
+        entries.push({ name, directory: true });
+        continue;
+      }
+      if ((mode & 0o170000) === 0o120000) continue; // symlink
+
+      // Declared sizes can lie, so actual sizes are counted below as well
+      if (total + size > MAX_EXTRACTED_BYTES) {
+        throw new Error('Archive is too large to be a theme');
+      }
+
+      if (buffer.readUInt32LE(localOffset) !== ZIP_LOCAL_SIGNATURE) {
+        throw new Error(`Corrupt zip entry: ${name}`);
+      }
+      const dataStart = localOffset + 30 +
+        buffer.readUInt16LE(localOffset + 26) +
+        buffer.readUInt16LE(localOffset + 28);
+      const raw = buffer.subarray(dataStart, dataStart + compressedSize);
+
+      let data;
+      if (method === 0) {
+        data = Buffer.from(raw);
+      } else if (method === 8) {
+        // All entries share one budget
+        try {
+          data = zlib.inflateRawSync(raw, { maxOutputLength: Math.max(1, MAX_EXTRACTED_BYTES - total) });
+        } catch (error) {
+          if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+            throw new Error('Archive is too large to be a theme');
+          }
+          throw error;
+        }
+      } else {
+        throw new Error(`Unsupported zip compression method ${method}: ${name}`);
+      }
+
+      total += data.length;
+      if (total > MAX_EXTRACTED_BYTES) {
+        throw new Error('Archive is too large to be a theme');
+      }
+      entries.push({ name, directory: false, data });
+    }
+    return entries;
+  }
+}
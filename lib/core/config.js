@@ -4,7 +4,7 @@
  */
 
 import fs from 'fs/promises';
-import { FileUtils, ConfigDefaults, ConfigUtils, SystemUtils } from '../utils.js';
+import { FileUtils, ConfigDefaults, ConfigUtils, SystemUtils, ProjectConfig } from '../utils.js';
 
 // Hook event name mapping
 const HOOK_EVENT_MAPPING = ConfigDefaults.hookEventMapping;
@@ -105,6 +105,116 @@ export class ConfigManager {
     return this.config[key];
   }
 
+  /**
+   * Get the configuration in effect for a directory
+   * Values from the nearest .claude-gamify.json override the global config,
+   * the same way the sound player resolves them from the hook's cwd.
+   * @param {string} cwd - Directory to resolve from
+   * @returns {Promise<Object>} { config, overrides, sources, projectConfigPath, warnings }
+   *   where sources maps key paths (theme, sound_hooks.stop) to the file
+   *   each effective value came from
+   */
+  async getEffectiveConfig(cwd = process.cwd()) {
+    if (!this.config) {
+      await this.load();
+    }
+
+    const { path: projectConfigPath, overrides, warnings } = ProjectConfig.loadProjectConfig(cwd);
+
+    const config = ConfigUtils.deepMerge(this.config, overrides);
+    const sourceOf = (key, subKey) => {
+      const overridden = subKey === undefined ?
+        key in overrides :
+        Boolean(overrides[key]) && subKey in overrides[key];
+      return overridden ? projectConfigPath : this.configPath;
+    };
+
+    const sources = {};
+    ConfigDefaults.projectConfigKeys.forEach(key => {
+      const value = config[key];
+      if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+        Object.keys(value).forEach(subKey => {
+          sources[`${key}.${subKey}`] = sourceOf(key, subKey);
+        });
+      } else {
+        sources[key] = sourceOf(key);
+      }
+    });
+
+    return { config, overrides, sources, projectConfigPath, warnings };
+  }
+
+  /**
+   * Get a value by key path ("sound_volume", "sound_hooks.stop")
+   * @param {string} keyPath - Config key, optionally with one nested key
+   * @returns {*} Configuration value (undefined for a missing nested key)
+   */
+  getValue(keyPath) {
+    const [key, subKey] = ConfigUtils.splitKeyPath(keyPath);
+    const value = this.get(key);
+    return subKey ? (value || {})[subKey] : value;
+  }
+
+  /**
+   * Validate and set a value by key path
+   * @param {string} keyPath - Config key, optionally with one nested key
+   * @param {*} value - Value to store
+   * @returns {Promise<*>} Stored value
+   * @throws {Error} If the key or value is invalid
+   */
+  async setValue(keyPath, value) {
+    if (!this.config) {
+      await this.load();
+    }
+
+    const validated = ConfigUtils.validateValue(keyPath, value);
+    const [key, subKey] = ConfigUtils.splitKeyPath(keyPath);
+    if (subKey) {
+      this.config[key] = { ...this.config[key], [subKey]: validated };
+    } else {
+      this.config[key] = validated;
+    }
+    await this.save();
+    return validated;
+  }
+
+  /**
+   * Reset a value to its default
+   * Nested tool_sounds entries are removed; other keys return to their default value.
+   * @param {string} keyPath - Config key, optionally with one nested key
+   * @returns {Promise<*>} Value after unsetting (undefined if removed)
+   */
+  async unset(keyPath) {
+    if (!this.config) {
+      await this.load();
+    }
+
+    const [key, subKey] = ConfigUtils.splitKeyPath(keyPath);
+    if (key === 'version') {
+      throw new Error('version is managed by Claude Gamify and cannot be unset');
+    }
+
+    const defaults = ConfigDefaults.defaultConfig;
+    if (!subKey) {
+      this.config[key] = defaults[key];
+    } else if (key === 'sound_hooks') {
+      ConfigUtils.validateValue(keyPath, true);
+      this.config.sound_hooks = { ...this.config.sound_hooks, [subKey]: defaults.sound_hooks[subKey] };
+    } else if (key === 'sound_cooldowns') {
+      ConfigUtils.validateValue(keyPath, 0);
+      this.config.sound_cooldowns = { ...this.config.sound_cooldowns, [subKey]: defaults.sound_cooldowns[subKey] };
+    } else if (key === 'tool_sounds') {
+      const toolSounds = { ...this.config.tool_sounds };
+      delete toolSounds[subKey];
+      this.config.tool_sounds = toolSounds;
+    } else {
+      throw new Error(`${key} has no nested keys`);
+    }
+
+    await this.save();
+    return this.getValue(keyPath);
+  }
+
   /**
    * Check if configuration exists
    * @returns {Promise<boolean>} True if config file exists
@@ -167,6 +277,19 @@ export class ConfigManager {
     return this.config.sound_enabled;
   }
 
+  /**
+   * Set sound enabled state
+   * @param {boolean} enabled - Enable/disable all sounds
+   */
+  async setSoundEnabled(enabled) {
+    if (!this.config) {
+      await this.load();
+    }
+    this.config.sound_enabled = enabled;
+    await this.save();
+    return this.config.sound_enabled;
+  }
+
   /**
    * Set volume level
    * @param {number} volume - Volume level (0-100 integer)
@@ -259,7 +382,7 @@ export class ConfigManager {
     if (this.config.sound_hooks && configKey in this.config.sound_hooks) {
       return this.config.sound_hooks[configKey];
     }
-    return true; // Default to enabled
+    return ConfigDefaults.defaultHookStates[configKey] !== false;
   }
 
   /**
@@ -328,7 +451,7 @@ export class ConfigManager {
     }
     
     if (!this.config.sound_hooks) {
-      return DEFAULT_HOOK_CONFIGS.length; // All enabled by default
+      return Object.values(ConfigDefaults.defaultHookStates).filter(Boolean).length;
     }
     
     return DEFAULT_HOOK_CONFIGS.filter(hookConfig => 
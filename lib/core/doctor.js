@@ -0,0 +1,364 @@
+/**
+ * Doctor
+ * Diagnoses and repairs a Claude Gamify installation
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { Paths, ConfigDefaults, SystemUtils, AudioBackends } from '../utils.js';
+import { UpgradeManager } from './upgrade.js';
+import { ThemeManager } from './themes.js';
+
+/**
+ * Check result status values
+ */
+export const CHECK_STATUS = {
+  PASS: 'pass',
+  WARN: 'warn',
+  FAIL: 'fail'
+};
+
+/**
+ * Doctor Class
+ * Runs installation checks; each failing check may carry a fix
+ */
+export class Doctor {
+  /**
+   * Create a new Doctor instance
+   * @param {ConfigManager} configManager - Configuration manager instance
+   * @param {ThemeManager} themeManager - Theme manager instance
+   * @param {SoundPlayer} soundPlayer - Sound player instance
+   * @param {Array<Object>} scopes - Scopes to check, each
+   *   { scope, settingsPath, hookManager, styleManager }
+   */
+  constructor(configManager, themeManager, soundPlayer, scopes) {
+    this.configManager = configManager;
+    this.themeManager = themeManager;
+    this.soundPlayer = soundPlayer;
+    this.scopes = scopes;
+  }
+
+  /**
+   * Run all checks
+   * Checks that depend on a readable config or settings.json are skipped
+   * when those fail.
+   * @returns {Promise<Array<Object>>} Array of { name, status, message, hint, fix }
+   */
+  async run() {
+    const results = [await this.checkConfig()];
+    if (results[0].status === CHECK_STATUS.FAIL) {
+      return results;
+    }
+
+    results.push(await this.checkRuntimeFiles());
+
+    for (const scope of this.scopes) {
+      const settings = await this.checkSettings(scope);
+      results.push(settings);
+      if (settings.status !== CHECK_STATUS.FAIL || settings.fix) {
+        results.push(await this.checkHooks(scope));
+        results.push(await this.checkOutputStyle(scope));
+      }
+    }
+    if (this.scopes.length > 1) {
+      results.push(this.checkDuplicateScopes());
+    }
+
+    results.push(this.checkAudioBackend());
+    results.push(await this.checkThemeSounds());
+    results.push(await this.checkSoundSettings());
+    return results;
+  }
+
+  /**
+   * Apply fixes for failing and warning checks
+   * @param {Array<Object>} results - Results from run()
+   * @returns {Promise<Array<Object>>} Array of { name, fixed, error }
+   */
+  async fix(results) {
+    const applied = [];
+    for (const result of results) {
+      if (result.status === CHECK_STATUS.PASS || !result.fix) continue;
+
+      try {
+        await result.fix();
+        applied.push({ name: result.name, fixed: true });
+      } catch (error) {
+        applied.push({ name: result.name, fixed: false, error: error.message });
+      }
+    }
+    return applied;
+  }
+
+  /**
+   * Build a check result
+   * @private
+   */
+  result(name, status, message, { hint = null, fix = null, scope = null } = {}) {
+    return { name, status, message, hint, fix, scope };
+  }
+
+  /**
+   * Style managers of the checked scopes
+   * @private
+   */
+  get styleManagers() {
+    return this.scopes.map(scope => scope.styleManager);
+  }
+
+  /**
+   * Config file exists and can be loaded
+   * @private
+   */
+  async checkConfig() {
+    const name = 'Configuration';
+
+    if (!await this.configManager.exists()) {
+      return this.result(name, CHECK_STATUS.FAIL, `${Paths.configFile} not found`, {
+        hint: 'Run: npx claude-gamify init'
+      });
+    }
+
+    try {
+      await this.configManager.load();
+    } catch {
+      return this.result(name, CHECK_STATUS.FAIL, `${Paths.configFile} could not be read`, {
+        hint: 'Fix the JSON by hand or run: npx claude-gamify init'
+      });
+    }
+
+    return this.result(name, CHECK_STATUS.PASS, Paths.configFile);
+  }
+
+  /**
+   * Player, index and hook registry match the installed package
+   * @private
+   */
+  async checkRuntimeFiles() {
+    const name = 'Runtime files';
+    const files = await UpgradeManager.getRuntimeFileStatus();
+    const missing = files.filter(file => file.state === 'missing').map(file => file.name);
+    const outdated = files.filter(file => file.state === 'outdated').map(file => file.name);
+    const fix = () => UpgradeManager.syncRuntimeFiles();
+
+    const problems = [];
+    if (missing.length > 0) {
+      problems.push(`missing: ${missing.join(', ')}`);
+    }
+    if (outdated.length > 0) {
+      problems.push(`out of date: ${outdated.join(', ')}`);
+    }
+
+    if (problems.length > 0) {
+      const status = missing.length > 0 ? CHECK_STATUS.FAIL : CHECK_STATUS.WARN;
+      return this.result(name, status, problems.join('; '), { fix });
+    }
+    return this.result(name, CHECK_STATUS.PASS, Paths.claudeGamifyDir);
+  }
+
+  /**
+   * Claude settings file exists and is valid JSON
+   * @private
+   */
+  async checkSettings({ scope, settingsPath, hookManager }) {
+    const name = 'Claude settings';
+    let content;
+
+    try {
+      content = await fs.readFile(settingsPath, 'utf8');
+    } catch {
+      return this.result(name, CHECK_STATUS.FAIL, `${settingsPath} not found`, {
+        scope,
+        fix: () => hookManager.setup()
+      });
+    }
+
+    try {
+      JSON.parse(content);
+    } catch (error) {
+      return this.result(name, CHECK_STATUS.FAIL, `${settingsPath} is not valid JSON`, {
+        scope,
+        hint: `${error.message}. Fix it by hand; Claude Gamify will not overwrite it.`
+      });
+    }
+
+    return this.result(name, CHECK_STATUS.PASS, settingsPath, { scope });
+  }
+
+  /**
+   * Every registered hook runs our index.js, and none point at an old path
+   * @private
+   */
+  async checkHooks({ scope, hookManager }) {
+    const name = 'Hooks';
+    const installed = await hookManager.getInstalledHooks();
+    const missing = hookManager.hookNames.filter(hookName => !installed.includes(hookName));
+    const stale = await hookManager.findStaleHooks();
+    const fix = async () => {
+      await hookManager.removeStaleHooks();
+      await hookManager.setup();
+    };
+
+    const problems = [];
+    if (missing.length > 0) {
+      problems.push(`not registered: ${missing.join(', ')}`);
+    }
+    if (stale.length > 0) {
+      const staleEvents = [...new Set(stale.map(hook => hook.hookName))];
+      problems.push(`stale index.js path: ${staleEvents.join(', ')}`);
+    }
+
+    if (problems.length > 0) {
+      return this.result(name, CHECK_STATUS.FAIL, problems.join('; '), { scope, fix });
+    }
+    return this.result(name, CHECK_STATUS.PASS, `${installed.length} hooks registered`, { scope });
+  }
+
+  /**
+   * Hooks registered in more than one scope play every sound more than once
+   * @private
+   */
+  checkDuplicateScopes() {
+    const scopeNames = this.scopes.map(entry => entry.scope);
+    return this.result('Install scopes', CHECK_STATUS.WARN,
+      `Hooks are registered in ${scopeNames.join(', ')}; sounds will play once per scope`, {
+        hint: 'Keep one: npx claude-gamify uninstall --scope <scope>'
+      });
+  }
+
+  /**
+   * outputStyle does not name a theme whose style file is missing
+   * @private
+   */
+  async checkOutputStyle({ scope, styleManager }) {
+    const name = 'Output style';
+    const outputStyle = await styleManager.getActiveStyle();
+    if (!outputStyle) {
+      return this.result(name, CHECK_STATUS.PASS, 'Default Claude output style', { scope });
+    }
+
+    const themeNames = (await this.themeManager.list()).map(theme => theme.name);
+    const isThemeStyle = themeNames.includes(outputStyle);
+    if (!isThemeStyle || await styleManager.styleExists(outputStyle)) {
+      return this.result(name, CHECK_STATUS.PASS, outputStyle, { scope });
+    }
+
+    return this.result(name, CHECK_STATUS.FAIL, `"${outputStyle}" is set but ${outputStyle}.md is missing`, {
+      scope,
+      fix: async () => {
+        await fs.mkdir(styleManager.outputStylesDir, { recursive: true });
+        await styleManager.installThemeStyle(Paths.themesDir, outputStyle);
+        await styleManager.installThemeStyle(path.join(Paths.templateDir, 'themes'), outputStyle);
+        await styleManager.setActiveStyle(this.configManager.getTheme());
+      }
+    });
+  }
+
+  /**
+   * At least one audio player is available, and the forced one if
+   * audio_backend names one. Detecting players also refreshes the runtime's
+   * backend cache.
+   * @private
+   */
+  checkAudioBackend() {
+    const name = 'Audio player';
+    const players = SystemUtils.getAvailableAudioPlayers({ refresh: true });
+
+    if (players.length === 0) {
+      const backends = AudioBackends.getPlatformBackends();
+      const hint = backends.length > 0 ?
+        `Install one of: ${backends.map(backend => `${backend.name} (${backend.install})`).join(', ')}` :
+        'Sound playback is supported on macOS and Linux';
+      return this.result(name, CHECK_STATUS.FAIL, 'No audio player found', { hint });
+    }
+
+    const preference = this.configManager.get('audio_backend') || AudioBackends.AUTO_BACKEND;
+    const { backend, missing } = SystemUtils.getAudioBackendStatus(preference, players);
+    if (missing) {
+      return this.result(name, CHECK_STATUS.WARN, `audio_backend "${preference}" is not installed, using ${backend.name}`, {
+        hint: 'Install it or run: npx claude-gamify config set audio_backend auto'
+      });
+    }
+    return this.result(name, CHECK_STATUS.PASS, `${players.join(', ')} (using ${backend.name})`);
+  }
+
+  /**
+   * Active theme exists and has a sound for every enabled hook
+   * @private
+   */
+  async checkThemeSounds() {
+    const name = 'Theme sounds';
+    const themeName = this.configManager.getTheme();
+    const builtIn = ThemeManager.isBuiltIn(themeName);
+
+    if (!await this.themeManager.exists(themeName)) {
+      const fallback = ConfigDefaults.defaultConfig.theme;
+      return this.result(name, CHECK_STATUS.FAIL, `Active theme "${themeName}" is not installed`, {
+        fix: async () => {
+          if (!builtIn) {
+            await this.configManager.setTheme(fallback);
+          }
+          await UpgradeManager.syncThemeFiles(this.configManager, this.styleManagers);
+        }
+      });
+    }
+
+    const missing = [];
+    for (const hook of ConfigDefaults.hookDefinitions) {
+      if (!await this.configManager.getHookState(hook.event)) continue;
+      if (!await this.soundPlayer.isSoundAvailable(hook.event)) {
+        missing.push(hook.event);
+      }
+    }
+
+    if (missing.length > 0) {
+      // Built-in theme files that were deleted can be restored from the package
+      const restorable = builtIn && (await Promise.all(
+        missing.map(hookName => this.hasTemplateSound(themeName, hookName))
+      )).some(Boolean);
+
+      const message = `"${themeName}" has no sound for enabled hooks: ${missing.join(', ')}`;
+      return this.result(name, CHECK_STATUS.WARN, message, {
+        hint: 'Add the sound files or disable those hooks (npx claude-gamify hooks disable <Event>)',
+        fix: restorable ? () => UpgradeManager.syncThemeFiles(this.configManager, this.styleManagers) : null
+      });
+    }
+    return this.result(name, CHECK_STATUS.PASS, `"${themeName}" covers all enabled hooks`);
+  }
+
+  /**
+   * Sound is on and audible
+   * Missing player script is already reported under runtime files.
+   * @private
+   */
+  async checkSoundSettings() {
+    const name = 'Sound settings';
+    const health = await this.soundPlayer.healthCheck();
+    const warnings = health.warnings.filter(warning => !/No sound files/.test(warning));
+
+    if (warnings.length > 0) {
+      return this.result(name, CHECK_STATUS.WARN, warnings.join('; '), {
+        hint: 'Run: npx claude-gamify unmute / npx claude-gamify volume 50'
+      });
+    }
+    const volume = Math.round(this.configManager.getVolume() * 100);
+    return this.result(name, CHECK_STATUS.PASS, `Enabled, volume ${volume}%`);
+  }
+
+  /**
+   * Check whether the packaged copy of a theme has a sound for a hook
+   * @private
+   */
+  async hasTemplateSound(themeName, hookName) {
+    const themeDir = path.join(Paths.templateDir, 'themes', themeName);
+    for (const ext of AudioBackends.SOUND_FORMATS) {
+      try {
+        await fs.access(path.join(themeDir, hookName + ext));
+        return true;
+      } catch {
+        // Try next extension
+      }
+    }
+    return false;
+  }
+}
@@ -24,30 +24,116 @@ export class HookManager {
 
   /**
    * Set up Claude Code hooks
+   * Merges our entry alongside any existing matcher groups instead of
+   * replacing them, so hooks registered by other tools are preserved.
+   * @returns {Promise<Object>} Summary with added, updated and unchanged hook
+   *   names plus the number of foreign hook commands that were kept
    */
   async setup() {
     // Read existing Claude Code configuration
-    const claudeConfig = await FileUtils.readJsonFile(this.claudeConfigPath, {});
-
-    // Update hooks configuration with correct Claude Code format
+    const claudeConfig = await FileUtils.readSettingsFile(this.claudeConfigPath);
     claudeConfig.hooks = claudeConfig.hooks || {};
-    
+
+    const summary = {
+      added: [],
+      updated: [],
+      unchanged: [],
+      preserved: 0
+    };
+
     for (const hookName of this.hookNames) {
-      claudeConfig.hooks[hookName] = [
-        {
-          matcher: ".*",
-          hooks: [
-            {
-              type: "command",
-              command: `node "${this.indexPath}" ${hookName}`
-            }
-          ]
-        }
-      ];
+      const entries = claudeConfig.hooks[hookName] || [];
+      summary.preserved += this.countForeignHooks(entries);
+
+      const status = this.mergeHookEntry(entries, hookName);
+      summary[status].push(hookName);
+      claudeConfig.hooks[hookName] = entries;
     }
 
     // Write back configuration file
     await FileUtils.writeJsonFile(this.claudeConfigPath, claudeConfig);
+
+    return summary;
+  }
+
+  /**
+   * Build the hook command for an event
+   * @private
+   * @param {string} hookName - Name of the hook
+   * @returns {string} Command string registered in settings.json
+   */
+  buildCommand(hookName) {
+    return `node "${this.indexPath}" ${hookName}`;
+  }
+
+  /**
+   * Check whether a hook command belongs to this installation
+   * @private
+   * @param {Object} hook - Hook command object from settings.json
+   * @returns {boolean} True if the command invokes our index.js
+   */
+  isOwnHook(hook) {
+    return Boolean(hook && hook.command && hook.command.includes(this.indexPath));
+  }
+
+  /**
+   * Count hook commands in an event that do not belong to us
+   * @private
+   * @param {Array} entries - Matcher groups for a hook event
+   * @returns {number} Number of foreign hook commands
+   */
+  countForeignHooks(entries) {
+    return entries.reduce((count, entry) => {
+      const hooks = Array.isArray(entry.hooks) ? entry.hooks : [];
+      return count + hooks.filter(hook => !this.isOwnHook(hook)).length;
+    }, 0);
+  }
+
+  /**
+   * Insert or refresh our command within an event's matcher groups
+   * Mutates the entries array in place; other matcher groups and hook
+   * commands are left untouched.
+   * @private
+   * @param {Array} entries - Matcher groups for a hook event
+   * @param {string} hookName - Name of the hook
+   * @param {string} [command] - Command to register, defaults to running our index.js
+   * @returns {string} 'added', 'updated' or 'unchanged'
+   */
+  mergeHookEntry(entries, hookName, command = this.buildCommand(hookName)) {
+    let status = null;
+
+    for (let i = entries.length - 1; i >= 0; i--) {
+      const entry = entries[i];
+      if (!Array.isArray(entry.hooks)) continue;
+
+      entry.hooks = entry.hooks.filter(hook => {
+        if (!this.isOwnHook(hook)) return true;
+        // Keep only the first of our commands, drop duplicates
+        if (status) return false;
+        status = hook.command === command ? 'unchanged' : 'updated';
+        hook.command = command;
+        return true;
+      });
+
+      if (entry.hooks.length === 0) {
+        entries.splice(i, 1);
+      }
+    }
+
+    if (!status) {
+      entries.push({
+        matcher: ".*",
+        hooks: [
+          {
+            type: "command",
+            command
+          }
+        ]
+      });
+      status = 'added';
+    }
+
+    return status;
   }
 
   /**
@@ -58,7 +144,7 @@ export class HookManager {
     let removedCount = 0;
     
     try {
-      const claudeConfig = await FileUtils.readJsonFile(this.claudeConfigPath, {});
+      const claudeConfig = await FileUtils.readSettingsFile(this.claudeConfigPath);
       
       if (claudeConfig.hooks) {
         for (const hookName of this.hookNames) {
@@ -91,9 +177,12 @@ export class HookManager {
         }
       }
       
-      await FileUtils.writeJsonFile(this.claudeConfigPath, claudeConfig);
+      // Leave settings files without our hooks untouched
+      if (removedCount > 0) {
+        await FileUtils.writeJsonFile(this.claudeConfigPath, claudeConfig);
+      }
     } catch (error) {
-      // Claude settings file doesn't exist or is invalid
+      // Claude settings file is invalid or can't be written
       throw new Error(`Failed to remove hooks: ${error.message}`);
     }
     
@@ -102,30 +191,25 @@ export class HookManager {
 
   /**
    * Update a specific hook
+   * Replaces our command for the event; hooks registered by other tools are kept.
    * @param {string} hookName - Name of the hook to update
    * @param {string} command - New command for the hook
+   * @returns {Promise<string>} 'added', 'updated' or 'unchanged'
    */
   async updateHook(hookName, command) {
     if (!this.hookNames.includes(hookName)) {
       throw new Error(`Invalid hook name: ${hookName}`);
     }
     
-    const claudeConfig = await FileUtils.readJsonFile(this.claudeConfigPath, {});
+    const claudeConfig = await FileUtils.readSettingsFile(this.claudeConfigPath);
     claudeConfig.hooks = claudeConfig.hooks || {};
     
-    claudeConfig.hooks[hookName] = [
-      {
-        matcher: ".*",
-        hooks: [
-          {
-            type: "command",
-            command: command
-          }
-        ]
-      }
-    ];
+    const entries = claudeConfig.hooks[hookName] || [];
+    const status = this.mergeHookEntry(entries, hookName, command);
+    claudeConfig.hooks[hookName] = entries;
     
     await FileUtils.writeJsonFile(this.claudeConfigPath, claudeConfig);
+    return status;
   }
 
   /**
@@ -198,6 +282,7 @@ export class HookManager {
 
   /**
    * Disable a specific hook
+   * Only our own command is removed; other hooks for the event are kept.
    * @param {string} hookName - Name of the hook to disable
    */
   async disableHook(hookName) {
@@ -205,10 +290,18 @@ export class HookManager {
       throw new Error(`Invalid hook name: ${hookName}`);
     }
     
-    const claudeConfig = await FileUtils.readJsonFile(this.claudeConfigPath, {});
+    const claudeConfig = await FileUtils.readSettingsFile(this.claudeConfigPath);
     
     if (claudeConfig.hooks && claudeConfig.hooks[hookName]) {
-      delete claudeConfig.hooks[hookName];
+      claudeConfig.hooks[hookName] = claudeConfig.hooks[hookName].filter(entry => {
+        if (!Array.isArray(entry.hooks)) return true;
+        entry.hooks = entry.hooks.filter(hook => !this.isOwnHook(hook));
+        return entry.hooks.length > 0;
+      });
+
+      if (claudeConfig.hooks[hookName].length === 0) {
+        delete claudeConfig.hooks[hookName];
+      }
       
       if (Object.keys(claudeConfig.hooks).length === 0) {
         delete claudeConfig.hooks;
@@ -221,28 +314,85 @@ export class HookManager {
   /**
    * Enable a specific hook
    * @param {string} hookName - Name of the hook to enable
+   * @returns {Promise<string>} 'added', 'updated' or 'unchanged'
    */
   async enableHook(hookName) {
     if (!this.hookNames.includes(hookName)) {
       throw new Error(`Invalid hook name: ${hookName}`);
     }
     
-    const claudeConfig = await FileUtils.readJsonFile(this.claudeConfigPath, {});
+    const claudeConfig = await FileUtils.readSettingsFile(this.claudeConfigPath);
     claudeConfig.hooks = claudeConfig.hooks || {};
     
-    claudeConfig.hooks[hookName] = [
-      {
-        matcher: ".*",
-        hooks: [
-          {
-            type: "command",
-            command: `node "${this.indexPath}" ${hookName}`
-          }
-        ]
-      }
-    ];
+    const entries = claudeConfig.hooks[hookName] || [];
+    const status = this.mergeHookEntry(entries, hookName);
+    claudeConfig.hooks[hookName] = entries;
     
     await FileUtils.writeJsonFile(this.claudeConfigPath, claudeConfig);
+    return status;
+  }
+
+  /**
+   * Check whether a hook command runs a Claude Gamify index.js from another path
+   * (e.g. a previous install location or home directory)
+   * @private
+   * @param {Object} hook - Hook command object from settings.json
+   * @returns {boolean} True if the command is ours but points at a stale index.js
+   */
+  isStaleHook(hook) {
+    return Boolean(hook && hook.command) &&
+      !this.isOwnHook(hook) &&
+      /\.claude-gamify[\\/]+index\.js/.test(hook.command);
+  }
+
+  /**
+   * Find hook commands that point at a stale index.js
+   * @returns {Promise<Array>} Array of { hookName, command }
+   */
+  async findStaleHooks() {
+    const stale = [];
+    const claudeConfig = await FileUtils.readJsonFile(this.claudeConfigPath, {});
+
+    Object.entries(claudeConfig.hooks || {}).forEach(([hookName, entries]) => {
+      (Array.isArray(entries) ? entries : []).forEach(entry => {
+        (Array.isArray(entry.hooks) ? entry.hooks : [])
+          .filter(hook => this.isStaleHook(hook))
+          .forEach(hook => stale.push({ hookName, command: hook.command }));
+      });
+    });
+
+    return stale;
+  }
+
+  /**
+   * Remove hook commands that point at a stale index.js
+   * @returns {Promise<number>} Number of commands removed
+   */
+  async removeStaleHooks() {
+    const claudeConfig = await FileUtils.readSettingsFile(this.claudeConfigPath);
+    let removedCount = 0;
+
+    Object.keys(claudeConfig.hooks || {}).forEach(hookName => {
+      const entries = claudeConfig.hooks[hookName];
+      if (!Array.isArray(entries)) return;
+
+      claudeConfig.hooks[hookName] = entries.filter(entry => {
+        if (!Array.isArray(entry.hooks)) return true;
+        const before = entry.hooks.length;
+        entry.hooks = entry.hooks.filter(hook => !this.isStaleHook(hook));
+        removedCount += before - entry.hooks.length;
+        return entry.hooks.length > 0;
+      });
+
+      if (claudeConfig.hooks[hookName].length === 0) {
+        delete claudeConfig.hooks[hookName];
+      }
+    });
+
+    if (removedCount > 0) {
+      await FileUtils.writeJsonFile(this.claudeConfigPath, claudeConfig);
+    }
+    return removedCount;
   }
 
   /**
@@ -282,7 +432,7 @@ export class HookManager {
    * @param {Object} backup - Hooks configuration backup
    */
   async restoreHooks(backup) {
-    const claudeConfig = await FileUtils.readJsonFile(this.claudeConfigPath, {});
+    const claudeConfig = await FileUtils.readSettingsFile(this.claudeConfigPath);
     claudeConfig.hooks = backup;
     await FileUtils.writeJsonFile(this.claudeConfigPath, claudeConfig);
   }
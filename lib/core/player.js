@@ -23,22 +23,54 @@ export class SoundPlayer {
     this.playerPath = playerPath;
   }
 
+  /**
+   * Spawn the sound player script for a hook
+   * The payload is written to the player's stdin the same way Claude Code
+   * delivers hook input, so tool-specific sounds can be tested.
+   * @private
+   * @param {string} hookName - Name of the hook/sound to play
+   * @param {Object|null} payload - Hook payload (e.g. { tool_name: 'Bash' })
+   * @param {boolean} testing - Play with --test, skipping hook toggles,
+   *   cooldowns, the concurrent sound limit, quiet hours and do-not-disturb
+   */
+  spawnPlayer(hookName, payload = null, testing = false) {
+    const args = testing ? [this.playerPath, '--test', hookName] : [this.playerPath, hookName];
+    const player = spawn('node', args, {
+      detached: true,
+      stdio: [payload ? 'pipe' : 'ignore', 'ignore', 'ignore']
+    });
+    
+    if (payload) {
+      player.stdin.on('error', () => { /* player exited early */ });
+      player.stdin.end(JSON.stringify({ hook_event_name: hookName, ...payload }));
+    }
+    
+    player.unref();
+  }
+
   /**
    * Test a single sound
    * @param {string} hookName - Name of the hook/sound to test
+   * @param {string|null} toolName - Tool variant to test for tool hooks
    */
-  async testSingle(hookName) {
+  async testSingle(hookName, toolName = null) {
     if (!this.configManager.isSoundEnabled()) {
       console.log(chalk.yellow('Sound is disabled. Enable sound to test.'));
       return;
     }
 
+    await this.testSingleForced(hookName, toolName);
+  }
+
+  /**
+   * Test a single sound (forced - bypasses enabled check for testing)
+   * Hook toggles, rate limits and quiet hours don't hold tests back either.
+   * @param {string} hookName - Name of the hook/sound to test
+   * @param {string|null} toolName - Tool variant to test for tool hooks
+   */
+  async testSingleForced(hookName, toolName = null) {
     try {
-      const player = spawn('node', [this.playerPath, hookName], {
-        detached: true,
-        stdio: 'ignore'
-      });
-      player.unref();
+      this.spawnPlayer(hookName, toolName ? { tool_name: toolName } : null, true);
       
       // Wait a bit for sound to start
       await new Promise(resolve => setTimeout(resolve, 100));
@@ -48,12 +80,13 @@ export class SoundPlayer {
   }
 
   /**
-   * Test a single sound (forced - bypasses enabled check for testing)
-   * @param {string} hookName - Name of the hook/sound to test
+   * Play an audio file that is not part of a theme, at the configured volume
+   * Plays even when sound is disabled, like the other test methods.
+   * @param {string} filePath - Audio file to play
    */
-  async testSingleForced(hookName) {
+  async previewFile(filePath) {
     try {
-      const player = spawn('node', [this.playerPath, hookName], {
+      const player = spawn('node', [this.playerPath, '--preview', filePath], {
         detached: true,
         stdio: 'ignore'
       });
@@ -115,11 +148,7 @@ export class SoundPlayer {
     }
 
     try {
-      const player = spawn('node', [this.playerPath, hookName], {
-        detached: true,
-        stdio: 'ignore'
-      });
-      player.unref();
+      this.spawnPlayer(hookName);
     } catch (error) {
       // Silently fail for production use
     }
@@ -128,12 +157,13 @@ export class SoundPlayer {
   /**
    * Check if sound is available for a hook
    * @param {string} hookName - Name of the hook
+   * @param {string|null} toolName - Tool name for tool hooks
    * @returns {Promise<boolean>} True if sound file exists
    */
-  async isSoundAvailable(hookName) {
+  async isSoundAvailable(hookName, toolName = null) {
     try {
       const currentTheme = this.configManager.getTheme();
-      const soundPath = await this.themeManager.getSoundPath(currentTheme, hookName);
+      const soundPath = await this.themeManager.getSoundPath(currentTheme, hookName, toolName);
       return soundPath !== null;
     } catch {
       return false;
@@ -143,12 +173,13 @@ export class SoundPlayer {
   /**
    * Get sound file path for current theme
    * @param {string} hookName - Name of the hook
+   * @param {string|null} toolName - Tool name for tool hooks
    * @returns {Promise<string|null>} Path to sound file or null
    */
-  async getSoundPath(hookName) {
+  async getSoundPath(hookName, toolName = null) {
     try {
       const currentTheme = this.configManager.getTheme();
-      return await this.themeManager.getSoundPath(currentTheme, hookName);
+      return await this.themeManager.getSoundPath(currentTheme, hookName, toolName);
     } catch {
       return null;
     }
@@ -251,6 +282,20 @@ export class SoundPlayer {
     await this.play('SubagentStop');
   }
 
+  /**
+   * Play pre-compact sound
+   */
+  async playPreCompact() {
+    await this.play('PreCompact');
+  }
+
+  /**
+   * Play session end sound
+   */
+  async playSessionEnd() {
+    await this.play('SessionEnd');
+  }
+
   /**
    * Test sound with volume adjustment
    * @param {string} hookName - Name of the hook to test
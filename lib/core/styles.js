@@ -5,7 +5,67 @@
 
 import fs from 'fs/promises';
 import path from 'path';
-import { FileUtils } from '../utils.js';
+import { FileUtils, ThemeManifest } from '../utils.js';
+
+/**
+ * Split an output style into frontmatter fields, preamble and "## " sections
+ * @param {string} content - Markdown with optional YAML frontmatter
+ * @returns {Object} { fields: Map, preamble, sections: Array<{ heading, text }> }
+ */
+function parseStyle(content) {
+  const fields = new Map();
+  let body = content;
+
+  const frontmatter = content.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+  if (frontmatter) {
+    frontmatter[1].split(/\r?\n/).forEach(line => {
+      const match = line.match(/^([A-Za-z0-9_-]+):\s*(.*)$/);
+      if (match) fields.set(match[1], line);
+    });
+    body = content.slice(frontmatter[0].length);
+  }
+
+  const sections = [];
+  let preamble = '';
+  body.split(/^(?=## )/m).forEach(chunk => {
+    if (chunk.startsWith('## ')) {
+      sections.push({ heading: chunk.split(/\r?\n/)[0].trim(), text: chunk });
+    } else {
+      preamble += chunk;
+    }
+  });
+
+  return { fields, preamble, sections };
+}
+
+/**
+ * Layer a theme's output style over its parent's
+ * Frontmatter fields and "## " sections with the same heading are replaced,
+ * new sections are appended, and a non-empty preamble replaces the parent's.
+ * @param {string} parentContent - Parent theme's (merged) output style
+ * @param {string} childContent - Theme's own output style
+ * @returns {string} Merged output style
+ */
+function mergeStyles(parentContent, childContent) {
+  const parent = parseStyle(parentContent);
+  const child = parseStyle(childContent);
+
+  const fields = new Map([...parent.fields, ...child.fields]);
+  const preamble = child.preamble.trim() ? child.preamble : parent.preamble;
+  const sections = parent.sections.map(section =>
+    child.sections.find(override => override.heading === section.heading) || section
+  );
+  child.sections
+    .filter(section => !parent.sections.some(existing => existing.heading === section.heading))
+    .forEach(section => sections.push(section));
+
+  const frontmatter = fields.size > 0 ? `---\n${[...fields.values()].join('\n')}\n---\n` : '';
+  const body = [preamble, ...sections.map(section => section.text)]
+    .map(text => text.replace(/\s+$/, ''))
+    .filter(text => text)
+    .join('\n\n');
+  return `${frontmatter}${body}\n`;
+}
 
 /**
  * StyleManager Class
@@ -47,22 +107,36 @@ export class StyleManager {
 
   /**
    * Install output style for a theme
+   * The file is the manifest's output_style, or output-style.md. A theme
+   * that extends another is layered over the parent's style section by
+   * section, so it only needs the sections it changes.
    * @param {string} themesBaseDir - Base directory containing themes
    * @param {string} themeName - Name of the theme
    */
   async installThemeStyle(themesBaseDir, themeName) {
-    const themeOutputStylePath = path.join(themesBaseDir, themeName, 'output-style.md');
+    // Most distant parent first, so nearer themes override it
+    const chain = ThemeManifest.resolveThemeChain(themesBaseDir, themeName).reverse();
+    let content = null;
     
-    // Check if this theme has an output style file
+    for (const theme of chain) {
+      try {
+        const style = await fs.readFile(ThemeManifest.resolveOutputStyle(theme.dir), 'utf8');
+        content = content === null ? style : mergeStyles(content, style);
+      } catch {
+        // No output style in this theme
+      }
+    }
+    
+    if (content === null) {
+      // Output style file doesn't exist for this theme, skip
+      return;
+    }
+    
+    // Write to ~/.claude/output-styles with theme name prefix
     try {
-      await fs.access(themeOutputStylePath);
-      
-      // Copy to ~/.claude/output-styles with theme name prefix
-      const targetPath = path.join(this.outputStylesDir, `${themeName}.md`);
-      await fs.copyFile(themeOutputStylePath, targetPath);
-      
+      await fs.writeFile(path.join(this.outputStylesDir, `${themeName}.md`), content);
     } catch (error) {
-      // Output style file doesn't exist for this theme, skip
+      // Output styles directory not writable, skip
     }
   }
 
@@ -73,7 +147,7 @@ export class StyleManager {
   async setActiveStyle(themeName) {
     try {
       // Read existing Claude settings
-      const claudeConfig = await FileUtils.readJsonFile(this.claudeConfigPath, {});
+      const claudeConfig = await FileUtils.readSettingsFile(this.claudeConfigPath);
       
       if (themeName === 'system') {
         // Remove outputStyle to restore default behavior
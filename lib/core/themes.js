@@ -4,8 +4,19 @@
  */
 
 import fs from 'fs/promises';
+import { existsSync } from 'fs';
 import path from 'path';
-import { FileUtils } from '../utils.js';
+import { Paths, FileUtils, ConfigDefaults, SoundUtils, ThemeManifest, AudioBackends, AudioFile } from '../utils.js';
+
+const {
+  MANIFEST_FILE,
+  DEFAULT_OUTPUT_STYLE,
+  loadThemeManifest,
+  getManifestSoundFiles,
+  listSoundVariants,
+  resolveOutputStyle,
+  resolveThemeChain
+} = ThemeManifest;
 
 /**
  * ThemeManager Class
@@ -49,61 +60,268 @@ export class ThemeManager {
     return themes;
   }
 
+  /**
+   * Get information for a single theme
+   * @param {string} themeName - Name of the theme
+   * @returns {Promise<Object|null>} Theme information or null if not found
+   */
+  async get(themeName) {
+    if (!await this.exists(themeName)) {
+      return null;
+    }
+    return await this.getThemeInfo(this.getThemePath(themeName), themeName);
+  }
+
   /**
    * Get theme information
+   * Metadata comes from theme.json when present; the description falls back
+   * to the first line of README.md. soundSources tells which theme of the
+   * inheritance chain plays each hook event, soundDetails the duration,
+   * sample rate, channels and size of each file, and longSounds the files
+   * too long for hooks that fire on every tool call.
    * @private
    * @param {string} themePath - Path to theme directory
    * @param {string} themeName - Name of the theme
    * @returns {Promise<Object>} Theme information object
    */
   async getThemeInfo(themePath, themeName) {
-    let description = 'No description';
+    const { manifest, errors } = loadThemeManifest(themePath);
+    const description = manifest && manifest.description ?
+      manifest.description :
+      await this.readReadmeDescription(themePath);
     
+    // Get list of sound files
+    const soundVariants = await this.getThemeSoundVariants(themePath);
+    const soundFiles = Object.keys(soundVariants);
+    const soundDetails = this.getSoundDetails(themePath, soundVariants);
+    const soundSources = await this.getSoundSources(this.getThemeChain(themeName));
+    const ownOutputStyle = await this.hasOutputStyle(themePath);
+    const outputStyleInherited = await this.inheritsOutputStyle(themeName);
+    
+    return {
+      name: themeName,
+      displayName: manifest && manifest.name ? manifest.name : themeName,
+      description,
+      version: manifest ? manifest.version : null,
+      author: manifest ? manifest.author : null,
+      license: manifest ? manifest.license : null,
+      volume: manifest ? manifest.volume : null,
+      extends: manifest ? manifest.extends : null,
+      hasManifest: manifest !== null || errors.length > 0,
+      manifestErrors: errors,
+      path: themePath,
+      soundFiles,
+      soundVariants,
+      soundDetails,
+      longSounds: this.getLongSounds(soundVariants, soundDetails),
+      variantStrategy: manifest ? manifest.variantStrategy : null,
+      soundSources,
+      inheritedSounds: Object.keys(soundSources)
+        .filter(event => soundSources[event] !== null && soundSources[event] !== themeName),
+      hasOutputStyle: ownOutputStyle || outputStyleInherited,
+      outputStyleInherited
+    };
+  }
+
+  /**
+   * Themes searched for a theme's sounds, nearest first
+   * The theme, the themes it extends ("extends" in theme.json), then the
+   * fallback_theme from config and its parents.
+   * @param {string} themeName - Name of theme
+   * @param {Object} options - { fallback: include the fallback theme }
+   * @returns {Array<Object>} { name, dir, manifest } entries
+   */
+  getThemeChain(themeName, { fallback = true } = {}) {
+    return resolveThemeChain(this.themesDir, themeName, fallback ? this.getFallbackTheme() : null);
+  }
+
+  /**
+   * Get the configured fallback theme
+   * @private
+   * @returns {string|null} Theme name, or null for no fallback
+   */
+  getFallbackTheme() {
+    try {
+      return this.configManager.get('fallback_theme') || null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Which theme of a chain plays each hook event
+   * The first theme with a sound for the event (or for the hook it falls
+   * back to) wins, as in the sound runtime.
+   * @private
+   * @param {Array<Object>} chain - Result of getThemeChain()
+   * @returns {Promise<Object>} { <Event>: theme name, or null if none has one }
+   */
+  async getSoundSources(chain) {
+    const chainSounds = [];
+    for (const theme of chain) {
+      chainSounds.push({ name: theme.name, sounds: await this.getThemeSoundVariants(theme.dir) });
+    }
+    
+    const sources = {};
+    for (const { event } of ConfigDefaults.hookDefinitions) {
+      const candidates = SoundUtils.getSoundCandidates(event);
+      const source = chainSounds.find(theme => candidates.some(name => name in theme.sounds));
+      sources[event] = source ? source.name : null;
+    }
+    return sources;
+  }
+
+  /**
+   * Check if a theme's installed output style includes a parent's style
+   * Output styles are inherited through "extends" only, not the fallback theme.
+   * @private
+   * @param {string} themeName - Name of theme
+   * @returns {Promise<boolean>} True if a theme it extends has an output style
+   */
+  async inheritsOutputStyle(themeName) {
+    for (const parent of this.getThemeChain(themeName, { fallback: false }).slice(1)) {
+      if (await this.hasOutputStyle(parent.dir)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Read a description from the first line of a theme's README.md
+   * @private
+   * @param {string} themePath - Path to theme directory
+   * @returns {Promise<string>} Description or "No description"
+   */
+  async readReadmeDescription(themePath) {
     try {
       const readmePath = path.join(themePath, 'README.md');
       const readmeContent = await fs.readFile(readmePath, 'utf8');
       // Extract first line as description
       const firstLine = readmeContent.split('\n')[0].replace(/^#+\s*/, '');
       if (firstLine.trim()) {
-        description = firstLine.trim();
+        return firstLine.trim();
       }
     } catch {
       // README doesn't exist or can't be read
     }
-    
-    // Get list of sound files
-    const soundFiles = await this.getThemeSoundFiles(themePath);
-    
-    return {
-      name: themeName,
-      description,
-      path: themePath,
-      soundFiles,
-      hasOutputStyle: await this.hasOutputStyle(themePath)
-    };
+    return 'No description';
   }
 
   /**
-   * Get list of sound files in a theme
+   * Get list of sounds in a theme
+   * Sounds mapped in theme.json are listed by their hook name; other audio
+   * files follow the filename convention. Tool-specific variants are
+   * included as "<Hook>.<Tool>" (e.g. "PreToolUse.Bash"). This lists sound
+   * names only: numbered files and folders of one sound are listed once,
+   * so use getThemeSoundVariants() for the files themselves.
    * @private
    * @param {string} themePath - Path to theme directory
-   * @returns {Promise<Array>} Array of sound file names
+   * @returns {Promise<Array>} Array of sound names without extension
    */
   async getThemeSoundFiles(themePath) {
-    const soundFiles = [];
+    return Object.keys(await this.getThemeSoundVariants(themePath));
+  }
+
+  /**
+   * Get the files of every sound in a theme
+   * A sound with several files ("Stop.1.wav", "Stop.2.wav", a "Stop/"
+   * folder or a list in theme.json) plays one of them each time.
+   * @param {string} themePath - Path to theme directory
+   * @returns {Promise<Object>} { <Sound>: Array of paths relative to the theme }
+   */
+  async getThemeSoundVariants(themePath) {
+    const { manifest } = loadThemeManifest(themePath);
+    const variants = listSoundVariants(themePath, manifest, ThemeManager.soundExtensions);
     
-    try {
-      const files = await fs.readdir(themePath);
-      for (const file of files) {
-        if (file.endsWith('.wav') || file.endsWith('.mp3')) {
-          soundFiles.push(file.replace(/\.(wav|mp3)$/, ''));
-        }
+    const relative = {};
+    for (const [soundName, files] of Object.entries(variants)) {
+      relative[soundName] = files.map(variant => path.relative(themePath, variant.file));
+    }
+    return relative;
+  }
+
+  /**
+   * Read the header of every sound file in a theme
+   * @param {string} themePath - Path to theme directory
+   * @param {Object} soundVariants - Result of getThemeSoundVariants()
+   * @returns {Object} { <file relative to the theme>: { format, size,
+   *   duration, sampleRate, channels, bitsPerSample } }; duration, sample
+   *   rate and channels are null for formats other than WAV and AIFF
+   */
+  getSoundDetails(themePath, soundVariants) {
+    const details = {};
+    Object.values(soundVariants).flat().forEach(file => {
+      const info = AudioFile.getAudioInfo(path.join(themePath, file));
+      if (info) {
+        details[file] = info;
       }
+    });
+    return details;
+  }
+
+  /**
+   * Find sound files too long for hooks that fire on every tool call
+   * The limit is max_frequent_sound_seconds from config; 0 turns it off.
+   * @param {Object} soundVariants - Result of getThemeSoundVariants()
+   * @param {Object} soundDetails - Result of getSoundDetails()
+   * @returns {Array<Object>} { sound, file, duration } entries
+   */
+  getLongSounds(soundVariants, soundDetails) {
+    const maxSeconds = this.getMaxFrequentSoundSeconds();
+    if (!maxSeconds) {
+      return [];
+    }
+    
+    const frequentHooks = ConfigDefaults.frequentHooks;
+    const longSounds = [];
+    for (const [sound, files] of Object.entries(soundVariants)) {
+      if (!frequentHooks.includes(sound.split('.')[0])) continue;
+      files
+        .filter(file => soundDetails[file] && soundDetails[file].duration > maxSeconds)
+        .forEach(file => longSounds.push({ sound, file, duration: soundDetails[file].duration }));
+    }
+    return longSounds;
+  }
+
+  /**
+   * Get the configured length above which tool hook sounds get a warning
+   * @private
+   * @returns {number} Seconds, 0 for no warning
+   */
+  getMaxFrequentSoundSeconds() {
+    try {
+      const value = this.configManager.get('max_frequent_sound_seconds');
+      return typeof value === 'number' ? value : ConfigDefaults.defaultConfig.max_frequent_sound_seconds;
     } catch {
-      // Error reading theme directory
+      return ConfigDefaults.defaultConfig.max_frequent_sound_seconds;
+    }
+  }
+
+  /**
+   * Get tool-specific sound variants a theme plays for a hook
+   * Variants of inherited themes count until a theme in the chain has its
+   * own plain sound for the hook, since that sound wins for every tool.
+   * @param {string} themeName - Name of theme
+   * @param {string} hookName - Tool hook name (PreToolUse or PostToolUse)
+   * @returns {Promise<Array>} Tool names or variants, e.g. ["Bash", "Edit"]
+   */
+  async getToolVariants(themeName, hookName) {
+    if (!ConfigDefaults.toolHooks.includes(hookName)) {
+      return [];
+    }
+    
+    const prefix = `${hookName}.`;
+    const variants = new Set();
+    for (const theme of this.getThemeChain(themeName)) {
+      const soundVariants = await this.getThemeSoundVariants(theme.dir);
+      Object.keys(soundVariants)
+        .filter(name => name.startsWith(prefix))
+        .forEach(name => variants.add(name.slice(prefix.length)));
+      if (hookName in soundVariants) break;
     }
     
-    return soundFiles;
+    return [...variants].sort();
   }
 
   /**
@@ -114,29 +332,91 @@ export class ThemeManager {
    */
   async hasOutputStyle(themePath) {
     try {
-      await fs.access(path.join(themePath, 'output-style.md'));
+      await fs.access(resolveOutputStyle(themePath));
       return true;
     } catch {
       return false;
     }
   }
 
+  /**
+   * Sound file extensions themes can use, in lookup order
+   * @returns {Array<string>}
+   */
+  static get soundExtensions() {
+    return AudioBackends.SOUND_FORMATS;
+  }
+
+  /**
+   * Check that a theme name is usable as a directory and output style name
+   * @param {string} themeName - Name to check
+   * @returns {boolean} True for names like "retro-arcade" or "team_v2"
+   */
+  static isValidName(themeName) {
+    return ThemeManifest.isThemeName(themeName);
+  }
+
+  /**
+   * Check whether a theme ships with Claude Gamify (system, zelda)
+   * Built-in themes are restored on upgrade, so they can't be removed or
+   * replaced.
+   * @param {string} themeName - Name to check
+   * @returns {boolean} True for themes in the package's template/themes
+   */
+  static isBuiltIn(themeName) {
+    return ThemeManager.isValidName(themeName) && existsSync(path.join(Paths.templateDir, 'themes', themeName));
+  }
+
+  /**
+   * Check a name for a new theme
+   * @param {string} themeName - Proposed name
+   * @returns {Promise<true|string>} true, or why the name can't be used
+   */
+  async validateNewName(themeName) {
+    if (!ThemeManager.isValidName(themeName)) {
+      return 'Use letters, digits, ".", "_" and "-" (starting with a letter or digit)';
+    }
+    if (await this.exists(themeName)) {
+      return `Theme "${themeName}" already exists`;
+    }
+    if (ThemeManager.isBuiltIn(themeName)) {
+      return `"${themeName}" is a built-in theme name`;
+    }
+    return true;
+  }
+
   /**
    * Install a theme from source
+   * An existing theme with the same name is an error (code THEME_EXISTS)
+   * unless overwrite is set; built-in themes are never replaced (the error
+   * has builtIn set).
    * @param {string} sourcePath - Path to theme source
    * @param {string} themeName - Name for the installed theme
+   * @param {Object} options - { overwrite: replace an existing theme }
    */
-  async install(sourcePath, themeName) {
+  async install(sourcePath, themeName, { overwrite = false } = {}) {
+    if (!ThemeManager.isValidName(themeName)) {
+      throw new Error(`Invalid theme name "${themeName}" (use letters, digits, ".", "_" and "-")`);
+    }
+    if (ThemeManager.isBuiltIn(themeName)) {
+      const error = new Error(`"${themeName}" is a built-in theme and can't be replaced`);
+      error.code = 'THEME_EXISTS';
+      error.themeName = themeName;
+      error.builtIn = true;
+      throw error;
+    }
+    
     const destPath = path.join(this.themesDir, themeName);
     
     // Check if theme already exists
-    try {
-      await fs.access(destPath);
-      throw new Error(`Theme "${themeName}" already exists`);
-    } catch (error) {
-      if (error.code !== 'ENOENT') {
+    if (await this.exists(themeName)) {
+      if (!overwrite) {
+        const error = new Error(`Theme "${themeName}" already exists`);
+        error.code = 'THEME_EXISTS';
+        error.themeName = themeName;
         throw error;
       }
+      await fs.rm(destPath, { recursive: true, force: true });
     }
     
     // Copy theme files
@@ -148,7 +428,10 @@ export class ThemeManager {
    * @param {string} themeName - Name of theme to remove
    */
   async remove(themeName) {
-    if (themeName === 'system') {
+    if (!ThemeManager.isValidName(themeName)) {
+      throw new Error(`Invalid theme name "${themeName}"`);
+    }
+    if (ThemeManager.isBuiltIn(themeName)) {
       throw new Error('Cannot remove built-in themes');
     }
 
@@ -193,10 +476,15 @@ export class ThemeManager {
 
   /**
    * Check if a theme exists
+   * Names that aren't valid theme names (paths, "..") never exist.
    * @param {string} themeName - Name of theme to check
    * @returns {Promise<boolean>} True if theme exists
    */
   async exists(themeName) {
+    if (!ThemeManager.isValidName(themeName)) {
+      return false;
+    }
+    
     try {
       const themePath = path.join(this.themesDir, themeName);
       await fs.access(themePath);
@@ -217,26 +505,54 @@ export class ThemeManager {
 
   /**
    * Get sound file path for a theme
+   * For tool hooks, "<Hook>.<Tool>" and configured tool_sounds variants are
+   * tried before falling back to the plain hook sound. Files mapped in
+   * theme.json win over the filename convention. Themes the theme extends,
+   * then the fallback theme, are searched when it has no sound.
    * @param {string} themeName - Name of theme
    * @param {string} soundName - Name of sound (without extension)
+   * @param {string|null} toolName - Tool name for PreToolUse/PostToolUse
    * @returns {Promise<string|null>} Path to sound file or null if not found
    */
-  async getSoundPath(themeName, soundName) {
-    const themePath = this.getThemePath(themeName);
+  async getSoundPath(themeName, soundName, toolName = null) {
+    const variants = await this.getSoundVariants(themeName, soundName, toolName);
+    return variants.length > 0 ? variants[0] : null;
+  }
+
+  /**
+   * Get every file that can play for a sound
+   * Resolved like getSoundPath(); the runtime picks one of them using the
+   * variant_strategy.
+   * @param {string} themeName - Name of theme
+   * @param {string} soundName - Name of sound (without extension)
+   * @param {string|null} toolName - Tool name for PreToolUse/PostToolUse
+   * @returns {Promise<Array<string>>} Absolute paths; empty if no theme has the sound
+   */
+  async getSoundVariants(themeName, soundName, toolName = null) {
+    const candidates = SoundUtils.getSoundCandidates(soundName, toolName, this.getToolSounds());
     
-    // Try different extensions
-    const extensions = ['.wav', '.mp3'];
-    for (const ext of extensions) {
-      const soundPath = path.join(themePath, soundName + ext);
-      try {
-        await fs.access(soundPath);
-        return soundPath;
-      } catch {
-        // File doesn't exist with this extension
+    for (const theme of this.getThemeChain(themeName)) {
+      const themeSounds = listSoundVariants(theme.dir, theme.manifest, ThemeManager.soundExtensions);
+      const candidate = candidates.find(name => themeSounds[name]);
+      if (candidate) {
+        return themeSounds[candidate].map(variant => variant.file);
       }
     }
     
-    return null;
+    return [];
+  }
+
+  /**
+   * Get configured tool name to sound variant mapping
+   * @private
+   * @returns {Object} Map of tool name patterns to variants
+   */
+  getToolSounds() {
+    try {
+      return this.configManager.get('tool_sounds') || {};
+    } catch {
+      return {};
+    }
   }
 
   /**
@@ -245,7 +561,7 @@ export class ThemeManager {
    * @returns {Promise<string|null>} Path to output style or null if not found
    */
   async getOutputStylePath(themeName) {
-    const stylePath = path.join(this.getThemePath(themeName), 'output-style.md');
+    const stylePath = resolveOutputStyle(this.getThemePath(themeName));
     try {
       await fs.access(stylePath);
       return stylePath;
@@ -256,6 +572,9 @@ export class ThemeManager {
 
   /**
    * Validate theme structure
+   * An invalid theme.json, or one that maps sounds to missing files, makes
+   * the theme invalid. Tool hook sounds longer than
+   * max_frequent_sound_seconds are warnings.
    * @param {string} themePath - Path to theme directory
    * @returns {Promise<Object>} Validation result
    */
@@ -274,18 +593,44 @@ export class ThemeManager {
         return result;
       }
       
-      // Check for at least one sound file
       const files = await fs.readdir(themePath);
-      const soundFiles = files.filter(f => f.endsWith('.wav') || f.endsWith('.mp3'));
+      const { manifest, errors } = loadThemeManifest(themePath);
+      
+      // Check the manifest and the files it maps
+      errors.forEach(error => result.errors.push(error));
+      if (manifest) {
+        this.validateManifestSounds(themePath, manifest, result);
+        
+        if (manifest.outputStyle !== DEFAULT_OUTPUT_STYLE && !await this.hasOutputStyle(themePath)) {
+          result.errors.push(`output_style file not found: ${manifest.outputStyle}`);
+        }
+        
+        if (manifest.extends && !await this.exists(manifest.extends)) {
+          result.warnings.push(`Extends "${manifest.extends}", which is not installed; its sounds won't play`);
+        }
+      }
+      if (result.errors.length > 0) {
+        result.valid = false;
+      }
+      
+      // Check for at least one sound file
+      const soundVariants = await this.getThemeSoundVariants(themePath);
       
-      if (soundFiles.length === 0) {
+      if (Object.keys(soundVariants).length === 0 && !(manifest && manifest.extends)) {
         result.warnings.push('No sound files found in theme');
       }
       
-      // Check for README
+      // Long sounds on tool hooks overlap and get cut off
+      const soundDetails = this.getSoundDetails(themePath, soundVariants);
+      this.getLongSounds(soundVariants, soundDetails).forEach(({ sound, file, duration }) => {
+        result.warnings.push(`${file} is ${AudioFile.formatDuration(duration)} long; ${sound} plays on every tool call, ` +
+          `keep it under ${this.getMaxFrequentSoundSeconds()}s (max_frequent_sound_seconds)`);
+      });
+      
+      // Check for a description (README or manifest)
       const hasReadme = files.includes('README.md');
-      if (!hasReadme) {
-        result.warnings.push('No README.md file found');
+      if (!hasReadme && !(manifest && manifest.description)) {
+        result.warnings.push(`No README.md file or ${MANIFEST_FILE} description found`);
       }
       
     } catch (error) {
@@ -296,6 +641,38 @@ export class ThemeManager {
     return result;
   }
 
+  /**
+   * Check the sounds a manifest maps
+   * Missing files are errors; hook names the registry doesn't know and
+   * weights for missing files are warnings.
+   * @private
+   * @param {string} themePath - Path to theme directory
+   * @param {Object} manifest - Loaded manifest
+   * @param {Object} result - Validation result to add to
+   */
+  validateManifestSounds(themePath, manifest, result) {
+    const knownEvents = ConfigDefaults.hookDefinitions.map(hook => hook.event);
+    
+    for (const [soundName, files] of Object.entries(manifest.sounds)) {
+      const [event, variant] = soundName.split('.');
+      if (!knownEvents.includes(event)) {
+        result.warnings.push(`sounds.${soundName}: unknown hook "${event}"`);
+      } else if (variant && !ConfigDefaults.toolHooks.includes(event)) {
+        result.warnings.push(`sounds.${soundName}: ${event} has no tool variants`);
+      }
+      
+      const existing = getManifestSoundFiles(themePath, manifest, soundName);
+      files
+        .filter(file => !existing.includes(path.join(themePath, file)))
+        .forEach(file => result.errors.push(`sounds.${soundName}: file not found: ${file}`));
+    }
+    
+    // Weights for files that aren't there have no effect
+    Object.keys(manifest.weights)
+      .filter(file => !existsSync(path.join(themePath, file)))
+      .forEach(file => result.warnings.push(`weights.${file}: file not found`));
+  }
+
   /**
    * Copy theme to a new name
    * @param {string} sourceName - Source theme name
@@ -324,6 +701,6 @@ export class ThemeManager {
    */
   async getRemovableThemes() {
     const themes = await this.list();
-    return themes.filter(t => t.name !== 'system').map(t => t.name);
+    return themes.filter(t => !ThemeManager.isBuiltIn(t.name)).map(t => t.name);
   }
 }
\ No newline at end of file
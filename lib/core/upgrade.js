@@ -6,7 +6,7 @@
 import fs from 'fs/promises';
 import path from 'path';
 import crypto from 'crypto';
-import { Paths, FileUtils, SystemUtils } from '../utils.js';
+import { Paths, FileUtils, SystemUtils, ThemeManifest, AudioBackends } from '../utils.js';
 
 async function fileExists(p) {
   try {
@@ -52,11 +52,120 @@ function mergeConfigurations(localConfig, templateConfig) {
 }
 
 export class UpgradeManager {
+  /**
+   * Runtime files deployed to ~/.claude-gamify from the template
+   * @returns {Array<Object>} Array of { name, src, dest, mode }
+   */
+  static get runtimeFiles() {
+    return [
+      { name: 'play_sound.js', src: path.join(Paths.templateDir, 'play_sound.js'), dest: Paths.playerPath, mode: 0o755 },
+      { name: 'index.js', src: path.join(Paths.templateDir, 'index.js'), dest: Paths.indexPath },
+      { name: 'hooks.json', src: Paths.templateHookRegistryPath, dest: Paths.hookRegistryPath },
+      { name: 'theme_manifest.cjs', src: Paths.templateThemeManifestModulePath, dest: Paths.themeManifestModulePath },
+      { name: 'rate_limit.cjs', src: Paths.templateRateLimitModulePath, dest: Paths.rateLimitModulePath },
+      { name: 'quiet_hours.cjs', src: Paths.templateQuietHoursModulePath, dest: Paths.quietHoursModulePath },
+      { name: 'audio_backends.cjs', src: Paths.templateAudioBackendsModulePath, dest: Paths.audioBackendsModulePath },
+      { name: 'audio_file.cjs', src: Paths.templateAudioFileModulePath, dest: Paths.audioFileModulePath },
+      { name: 'sound_lookup.cjs', src: Paths.templateSoundLookupModulePath, dest: Paths.soundLookupModulePath },
+      { name: 'project_config.cjs', src: Paths.templateProjectConfigModulePath, dest: Paths.projectConfigModulePath }
+    ];
+  }
+
+  /**
+   * Compare deployed runtime files with the template
+   * @returns {Promise<Array<Object>>} Array of { name, dest, state } where
+   *   state is 'ok', 'missing' or 'outdated'
+   */
+  static async getRuntimeFileStatus() {
+    const status = [];
+    for (const file of UpgradeManager.runtimeFiles) {
+      const destHash = await hashFile(file.dest);
+      let state = 'ok';
+      if (!destHash) {
+        state = 'missing';
+      } else if (destHash !== await hashFile(file.src)) {
+        state = 'outdated';
+      }
+      status.push({ name: file.name, dest: file.dest, state });
+    }
+    return status;
+  }
+
+  /**
+   * Copy runtime files that are missing or differ from the template
+   * @returns {Promise<Array<string>>} Names of files that were copied
+   */
+  static async syncRuntimeFiles() {
+    const copied = [];
+    for (const file of UpgradeManager.runtimeFiles) {
+      try {
+        if (await copyIfChanged(file.src, file.dest, file.mode)) {
+          copied.push(file.name);
+        }
+      } catch { /* ignore */ }
+    }
+    return copied;
+  }
+
+  /**
+   * Sync built-in theme sounds and output styles from the template,
+   * then point Claude's output style at the active theme
+   * @param {ConfigManager} configManager - Configuration manager
+   * @param {Array<StyleManager>} styleManagers - Style managers of the scopes
+   *   where Claude Gamify is installed
+   */
+  static async syncThemeFiles(configManager, styleManagers = []) {
+    const styleDirs = [...new Set(styleManagers.map(manager => manager.outputStylesDir))];
+
+    const templateThemesDir = path.join(Paths.templateDir, 'themes');
+    const entries = await fs.readdir(templateThemesDir, { withFileTypes: true });
+    for (const entry of entries) {
+      if (!entry.isDirectory()) continue;
+      const themeName = entry.name;
+      const srcThemeDir = path.join(templateThemesDir, themeName);
+      const destThemeDir = path.join(Paths.themesDir, themeName);
+      await fs.mkdir(destThemeDir, { recursive: true });
+
+      const outputStyle = path.basename(ThemeManifest.resolveOutputStyle(srcThemeDir));
+      const themeFiles = await fs.readdir(srcThemeDir, { withFileTypes: true });
+      for (const f of themeFiles) {
+        const src = path.join(srcThemeDir, f.name);
+        if (f.isDirectory()) continue; // no nested dirs expected
+        // Audio files, manifest and output style -> ~/.claude-gamify/themes/<theme>/
+        // (themes that extend this one build their output style from it)
+        if (AudioBackends.SOUND_FORMATS.includes(path.extname(f.name).toLowerCase()) ||
+            f.name === ThemeManifest.MANIFEST_FILE || f.name === outputStyle) {
+          const dest = path.join(destThemeDir, f.name);
+          await copyIfChanged(src, dest);
+        }
+        // Output style -> <scope>/output-styles/<theme>.md
+        if (f.name === outputStyle) {
+          for (const styleDir of styleDirs) {
+            await copyIfChanged(src, path.join(styleDir, `${themeName}.md`));
+          }
+        }
+      }
+    }
+    // Ensure Claude's active output style reflects current theme, rebuilding
+    // it in case the theme extends one that was just updated
+    try {
+      const theme = configManager.getTheme();
+      for (const styleManager of styleManagers) {
+        await styleManager.installThemeStyle(Paths.themesDir, theme);
+        await styleManager.setActiveStyle(theme);
+      }
+    } catch { /* ignore */ }
+  }
+
   /**
    * Perform silent upgrade if needed based on version/config/files
+   * @param {ConfigManager} configManager - Loaded configuration manager
+   * @param {ThemeManager} themeManager - Theme manager
+   * @param {Array<Object>} scopes - Installed scopes ({ hookManager, styleManager });
+   *   hooks and output styles are only refreshed where already installed
    * @returns {string|null} New version if upgraded, null if no upgrade needed or failed
    */
-  static async silentUpgradeOnStartup(configManager, themeManager, styleManager) {
+  static async silentUpgradeOnStartup(configManager, themeManager, scopes = []) {
     // Determine current package/template version
     const pkgVersion = SystemUtils.getSystemInfo().version;
 
@@ -70,12 +179,12 @@ export class UpgradeManager {
 
     const needsVersionUpgrade = !localConfig.version || localConfig.version !== pkgVersion;
 
-    // Check for critical files
-    const needsPlayer = !(await fileExists(Paths.playerPath));
-    const needsIndex = !(await fileExists(Paths.indexPath));
+    // Check for runtime files that were never deployed (e.g. modules added since)
+    const deployed = await Promise.all(UpgradeManager.runtimeFiles.map(file => fileExists(file.dest)));
+    const needsRuntimeFiles = deployed.some(exists => !exists);
 
     // If nothing to do, return early
-    if (!needsVersionUpgrade && !needsPlayer && !needsIndex) {
+    if (!needsVersionUpgrade && !needsRuntimeFiles) {
       return null;
     }
 
@@ -92,45 +201,22 @@ export class UpgradeManager {
 
     // 2) Incremental sync of theme files and output styles
     try {
-      const templateThemesDir = path.join(Paths.templateDir, 'themes');
-      const entries = await fs.readdir(templateThemesDir, { withFileTypes: true });
-      for (const entry of entries) {
-        if (!entry.isDirectory()) continue;
-        const themeName = entry.name;
-        const srcThemeDir = path.join(templateThemesDir, themeName);
-        const destThemeDir = path.join(Paths.themesDir, themeName);
-        await fs.mkdir(destThemeDir, { recursive: true });
-
-        const themeFiles = await fs.readdir(srcThemeDir, { withFileTypes: true });
-        for (const f of themeFiles) {
-          const src = path.join(srcThemeDir, f.name);
-          if (f.isDirectory()) continue; // no nested dirs expected
-          // Audio files -> ~/.claude-gamify/themes/<theme>/*.wav|*.mp3
-          if (f.name.endsWith('.wav') || f.name.endsWith('.mp3')) {
-            const dest = path.join(destThemeDir, f.name);
-            await copyIfChanged(src, dest);
-          }
-          // output-style.md -> ~/.claude/output-styles/<theme>.md
-          if (f.name === 'output-style.md') {
-            const dest = path.join(Paths.claudeOutputStylesDir, `${themeName}.md`);
-            await copyIfChanged(src, dest);
-          }
-        }
-      }
-      // Ensure Claude's active output style reflects current theme
-      try {
-        const theme = configManager.getTheme();
-        await styleManager.setActiveStyle(theme);
-      } catch { /* ignore */ }
+      await UpgradeManager.syncThemeFiles(configManager, scopes.map(scope => scope.styleManager));
     } catch { /* ignore */ }
 
-    // 3) Ensure core player and index are present and updated if changed
-    try {
-      await copyIfChanged(path.join(Paths.templateDir, 'play_sound.js'), Paths.playerPath, 0o755);
-    } catch { /* ignore */ }
-    try {
-      await copyIfChanged(path.join(Paths.templateDir, 'index.js'), Paths.indexPath);
-    } catch { /* ignore */ }
+    // 3) Ensure core player, index and hook registry are present and updated if changed
+    await UpgradeManager.syncRuntimeFiles();
+
+    // The next hook detects audio players again (the backend list may have changed)
+    AudioBackends.clearBackendCache(Paths.backendCacheFile);
+
+    // 4) Re-register hooks so new events are picked up; setup merges with
+    //    existing entries, so user-defined hooks in settings.json are kept
+    for (const { hookManager } of scopes) {
+      try {
+        await hookManager.setup();
+      } catch { /* ignore */ }
+    }
     
     // Return the version we upgraded to
     return pkgVersion;
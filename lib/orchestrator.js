@@ -5,21 +5,32 @@
 
 import fs from 'fs/promises';
 import path from 'path';
+import os from 'os';
 import ora from 'ora';
-import { Paths, SystemUtils, FileUtils } from './utils.js';
+import { Paths, SystemUtils, FileUtils, ConfigDefaults, ConfigUtils, ThemeManifest, QuietHours, AudioBackends } from './utils.js';
 import { ConfigManager } from './core/config.js';
 import { ThemeManager } from './core/themes.js';
 import { HookManager } from './core/hooks.js';
 import { StyleManager } from './core/styles.js';
 import { UpgradeManager } from './core/upgrade.js';
 import { SoundPlayer } from './core/player.js';
+import { Doctor } from './core/doctor.js';
+import { ThemeArchive } from './core/archive.js';
 
 class ClaudeSound {
-  constructor() {
+  /**
+   * @param {Object} options - { scope: 'user' | 'project' | 'local' } settings
+   *   file that init installs hooks and the output style into
+   */
+  constructor(options = {}) {
+    const { scope = 'user' } = options;
+    const scopePaths = Paths.scopePaths(scope);
+
+    this.scope = scope;
     this.configManager = new ConfigManager(Paths.configFile);
     this.themeManager = new ThemeManager(Paths.themesDir, this.configManager);
-    this.hookManager = new HookManager(Paths.claudeConfigPath, Paths.indexPath);
-    this.styleManager = new StyleManager(Paths.claudeConfigPath, Paths.claudeOutputStylesDir);
+    this.hookManager = new HookManager(scopePaths.settingsPath, scopePaths.hookIndexPath);
+    this.styleManager = new StyleManager(scopePaths.settingsPath, scopePaths.outputStylesDir);
     this.soundPlayer = new SoundPlayer(this.configManager, this.themeManager, Paths.playerPath);
     this.upgradeVersion = null; // Store upgrade result version
   }
@@ -34,7 +45,7 @@ class ClaudeSound {
       this.upgradeVersion = await UpgradeManager.silentUpgradeOnStartup(
         this.configManager,
         this.themeManager,
-        this.styleManager
+        await this.detectInstalledScopes()
       );
     } catch (error) {
       throw new Error('NOT_INITIALIZED');
@@ -43,11 +54,16 @@ class ClaudeSound {
 
   /**
    * One-click initialization - deploy complete system
+   * @returns {Promise<Object>} Summary of hook changes made in settings.json
    */
   async init() {
     const spinner = ora('Initializing Claude Gamify...').start();
 
     try {
+      // Adding a project or local scope keeps the existing configuration
+      const keepConfig = this.scope !== 'user' &&
+        await this.configManager.load().then(() => true, () => false);
+
       // Create directory structure
       spinner.text = 'Creating directories...';
       await this.createDirectoryStructure();
@@ -55,10 +71,12 @@ class ClaudeSound {
       // Deploy player and core files
       spinner.text = 'Installing sound player...';
       await this.deploySystemFiles();
+      // Players may have been installed or removed since they were detected
+      AudioBackends.clearBackendCache(Paths.backendCacheFile);
 
       // Set up Claude Code hooks
       spinner.text = 'Configuring Claude Code hooks...';
-      await this.hookManager.setup();
+      const hookSummary = await this.hookManager.setup();
 
       // Set up output styles
       spinner.text = 'Installing output styles...';
@@ -67,9 +85,15 @@ class ClaudeSound {
 
       // Initialize default configuration
       spinner.text = 'Setting up configuration...';
-      await this.configManager.initialize();
+      if (keepConfig) {
+        await this.configManager.save();
+        await this.styleManager.setActiveStyle(this.configManager.getTheme());
+      } else {
+        await this.configManager.initialize();
+      }
 
       spinner.succeed('Claude Gamify initialized successfully!');
+      return hookSummary;
     } catch (error) {
       spinner.fail(`Initialization failed: ${error.message}`);
       throw error;
@@ -84,8 +108,71 @@ class ClaudeSound {
     
     await fs.mkdir(Paths.claudeGamifyDir, { recursive: true });
     await fs.mkdir(Paths.themesDir, { recursive: true });
-    await fs.mkdir(path.dirname(Paths.claudeConfigPath), { recursive: true });
-    await fs.mkdir(Paths.claudeOutputStylesDir, { recursive: true });
+    await fs.mkdir(path.dirname(this.hookManager.claudeConfigPath), { recursive: true });
+    await fs.mkdir(this.styleManager.outputStylesDir, { recursive: true });
+  }
+
+  /**
+   * Hook and style managers for every scope available from the working
+   * directory (project scopes are skipped outside a project)
+   * @returns {Array<Object>} Array of { scope, settingsPath, hookManager, styleManager }
+   */
+  getScopeManagers() {
+    const scopes = [];
+
+    for (const scope of Paths.installScopes) {
+      if (scope === this.scope) {
+        scopes.push({
+          scope,
+          settingsPath: this.hookManager.claudeConfigPath,
+          hookManager: this.hookManager,
+          styleManager: this.styleManager
+        });
+        continue;
+      }
+
+      let scopePaths;
+      try {
+        scopePaths = Paths.scopePaths(scope);
+      } catch {
+        continue; // Not inside a project
+      }
+      scopes.push({
+        scope,
+        settingsPath: scopePaths.settingsPath,
+        hookManager: new HookManager(scopePaths.settingsPath, scopePaths.hookIndexPath),
+        styleManager: new StyleManager(scopePaths.settingsPath, scopePaths.outputStylesDir)
+      });
+    }
+
+    return scopes;
+  }
+
+  /**
+   * Find the scopes where our hooks are registered
+   * @returns {Promise<Array<Object>>} Scope managers with a hookCount
+   */
+  async detectInstalledScopes() {
+    const installed = [];
+    for (const entry of this.getScopeManagers()) {
+      const hooks = await entry.hookManager.getInstalledHooks();
+      if (hooks.length > 0) {
+        installed.push({ ...entry, hookCount: hooks.length });
+      }
+    }
+    return installed;
+  }
+
+  /**
+   * Style managers whose output style follows the active theme
+   * Every installed scope, or this scope when none is installed yet.
+   * @returns {Promise<Array<StyleManager>>} Style managers to update
+   */
+  async getActiveStyleManagers() {
+    const installed = await this.detectInstalledScopes();
+    return installed.length > 0 ?
+      installed.map(entry => entry.styleManager) :
+      [this.styleManager];
   }
 
   /**
@@ -126,19 +213,341 @@ class ClaudeSound {
   }
 
 
+  /**
+   * Audio formats the installed players can play, honoring audio_backend
+   * Uses the runtime's backend cache, so listing themes stays quick.
+   * @returns {{ players: Array<string>, formats: Array<string> }}
+   */
+  getPlayableFormats() {
+    const installed = Object.keys(AudioBackends.loadInstalledBackends(Paths.backendCacheFile));
+    const preference = this.configManager.get('audio_backend') || AudioBackends.AUTO_BACKEND;
+    return AudioBackends.getPlayableFormats(preference, installed);
+  }
+
   /**
    * Set current theme
+   * Its output style is reinstalled first, so a theme that extends another
+   * picks up changes to the parent's style.
    */
   async setTheme(themeName) {
     await this.themeManager.setActive(themeName);
-    await this.styleManager.setActiveStyle(themeName);
+    await this.installThemeStyle(themeName);
   }
 
   /**
-   * Remove a theme
+   * Install a theme from a directory or a .tgz/.tar.gz/.zip archive
+   * The theme is validated first, and its output style is installed into
+   * every scope. An archive holding a single top-level directory installs
+   * that directory.
+   * @param {string} source - Theme directory or archive path
+   * @param {Object} options - { name: install under this name (defaults to
+   *   the directory or archive name), overwrite: replace an existing theme }
+   * An archive with a .sha256 file next to it (as written by packTheme)
+   * must match it.
+   * @returns {Promise<Object>} { name, path, soundFiles, hasOutputStyle,
+   *   warnings, overwritten, checksumVerified }
+   */
+  async installTheme(source, { name = null, overwrite = false } = {}) {
+    const sourcePath = path.resolve(source);
+    let stat;
+    try {
+      stat = await fs.stat(sourcePath);
+    } catch {
+      throw new Error(`${source} not found`);
+    }
+
+    let tmpDir = null;
+    try {
+      let themeRoot = sourcePath;
+      let defaultName = path.basename(sourcePath);
+      let checksumVerified = false;
+
+      if (!stat.isDirectory()) {
+        checksumVerified = await ThemeArchive.verifyChecksum(sourcePath);
+        tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'claude-gamify-theme-'));
+        await ThemeArchive.extract(sourcePath, tmpDir);
+        themeRoot = await this.findArchiveThemeRoot(tmpDir);
+        defaultName = themeRoot === tmpDir ? ThemeArchive.baseName(sourcePath) : path.basename(themeRoot);
+      }
+
+      const validation = await this.themeManager.validateTheme(themeRoot);
+      if (!validation.valid) {
+        throw new Error(`Invalid theme: ${validation.errors.join('; ')}`);
+      }
+
+      const themeName = name || defaultName;
+      const overwritten = await this.themeManager.exists(themeName);
+      await this.themeManager.install(themeRoot, themeName, { overwrite });
+      await this.installThemeStyle(themeName);
+
+      const info = await this.themeManager.get(themeName);
+      return {
+        name: themeName,
+        path: info.path,
+        soundFiles: info.soundFiles,
+        hasOutputStyle: info.hasOutputStyle,
+        warnings: validation.warnings,
+        overwritten,
+        checksumVerified
+      };
+    } finally {
+      if (tmpDir) {
+        await fs.rm(tmpDir, { recursive: true, force: true });
+      }
+    }
+  }
+
+  /**
+   * Pack an installed theme into a .tgz archive with a .sha256 checksum file
+   * The archive holds the theme directory (including theme.json) under the
+   * theme's name. A theme without its own output style file gets the one
+   * installed in Claude's output-styles as output-style.md.
+   * @param {string} themeName - Installed theme to pack
+   * @param {Object} options - { output: archive file or directory; defaults
+   *   to <name>-<version>.tgz in the working directory }
+   * @returns {Promise<Object>} { name, version, archivePath, checksumPath,
+   *   checksum, size, files, warnings }
+   */
+  async packTheme(themeName, { output = null } = {}) {
+    const theme = await this.themeManager.get(themeName);
+    if (!theme) {
+      throw new Error(`Theme "${themeName}" not found`);
+    }
+
+    const validation = await this.themeManager.validateTheme(theme.path);
+    if (!validation.valid) {
+      throw new Error(`Theme "${themeName}" is not valid: ${validation.errors.join('; ')}`);
+    }
+
+    const extraFiles = {};
+    if (!theme.hasOutputStyle) {
+      const installedStyle = await this.readInstalledStyle(themeName);
+      if (installedStyle) {
+        extraFiles[ThemeManifest.DEFAULT_OUTPUT_STYLE] = installedStyle;
+      }
+    }
+
+    // The version comes from theme.json, so keep it to file-name-safe characters
+    const version = theme.version ? theme.version.replace(/[^\w.+-]/g, '-') : null;
+    const archiveName = version ? `${themeName}-${version}.tgz` : `${themeName}.tgz`;
+    let archivePath = path.resolve(output || archiveName);
+    const isDirectory = await fs.stat(archivePath).then(stat => stat.isDirectory(), () => false);
+    if (isDirectory) {
+      archivePath = path.join(archivePath, archiveName);
+    } else if (!/\.(tgz|tar\.gz)$/i.test(archivePath)) {
+      throw new Error('Output file must end in .tgz or .tar.gz');
+    }
+
+    const { data, files } = await ThemeArchive.createTarGz(theme.path, themeName, extraFiles);
+    const checksum = ThemeArchive.checksum(data);
+    const checksumPath = ThemeArchive.checksumPath(archivePath);
+    await fs.writeFile(archivePath, data);
+    await fs.writeFile(checksumPath, `${checksum}  ${path.basename(archivePath)}\n`);
+
+    const warnings = [...validation.warnings];
+    if (theme.extends) {
+      warnings.push(`Extends "${theme.extends}"; install that theme too wherever this archive is installed`);
+    }
+    if (!theme.version) {
+      warnings.push('No version in theme.json; the archive name is unversioned');
+    }
+
+    return {
+      name: themeName,
+      version: theme.version,
+      archivePath,
+      checksumPath,
+      checksum,
+      size: data.length,
+      files,
+      warnings
+    };
+  }
+
+  /**
+   * Create a theme from a base theme and sound files picked from disk
+   * The base theme is copied, each picked file replaces the base sound for
+   * its hook, and theme.json is rewritten with the new name and the picked
+   * files. The theme's output style is installed into every scope.
+   * @param {Object} options - { name, base: theme to start from,
+   *   sounds: { <Hook>: file path, or null to drop the base sound },
+   *   cloneStyle: keep the base output style, description }
+   * @returns {Promise<Object>} { name, path, soundFiles, hasOutputStyle,
+   *   outputStylePath }
+   */
+  async createTheme({ name, base = 'system', sounds = {}, cloneStyle = true, description = null }) {
+    const nameCheck = await this.themeManager.validateNewName(name);
+    if (nameCheck !== true) {
+      throw new Error(nameCheck);
+    }
+
+    for (const [hook, file] of Object.entries(sounds)) {
+      if (file && !ThemeManager.soundExtensions.includes(path.extname(file).toLowerCase())) {
+        throw new Error(`${hook}: unsupported sound file ${path.basename(file)} (expected ${ThemeManager.soundExtensions.join(', ')})`);
+      }
+    }
+
+    const baseInfo = await this.themeManager.get(base);
+    if (!baseInfo) {
+      throw new Error(`Theme "${base}" not found`);
+    }
+
+    // Read the base style before copying; it may only exist in output-styles
+    let baseStyle = null;
+    if (cloneStyle) {
+      const baseStylePath = await this.themeManager.getOutputStylePath(base);
+      baseStyle = baseStylePath ? await fs.readFile(baseStylePath) : await this.readInstalledStyle(base);
+    }
+
+    await this.themeManager.copyTheme(base, name);
+    const themePath = this.themeManager.getThemePath(name);
+
+    try {
+      const manifestPath = path.join(themePath, ThemeManifest.MANIFEST_FILE);
+      let manifest = {};
+      try {
+        manifest = JSON.parse(await fs.readFile(manifestPath, 'utf8'));
+      } catch {
+        // No usable base manifest; start a new one
+      }
+      if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) {
+        manifest = {};
+      }
+      const mappedSounds = manifest.sounds && typeof manifest.sounds === 'object' ? manifest.sounds : {};
+      const weights = manifest.weights && typeof manifest.weights === 'object' ? manifest.weights : {};
+
+      // Every file the base plays for a hook, mapped in theme.json or found by
+      // name ("Stop.wav", "Stop.2.wav", "Stop/"); tool variants such as
+      // "PreToolUse.Bash.wav" are sounds of their own and stay
+      const extensions = ThemeManager.soundExtensions;
+      const { manifest: baseManifest } = ThemeManifest.loadThemeManifest(themePath);
+      const mappedVariants = ThemeManifest.listSoundVariants(themePath, baseManifest, extensions);
+      const namedVariants = ThemeManifest.listSoundVariants(themePath, null, extensions);
+      const keptFiles = new Set(Object.entries(mappedVariants)
+        .filter(([soundName]) => !(soundName in sounds))
+        .flatMap(([, variants]) => variants.map(variant => variant.file)));
+
+      for (const [hook, file] of Object.entries(sounds)) {
+        // Drop the base sounds for this hook
+        const baseFiles = [...(mappedVariants[hook] || []), ...(namedVariants[hook] || [])]
+          .map(variant => variant.file)
+          .filter(baseFile => !keptFiles.has(baseFile));
+        for (const baseFile of baseFiles) {
+          await fs.rm(baseFile, { force: true });
+          delete weights[path.relative(themePath, baseFile)];
+        }
+        try {
+          await fs.rmdir(path.join(themePath, hook));
+        } catch {
+          // No variant folder, or it still holds other files
+        }
+        delete mappedSounds[hook];
+
+        if (file) {
+          const fileName = hook + path.extname(file).toLowerCase();
+          await fs.copyFile(file, path.join(themePath, fileName));
+          mappedSounds[hook] = fileName;
+        }
+      }
+
+      // The base style is replaced by the clone, or removed
+      await fs.rm(ThemeManifest.resolveOutputStyle(themePath), { force: true });
+      delete manifest.output_style;
+      if (baseStyle) {
+        await fs.writeFile(path.join(themePath, ThemeManifest.DEFAULT_OUTPUT_STYLE), baseStyle);
+      }
+
+      // Metadata describes the new theme, not the base it came from
+      delete manifest.author;
+      const newDescription = description || `Custom theme based on ${baseInfo.displayName || base}`;
+      await fs.writeFile(manifestPath, JSON.stringify({
+        ...manifest,
+        name,
+        version: '1.0.0',
+        description: newDescription,
+        sounds: mappedSounds
+      }, null, 2) + '\n');
+      await fs.writeFile(path.join(themePath, 'README.md'), `# ${name}\n\n${newDescription}\n`);
+    } catch (error) {
+      await fs.rm(themePath, { recursive: true, force: true });
+      throw error;
+    }
+
+    await this.installThemeStyle(name);
+
+    const info = await this.themeManager.get(name);
+    return {
+      name,
+      path: info.path,
+      soundFiles: info.soundFiles,
+      hasOutputStyle: info.hasOutputStyle,
+      outputStylePath: info.hasOutputStyle ? await this.themeManager.getOutputStylePath(name) : null
+    };
+  }
+
+  /**
+   * Install a theme's output style into every scope
+   * The style is also made active when the theme is the current one.
+   * @param {string} themeName - Installed theme
+   */
+  async installThemeStyle(themeName) {
+    for (const styleManager of await this.getActiveStyleManagers()) {
+      await fs.mkdir(styleManager.outputStylesDir, { recursive: true });
+      await styleManager.installThemeStyle(Paths.themesDir, themeName);
+      if (this.configManager.getTheme() === themeName) {
+        await styleManager.setActiveStyle(themeName);
+      }
+    }
+  }
+
+  /**
+   * Output style installed in Claude's output-styles for a theme
+   * @param {string} themeName - Theme name
+   * @returns {Promise<Buffer|null>} Contents from the first scope that has it
+   */
+  async readInstalledStyle(themeName) {
+    for (const styleManager of await this.getActiveStyleManagers()) {
+      try {
+        return await fs.readFile(path.join(styleManager.outputStylesDir, `${themeName}.md`));
+      } catch {
+        // No installed style in this scope
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Directory of an extracted archive that holds the theme: its only
+   * top-level directory, or the extraction directory itself
+   * @private
+   */
+  async findArchiveThemeRoot(extractDir) {
+    const ignored = ['__MACOSX', '.DS_Store'];
+    const entries = (await fs.readdir(extractDir, { withFileTypes: true }))
+      .filter(entry => !ignored.includes(entry.name));
+
+    if (entries.length === 1 && entries[0].isDirectory()) {
+      return path.join(extractDir, entries[0].name);
+    }
+    return extractDir;
+  }
+
+  /**
+   * Remove a theme and its output style
+   * @returns {Promise<string>} Active theme after removal
    */
   async removeTheme(themeName) {
+    const wasActive = this.configManager.getTheme() === themeName;
     await this.themeManager.remove(themeName);
+    
+    const activeTheme = this.configManager.getTheme();
+    for (const styleManager of await this.getActiveStyleManagers()) {
+      await styleManager.removeStyle(themeName);
+      if (wasActive) {
+        await styleManager.setActiveStyle(activeTheme);
+      }
+    }
+    return activeTheme;
   }
 
   /**
@@ -155,18 +564,122 @@ class ClaudeSound {
     return await this.configManager.setVolume(volume);
   }
 
+  /**
+   * Turn all sounds on or off
+   */
+  async setSoundEnabled(enabled) {
+    return await this.configManager.setSoundEnabled(enabled);
+  }
+
+  /**
+   * Mute or turn down sounds for a while
+   * @param {string} duration - e.g. "45m", "2h", "1h30m" (bare numbers are minutes)
+   * @param {Object} options - { volume: 0-100 to turn down instead of muting }
+   * @returns {Promise<Object>} Quiet state now in effect
+   */
+  async startDnd(duration, { volume = 0 } = {}) {
+    const ms = QuietHours.parseDuration(duration);
+    if (!ms || ms > QuietHours.MAX_DND_MS) {
+      throw new Error(`Invalid duration "${duration}" (use e.g. 45m, 2h or 1h30m, up to 7 days)`);
+    }
+
+    await this.configManager.setValue('dnd_volume', ConfigUtils.validateVolume(volume));
+    await this.configManager.setValue('dnd_until', new Date(Date.now() + ms).toISOString());
+    return this.getQuietState();
+  }
+
+  /**
+   * End do-not-disturb early; quiet hours still apply
+   * @returns {Promise<boolean>} True if do-not-disturb was on
+   */
+  async stopDnd() {
+    const wasOn = Boolean(this.getQuietState({ schedule: false }));
+    await this.configManager.setValue('dnd_until', null);
+    return wasOn;
+  }
+
+  /**
+   * Quiet hours or do-not-disturb in effect now
+   * @param {Object} options - { schedule: false to only check do-not-disturb }
+   * @returns {Object|null} { source, volume, until } or null
+   */
+  getQuietState({ schedule = true } = {}) {
+    const config = this.configManager.getConfig();
+    return QuietHours.getQuietState(schedule ? config : { ...config, quiet_hours: [] });
+  }
+
+  /**
+   * Set a config value by key path
+   * Setting the theme also switches the output style.
+   */
+  async setConfigValue(keyPath, value) {
+    if (keyPath === 'theme') {
+      await this.setTheme(value);
+      return value;
+    }
+    return await this.configManager.setValue(keyPath, value);
+  }
+
+  /**
+   * Reset a config value to its default
+   */
+  async unsetConfigValue(keyPath) {
+    if (keyPath === 'theme') {
+      const defaultTheme = ConfigDefaults.defaultConfig.theme;
+      await this.setTheme(defaultTheme);
+      return defaultTheme;
+    }
+    return await this.configManager.unset(keyPath);
+  }
+
+  /**
+   * Enable or disable sounds for the given hook events
+   * @param {Array<string>} events - Event names (PreToolUse) or config keys (pre_tool_use)
+   * @param {boolean} enabled - Enable/disable state
+   * @returns {Promise<Array<string>>} Event names that were updated
+   * @throws {Error} If any event is unknown; nothing is changed in that case
+   */
+  async setHookStates(events, enabled) {
+    const known = ConfigDefaults.hookDefinitions.map(hook => hook.event);
+    const resolved = events.map(name => this.configManager.configKeyToEvent(name));
+    const unknown = resolved.filter(event => !known.includes(event));
+
+    if (unknown.length > 0) {
+      throw new Error(`Unknown hook event: ${unknown.join(', ')} (expected one of: ${known.join(', ')})`);
+    }
+
+    for (const event of resolved) {
+      await this.configManager.setHookState(event, enabled);
+    }
+    return resolved;
+  }
+
+  /**
+   * Enable or disable sounds for every hook event
+   */
+  async setAllHookStates(enabled) {
+    await this.configManager.setAllHookStates(enabled);
+  }
+
   /**
    * Test a single sound
    */
-  async testSingleSound(hookName) {
-    await this.soundPlayer.testSingle(hookName);
+  async testSingleSound(hookName, toolName = null) {
+    await this.soundPlayer.testSingle(hookName, toolName);
   }
 
   /**
    * Test a single sound (forced - for testing menu)
    */
-  async testSingleSoundForced(hookName) {
-    await this.soundPlayer.testSingleForced(hookName);
+  async testSingleSoundForced(hookName, toolName = null) {
+    await this.soundPlayer.testSingleForced(hookName, toolName);
+  }
+
+  /**
+   * Preview an audio file from disk (theme creation)
+   */
+  async previewSoundFile(filePath) {
+    await this.soundPlayer.previewFile(filePath);
   }
 
   /**
@@ -211,6 +724,33 @@ class ClaudeSound {
     }
   }
 
+  /**
+   * Diagnose the installation, optionally repairing what can be fixed
+   * Runs without initialize() so the silent upgrade does not hide problems.
+   * @param {Object} options - { fix: boolean }
+   * @returns {Promise<Object>} { results, fixes } where results reflect the
+   *   state after any fixes were applied
+   */
+  async doctor(options = {}) {
+    const installed = await this.detectInstalledScopes();
+    const doctor = new Doctor(
+      this.configManager,
+      this.themeManager,
+      this.soundPlayer,
+      installed.length > 0 ? installed : this.getScopeManagers().filter(entry => entry.scope === this.scope)
+    );
+
+    let results = await doctor.run();
+    let fixes = [];
+    if (options.fix) {
+      fixes = await doctor.fix(results);
+      if (fixes.length > 0) {
+        results = await doctor.run();
+      }
+    }
+    return { results, fixes };
+  }
+
   /**
    * Export configuration
    */
@@ -231,9 +771,18 @@ class ClaudeSound {
   async getSystemInfo() {
     const systemInfo = SystemUtils.getSystemInfo();
     const config = this.configManager.getConfig();
+    const audioBackend = config.audio_backend || AudioBackends.AUTO_BACKEND;
+    const { backend, missing } = SystemUtils.getAudioBackendStatus(audioBackend, systemInfo.audioPlayers);
     
     return {
       ...systemInfo,
+      audioBackend,
+      activeBackend: backend ? backend.name : null,
+      audioBackendMissing: missing,
+      backendDetails: systemInfo.audioPlayers.map(name => ({
+        name,
+        description: AudioBackends.describeBackend(AudioBackends.getBackend(name))
+      })),
       configPath: Paths.configFile,
       themesPath: Paths.themesDir,
       currentTheme: config.theme,
@@ -244,48 +793,67 @@ class ClaudeSound {
 
 
   /**
-   * Complete uninstall of Claude Gamify
+   * Uninstall Claude Gamify
+   * Without a scope, hooks and output styles are removed from every scope and
+   * the local installation is deleted. With a scope, only that scope's hooks
+   * and output style are removed and the installation is kept.
+   * @param {Object} options - { scope: 'user' | 'project' | 'local' }
    */
-  async uninstall() {
+  async uninstall(options = {}) {
     const result = {
       success: false,
       removedHooks: 0,
       removedStyles: [],
+      scopes: [],
       errors: []
     };
 
     try {
+      const gamifyThemes = await this.detectGamifyThemes();
+      const scopes = this.getScopeManagers()
+        .filter(entry => !options.scope || entry.scope === options.scope);
+      const cleanedStyleDirs = new Set();
+
+      for (const { scope, hookManager, styleManager } of scopes) {
+        // Step 1: Remove Claude Code hooks
+        try {
+          const hooksRemoved = await hookManager.remove();
+          result.removedHooks += hooksRemoved;
+          if (hooksRemoved > 0) {
+            result.scopes.push(scope);
+          }
+        } catch (error) {
+          result.errors.push(`Failed to remove ${scope} hooks: ${error.message}`);
+        }
 
-      // Step 1: Remove Claude Code hooks
-      try {
-        const hooksRemoved = await this.hookManager.remove();
-        result.removedHooks = hooksRemoved;
-      } catch (error) {
-        result.errors.push(`Failed to remove hooks: ${error.message}`);
-      }
-
-      // Step 2: Clean output styles
-      try {
-        const gamifyThemes = await this.detectGamifyThemes();
-        const stylesRemoved = await this.styleManager.cleanGamifyStyles(gamifyThemes);
-        result.removedStyles = stylesRemoved;
-      } catch (error) {
-        result.errors.push(`Failed to clean styles: ${error.message}`);
-      }
+        // Step 2: Clean output styles; user and local scopes share
+        // ~/.claude/output-styles, so a single scope only cleans its own
+        const ownsStyleDir = !options.scope || scope === 'project';
+        if (ownsStyleDir && !cleanedStyleDirs.has(styleManager.outputStylesDir)) {
+          cleanedStyleDirs.add(styleManager.outputStylesDir);
+          try {
+            const stylesRemoved = await styleManager.cleanGamifyStyles(gamifyThemes);
+            result.removedStyles.push(...stylesRemoved);
+          } catch (error) {
+            result.errors.push(`Failed to clean styles: ${error.message}`);
+          }
+        }
 
-      // Step 3: Reset Claude output style if using gamify theme
-      try {
-        const gamifyThemes = await this.detectGamifyThemes();
-        await this.styleManager.resetIfGamifyTheme(gamifyThemes);
-      } catch (error) {
-        result.errors.push(`Failed to reset output style: ${error.message}`);
+        // Step 3: Reset Claude output style if using gamify theme
+        try {
+          await styleManager.resetIfGamifyTheme(gamifyThemes);
+        } catch (error) {
+          result.errors.push(`Failed to reset output style: ${error.message}`);
+        }
       }
 
       // Step 4: Delete local installation
-      try {
-        await fs.rm(Paths.claudeGamifyDir, { recursive: true, force: true });
-      } catch (error) {
-        result.errors.push(`Failed to delete installation: ${error.message}`);
+      if (!options.scope) {
+        try {
+          await fs.rm(Paths.claudeGamifyDir, { recursive: true, force: true });
+        } catch (error) {
+          result.errors.push(`Failed to delete installation: ${error.message}`);
+        }
       }
 
       result.success = result.errors.length === 0;
@@ -296,8 +864,6 @@ class ClaudeSound {
     }
   }
 
-
-
   /**
    * Detect all gamify theme names
    */
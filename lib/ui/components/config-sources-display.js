@@ -0,0 +1,58 @@
+/**
+ * Config Sources Display Component
+ * Shows which file each effective configuration value came from
+ */
+
+import chalk from 'chalk';
+import os from 'os';
+import { ConfigDefaults, ConfigUtils } from '../../utils.js';
+
+/**
+ * Config Sources Display Component
+ * Shows which file each effective configuration value came from
+ */
+export class ConfigSourcesDisplay {
+  /**
+   * Render effective values and their source files
+   * Nested hook toggles and tool sounds are listed only when a project overrides them.
+   * @param {Object} effective - Result of ConfigManager.getEffectiveConfig()
+   */
+  static render({ config, sources, projectConfigPath, warnings }) {
+    if (!projectConfigPath) {
+      console.log(chalk.gray(
+        `Configuration: ${this.shortenPath(sources.theme)} (no ${ConfigDefaults.projectConfigName} found)\n`
+      ));
+      return;
+    }
+
+    const setKeys = ['fallback_theme', 'variant_strategy'].filter(key => config[key]);
+    const limitKeys = ['max_concurrent_sounds', 'rate_limit_mode'].filter(key => sources[key] === projectConfigPath);
+    const keys = ['theme', ...setKeys, 'sound_enabled', 'sound_volume', ...limitKeys];
+    const rows = keys.map(key => [key, config[key], sources[key]]);
+    Object.entries(sources)
+      .filter(([keyPath, source]) => keyPath.includes('.') && source === projectConfigPath)
+      .forEach(([keyPath, source]) => {
+        const [key, subKey] = ConfigUtils.splitKeyPath(keyPath);
+        rows.push([keyPath, config[key][subKey], source]);
+      });
+
+    console.log(chalk.gray('Configuration:'));
+    rows.forEach(([keyPath, value, source]) => {
+      const line = `  ${keyPath.padEnd(24)}${JSON.stringify(value).padEnd(10)}${this.shortenPath(source)}`;
+      console.log(source === projectConfigPath ? chalk.yellow(line) : chalk.gray(line));
+    });
+    warnings.forEach(warning => {
+      console.log(chalk.yellow(`  ⚠ Ignored in ${this.shortenPath(projectConfigPath)}: ${warning}`));
+    });
+    console.log();
+  }
+
+  /**
+   * Replace the home directory prefix with ~
+   * @private
+   */
+  static shortenPath(filePath) {
+    const home = os.homedir();
+    return filePath && filePath.startsWith(home + '/') ? '~' + filePath.slice(home.length) : filePath;
+  }
+}
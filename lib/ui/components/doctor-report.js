@@ -0,0 +1,67 @@
+/**
+ * Doctor Report Component
+ * Prints installation check results from the `doctor` command
+ */
+
+import chalk from 'chalk';
+
+const STATUS_ICONS = {
+  pass: chalk.green('✓'),
+  warn: chalk.yellow('⚠'),
+  fail: chalk.red('✗')
+};
+
+/**
+ * Doctor Report Component
+ * Prints installation check results from the `doctor` command
+ */
+export class DoctorReport {
+  /**
+   * Render check results and a summary line
+   * @param {Array} results - Check results ({ name, status, message, hint, fix, scope })
+   * @param {Object} options - { fixAvailable: show the --fix tip for fixable problems }
+   */
+  static render(results, { fixAvailable = true } = {}) {
+    console.log(chalk.bold('\nClaude Gamify Doctor\n'));
+
+    results.forEach(result => {
+      const scope = result.scope ? chalk.gray(` [${result.scope}]`) : '';
+      console.log(`${STATUS_ICONS[result.status]} ${chalk.bold(result.name)}${scope}  ${result.message}`);
+      if (result.status !== 'pass' && result.hint) {
+        console.log(chalk.gray(`    ${result.hint}`));
+      }
+    });
+
+    const count = status => results.filter(result => result.status === status).length;
+    console.log(
+      `\n${chalk.green(`${count('pass')} passed`)}, ` +
+      `${chalk.yellow(`${count('warn')} warnings`)}, ` +
+      `${chalk.red(`${count('fail')} failed`)}`
+    );
+
+    const fixable = results.some(result => result.status !== 'pass' && result.fix);
+    if (fixAvailable && fixable) {
+      console.log(chalk.cyan('Run: npx claude-gamify doctor --fix'));
+    }
+  }
+
+  /**
+   * Render the fixes that were attempted
+   * @param {Array} fixes - Fix results ({ name, fixed, error })
+   */
+  static renderFixes(fixes) {
+    if (fixes.length === 0) {
+      console.log(chalk.gray('Nothing to fix automatically.'));
+      return;
+    }
+
+    console.log(chalk.bold('\nApplied fixes\n'));
+    fixes.forEach(fix => {
+      if (fix.fixed) {
+        console.log(`${STATUS_ICONS.pass} ${fix.name}`);
+      } else {
+        console.log(`${STATUS_ICONS.fail} ${fix.name}  ${chalk.gray(fix.error)}`);
+      }
+    });
+  }
+}
@@ -9,6 +9,7 @@ export { WelcomeScreen } from './welcome-screen.js';
 // Status components
 export { StatusBar } from './status-bar.js';
 export { SystemInfoDisplay } from './status-system-info-display.js';
+export { ConfigSourcesDisplay } from './config-sources-display.js';
 
 // Sound components
 export { SoundConfigState } from './sound-config-state.js';
@@ -18,6 +19,8 @@ export { InteractiveTestSoundsDisplay } from './sound-interactive-test-display.j
 
 // Theme components
 export { ThemeManagementDisplay, ThemeListDisplay } from './theme-management-display.js';
+export { ThemeInfoDisplay } from './theme-info-display.js';
+export { DoctorReport } from './doctor-report.js';
 
 // Version components
 export { VersionCheckDisplay } from './version-check-display.js';
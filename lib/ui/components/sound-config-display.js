@@ -21,10 +21,14 @@ export class SoundConfigDisplay {
     // Title
     console.log(chalk.bold.hex(COLORS.ACCENT)('\n  Sound Configuration'));
     console.log(chalk.gray('  ' + '\u2550'.repeat(40)));
+    this.renderProjectNote(state);
     
     // Global settings section
     this.renderGlobalSettings(state);
     
+    // Cooldown and concurrent sound limits
+    this.renderLimits(state);
+    
     // Hook controls section
     this.renderHookControls(state);
     
@@ -42,7 +46,8 @@ export class SoundConfigDisplay {
     const soundSystemStatus = sound_enabled ? 
       chalk.green(SOUND_CONFIG_UI.STATUS.ENABLED) : 
       chalk.red(SOUND_CONFIG_UI.STATUS.DISABLED);
-    const soundSystemLine = `  Sound System......[ ${soundSystemStatus} ]`;
+    const soundSystemLine = `  Sound System......[ ${soundSystemStatus} ]` +
+      this.projectSuffix(state.projectOverrides.sound_enabled, value => value ? 'on' : 'off');
     
     if (cursorPosition === 0) {
       console.log(chalk.bgHex('#444').white(soundSystemLine));
@@ -53,7 +58,8 @@ export class SoundConfigDisplay {
     // Volume control
     const volumePercent = Math.round(sound_volume * 100);
     const volumeBar = this.createVolumeBar(volumePercent);
-    const volumeLine = `  Master Volume.....[ ${volumeBar} ${volumePercent.toString().padStart(3)}% ]`;
+    const volumeLine = `  Master Volume.....[ ${volumeBar} ${volumePercent.toString().padStart(3)}% ]` +
+      this.projectSuffix(state.projectOverrides.sound_volume, value => `${Math.round(value * 100)}%`);
     
     if (cursorPosition === 1) {
       console.log(chalk.bgHex('#444').white(volumeLine));
@@ -62,6 +68,49 @@ export class SoundConfigDisplay {
     } else {
       console.log(volumeLine);
     }
+    
+    // Audio backend: auto shows the player it picks first
+    const backendLine = `  Audio Backend.....[ ${this.formatBackend(state)} ]`;
+    
+    if (cursorPosition === 2) {
+      console.log(chalk.bgHex('#444').white(backendLine));
+    } else if (!sound_enabled) {
+      console.log(chalk.dim(backendLine));
+    } else {
+      console.log(backendLine);
+    }
+  }
+  
+  static formatBackend({ audio_backend, installedBackends }) {
+    if (audio_backend === 'auto') {
+      return installedBackends.length > 0 ? `auto (${installedBackends[0]})` : 'auto (no player found)';
+    }
+    return installedBackends.includes(audio_backend) ? audio_backend : `${audio_backend} (not installed)`;
+  }
+  
+  static renderLimits(state) {
+    const { max_concurrent_sounds, rate_limit_mode, projectOverrides } = state;
+    
+    console.log(chalk.bold(`\n  ${SOUND_CONFIG_UI.HEADERS.LIMITS}:`));
+    console.log();
+    
+    const formatMax = value => value === 0 ? 'no limit' : `${value}`;
+    const lines = [
+      `  Max Sounds........[ ${formatMax(max_concurrent_sounds)} ]` +
+        this.projectSuffix(projectOverrides.max_concurrent_sounds, formatMax),
+      `  When Limited......[ ${SOUND_CONFIG_UI.LIMIT_MODE_LABELS[rate_limit_mode]} ]` +
+        this.projectSuffix(projectOverrides.rate_limit_mode, value => value)
+    ];
+    
+    lines.forEach((line, index) => {
+      if (state.cursorPosition === index + 3) {
+        console.log(chalk.bgHex('#444').white(line));
+      } else if (!state.sound_enabled) {
+        console.log(chalk.dim(line));
+      } else {
+        console.log(line);
+      }
+    });
   }
   
   static renderHookControls(state) {
@@ -76,9 +125,15 @@ export class SoundConfigDisplay {
         chalk.red('\u2717');
       
       const padding = '.'.repeat(Math.max(0, 20 - displayName.length));
-      const line = `  ${displayName}${padding}[ ${status} ]`;
+      const cooldown = state.sound_cooldowns[hookConfig] || 0;
+      const cooldownText = chalk.gray(cooldown > 0 ? `  cooldown ${cooldown}ms` : '');
+      const projectHooks = state.projectOverrides.sound_hooks || {};
+      const projectCooldowns = state.projectOverrides.sound_cooldowns || {};
+      const line = `  ${displayName}${padding}[ ${status} ]${cooldownText}` +
+        this.projectSuffix(projectHooks[hookConfig], value => value ? '\u2713' : '\u2717') +
+        this.projectSuffix(projectCooldowns[hookConfig], value => `${value}ms`);
       
-      if (state.cursorPosition === index + 2) {
+      if (state.cursorPosition === index + 5) {
         console.log(chalk.bgHex('#444').white(line));
       } else if (!state.sound_enabled) {
         console.log(chalk.dim(line));
@@ -88,6 +143,24 @@ export class SoundConfigDisplay {
     });
   }
   
+  /**
+   * Explain that this screen edits the global config when a project file
+   * overrides some of its values
+   */
+  static renderProjectNote(state) {
+    if (!state.projectConfigPath) return;
+    
+    console.log(chalk.gray('  Editing global settings. Values marked "project" are'));
+    console.log(chalk.gray(`  overridden by ${state.projectConfigPath}`));
+  }
+  
+  /**
+   * Suffix showing a project override for a line, or nothing
+   */
+  static projectSuffix(value, format) {
+    return value === undefined ? '' : chalk.yellow(`  project: ${format(value)}`);
+  }
+  
   static renderControlBar(state) {
     console.log(chalk.gray('\n  ' + '\u2500'.repeat(40)));
     
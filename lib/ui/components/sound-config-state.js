@@ -3,21 +3,49 @@
  * Manages the state for the sound configuration UI
  */
 
-import { ConfigDefaults } from '../../utils.js';
+import { ConfigDefaults, RateLimit, SystemUtils, AudioBackends } from '../../utils.js';
+import { SOUND_CONFIG_UI } from '../constants/index.js';
+
+// Cursor positions before the hook list
+const POSITIONS = {
+  SOUND_ENABLED: 0,
+  VOLUME: 1,
+  AUDIO_BACKEND: 2,
+  MAX_CONCURRENT: 3,
+  LIMIT_MODE: 4,
+  FIRST_HOOK: 5
+};
 
 /**
  * Sound Configuration State Management
  * Manages the state for the sound configuration UI
  */
 export class SoundConfigState {
-  constructor(config) {
+  /**
+   * @param {Object} config - Global configuration being edited
+   * @param {Object} project - Project overrides in effect for the current
+   *   directory ({ overrides, path }); shown but never edited here
+   */
+  constructor(config, project = { overrides: {}, path: null }) {
     this.sound_enabled = config.sound_enabled;
     this.sound_volume = config.sound_volume;
     this.sound_hooks = {...(config.sound_hooks || ConfigDefaults.defaultHookStates)};
+    this.sound_cooldowns = {...ConfigDefaults.defaultCooldowns, ...(config.sound_cooldowns || {})};
+    this.max_concurrent_sounds = config.max_concurrent_sounds;
+    this.rate_limit_mode = config.rate_limit_mode;
+    this.audio_backend = config.audio_backend || AudioBackends.AUTO_BACKEND;
+    // Installed players, detected afresh; a forced one that is missing stays selectable
+    this.installedBackends = SystemUtils.getAvailableAudioPlayers({ refresh: true });
+    this.backendChoices = [AudioBackends.AUTO_BACKEND, ...this.installedBackends];
+    if (!this.backendChoices.includes(this.audio_backend)) {
+      this.backendChoices.push(this.audio_backend);
+    }
     this.originalConfig = {...config};
+    this.projectOverrides = project.overrides;
+    this.projectConfigPath = project.path;
     
-    this.cursorPosition = 0;  // 0-1 for global, 2+ for hooks
-    this.maxPosition = 1 + ConfigDefaults.defaultHookConfigs.length;
+    this.cursorPosition = 0;  // 0-2 for global, 3-4 for limits, 5+ for hooks
+    this.maxPosition = POSITIONS.FIRST_HOOK - 1 + ConfigDefaults.defaultHookConfigs.length;
     this.isDirty = false;
   }
   
@@ -29,27 +57,69 @@ export class SoundConfigState {
     }
   }
   
+  /**
+   * Config key of the hook under the cursor, or null
+   */
+  get currentHook() {
+    if (this.cursorPosition < POSITIONS.FIRST_HOOK) return null;
+    return ConfigDefaults.defaultHookConfigs[this.cursorPosition - POSITIONS.FIRST_HOOK];
+  }
+  
   toggleCurrent() {
-    if (this.cursorPosition === 0) {
+    if (this.cursorPosition === POSITIONS.SOUND_ENABLED) {
       this.sound_enabled = !this.sound_enabled;
-    } else if (this.cursorPosition >= 2) {
-      const hookIndex = this.cursorPosition - 2;
-      const hookConfig = ConfigDefaults.defaultHookConfigs[hookIndex];
-      this.sound_hooks[hookConfig] = !this.sound_hooks[hookConfig];
+    } else if (this.cursorPosition === POSITIONS.AUDIO_BACKEND) {
+      this.cycleAudioBackend('increase');
+    } else if (this.cursorPosition === POSITIONS.LIMIT_MODE) {
+      this.cycleLimitMode('increase');
+    } else if (this.currentHook) {
+      this.sound_hooks[this.currentHook] = !this.sound_hooks[this.currentHook];
+    } else {
+      return;
     }
     this.isDirty = true;
   }
   
-  adjustVolume(direction) {
-    if (this.cursorPosition === 1) {
+  /**
+   * ←/→ on the line under the cursor: volume, backend, limits or the hook's cooldown
+   */
+  adjustCurrent(direction) {
+    const sign = direction === 'increase' ? 1 : -1;
+    const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+    
+    if (this.cursorPosition === POSITIONS.VOLUME) {
       const step = 0.05;
-      if (direction === 'increase') {
-        this.sound_volume = Math.min(1.0, this.sound_volume + step);
-      } else {
-        this.sound_volume = Math.max(0.0, this.sound_volume - step);
-      }
-      this.isDirty = true;
+      this.sound_volume = clamp(this.sound_volume + sign * step, 0.0, 1.0);
+    } else if (this.cursorPosition === POSITIONS.AUDIO_BACKEND) {
+      this.cycleAudioBackend(direction);
+    } else if (this.cursorPosition === POSITIONS.MAX_CONCURRENT) {
+      this.max_concurrent_sounds = clamp(this.max_concurrent_sounds + sign, 0, RateLimit.MAX_CONCURRENT_LIMIT);
+    } else if (this.cursorPosition === POSITIONS.LIMIT_MODE) {
+      this.cycleLimitMode(direction);
+    } else if (this.currentHook) {
+      const { COOLDOWN_STEP, COOLDOWN_MAX } = SOUND_CONFIG_UI;
+      const cooldown = this.sound_cooldowns[this.currentHook] || 0;
+      // Snap to the step so odd values set with `config set` line up again
+      const stepped = sign > 0 ?
+        Math.floor(cooldown / COOLDOWN_STEP) * COOLDOWN_STEP + COOLDOWN_STEP :
+        Math.ceil(cooldown / COOLDOWN_STEP) * COOLDOWN_STEP - COOLDOWN_STEP;
+      this.sound_cooldowns[this.currentHook] = clamp(stepped, 0, Math.max(COOLDOWN_MAX, cooldown));
+    } else {
+      return;
     }
+    this.isDirty = true;
+  }
+  
+  cycleLimitMode(direction) {
+    const modes = RateLimit.RATE_LIMIT_MODES;
+    const offset = direction === 'increase' ? 1 : modes.length - 1;
+    this.rate_limit_mode = modes[(modes.indexOf(this.rate_limit_mode) + offset) % modes.length];
+  }
+  
+  cycleAudioBackend(direction) {
+    const choices = this.backendChoices;
+    const offset = direction === 'increase' ? 1 : choices.length - 1;
+    this.audio_backend = choices[(choices.indexOf(this.audio_backend) + offset) % choices.length];
   }
   
   setAllHooks(enabled) {
@@ -70,6 +140,10 @@ export class SoundConfigState {
     this.sound_enabled = true;
     this.sound_volume = 0.5;
     this.sound_hooks = {...ConfigDefaults.defaultHookStates};
+    this.sound_cooldowns = {...ConfigDefaults.defaultCooldowns};
+    this.max_concurrent_sounds = ConfigDefaults.defaultConfig.max_concurrent_sounds;
+    this.rate_limit_mode = ConfigDefaults.defaultConfig.rate_limit_mode;
+    this.audio_backend = ConfigDefaults.defaultConfig.audio_backend;
     this.isDirty = true;
   }
   
@@ -78,11 +152,16 @@ export class SoundConfigState {
   }
   
   toConfig() {
+    // Keep settings not edited on this screen (theme, tool_sounds, version)
     return {
+      ...this.originalConfig,
       sound_enabled: this.sound_enabled,
       sound_volume: this.sound_volume,
       sound_hooks: this.sound_hooks,
-      theme: this.originalConfig.theme
+      sound_cooldowns: this.sound_cooldowns,
+      max_concurrent_sounds: this.max_concurrent_sounds,
+      rate_limit_mode: this.rate_limit_mode,
+      audio_backend: this.audio_backend
     };
   }
 }
\ No newline at end of file
@@ -9,6 +9,7 @@ import {
   HOOK_NAMES,
   TEST_SOUNDS_UI
 } from '../constants/index.js';
+import { AudioFile } from '../../utils.js';
 
 /**
  * Interactive Test Sounds Display Component
@@ -19,7 +20,8 @@ export class InteractiveTestSoundsDisplay {
    * Render interactive test sounds interface
    * @param {Object} config - Configuration object
    * @param {Object} hookStates - Hook enable/disable states
-   * @param {Array} soundItems - Array of sound items
+   * @param {Array} soundItems - Array of sound items (duration in seconds
+   *   when known)
    * @param {number} currentIndex - Currently selected sound index
    * @param {string} playingSound - Currently playing sound name (if any)
    */
@@ -50,7 +52,7 @@ export class InteractiveTestSoundsDisplay {
     // Render sound list with selection cursor
     soundItems.forEach((item, index) => {
       const isSelected = index === currentIndex;
-      const isPlaying = playingSound === item.name;
+      const isPlaying = playingSound === (item.id || item.name);
       const isEnabled = hookStates[item.name] && config.sound_enabled;
       const isGlobalDisabled = !config.sound_enabled;
       const isHookDisabled = !hookStates[item.name];
@@ -74,7 +76,9 @@ export class InteractiveTestSoundsDisplay {
       
       // Add selection cursor
       const cursor = isSelected ? '►' : ' ';
-      line = `  ${cursor} ${displayName}`;
+      const duration = typeof item.duration === 'number' ?
+        chalk.gray(`  ${AudioFile.formatDuration(item.duration)}`) : '';
+      line = `  ${cursor} ${displayName}${duration}`;
       
       // Highlight selected item
       if (isSelected) {
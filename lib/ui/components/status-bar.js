@@ -5,6 +5,7 @@
 
 import chalk from 'chalk';
 import { STATUS_BAR } from '../constants/index.js';
+import { QuietHours } from '../../utils.js';
 
 /**
  * Status Bar Component
@@ -17,8 +18,9 @@ export class StatusBar {
    * @param {boolean} config.sound_enabled - Whether sound is enabled
    * @param {number} config.sound_volume - Volume level (0-1)
    * @param {string} config.theme - Active theme name
+   * @param {Date} now - Time to check quiet hours and do-not-disturb at
    */
-  static render(config) {
+  static render(config, now = new Date()) {
     const statusText = config.sound_enabled ? 'ENABLED' : 'DISABLED';
     const volume = (config.sound_volume * 100).toFixed(0) + '%';
     const theme = config.theme;
@@ -33,16 +35,13 @@ export class StatusBar {
     );
     
     // Status content
-    const statusContent = `Sound: ${chalk.bold(statusText)}  Theme: ${theme}  Volume: ${volume}`;
-    const contentWidth = this.stripAnsi(statusContent).length;
-    const padding = STATUS_BAR.WIDTH - contentWidth;
+    this.renderLine(`Sound: ${chalk.bold(statusText)}  Theme: ${theme}  Volume: ${volume}`);
     
-    console.log(
-      chalk.cyan(STATUS_BAR.VERTICAL_CHAR + ' ') +
-      statusContent +
-      ' '.repeat(Math.max(0, padding)) +
-      chalk.cyan(' ' + STATUS_BAR.VERTICAL_CHAR)
-    );
+    // Quiet hours or do-not-disturb in effect
+    const quiet = QuietHours.getQuietState(config, now);
+    if (quiet) {
+      this.renderLine(chalk.yellow(`🔕 ${QuietHours.describeQuietState(quiet, now)}`));
+    }
     
     // Bottom border
     console.log(
@@ -54,6 +53,22 @@ export class StatusBar {
     );
   }
   
+  /**
+   * Print one padded line inside the box
+   * @private
+   */
+  static renderLine(content) {
+    const contentWidth = this.stripAnsi(content).length;
+    const padding = STATUS_BAR.WIDTH - contentWidth;
+    
+    console.log(
+      chalk.cyan(STATUS_BAR.VERTICAL_CHAR + ' ') +
+      content +
+      ' '.repeat(Math.max(0, padding)) +
+      chalk.cyan(' ' + STATUS_BAR.VERTICAL_CHAR)
+    );
+  }
+  
   /**
    * Strip ANSI codes from string for length calculation
    * @private
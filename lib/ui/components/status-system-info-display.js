@@ -48,6 +48,12 @@ export class SystemInfoDisplay {
     console.log(LAYOUT_PATTERNS.ITEM_LINE('Volume', `${volumeBar} ${volumePercent}%`, 20));
     console.log(LAYOUT_PATTERNS.ITEM_LINE('Theme', chalk.cyan(info.currentTheme), 20));
     console.log(LAYOUT_PATTERNS.ITEM_LINE('Players', playersText, 20));
+    console.log(LAYOUT_PATTERNS.ITEM_LINE('Backend', this.formatBackend(info), 20));
+    
+    // What each installed player can do
+    info.backendDetails.forEach(({ name, description }) => {
+      console.log(chalk.gray(`    ${name.padEnd(18)}${description}`));
+    });
     
     // File system section
     console.log(LAYOUT_PATTERNS.SECTION_HEADER('File System'));
@@ -64,6 +70,23 @@ export class SystemInfoDisplay {
     console.log(LAYOUT_PATTERNS.CONTROL_BAR(hints));
   }
   
+  /**
+   * audio_backend setting and the player it resolves to
+   * @param {Object} info - System information object
+   * @returns {string} e.g. "auto → paplay" or "mpv (not installed, using paplay)"
+   */
+  static formatBackend(info) {
+    if (!info.activeBackend) {
+      return chalk.red(`${info.audioBackend} (no player found)`);
+    }
+    if (info.audioBackendMissing) {
+      return chalk.yellow(`${info.audioBackend} (not installed, using ${info.activeBackend})`);
+    }
+    return info.audioBackend === info.activeBackend ?
+      chalk.green(`${info.activeBackend} (forced)`) :
+      chalk.green(`${info.audioBackend} \u2192 ${info.activeBackend}`);
+  }
+  
   /**
    * Create volume bar visualization
    * @param {number} percent - Volume percentage (0-100)
@@ -0,0 +1,179 @@
+/**
+ * Theme Info Display Component
+ * Plain (non-interactive) theme output for the `theme` subcommands
+ */
+
+import chalk from 'chalk';
+import { LAYOUT_PATTERNS } from '../constants/index.js';
+import { AudioFile } from '../../utils.js';
+
+/**
+ * Theme Info Display Component
+ * Plain (non-interactive) theme output for the `theme` subcommands
+ */
+export class ThemeInfoDisplay {
+  /**
+   * Render installed themes, marking the active one
+   * @param {Array} themes - List of theme objects
+   * @param {string} currentTheme - Currently active theme
+   */
+  static renderList(themes, currentTheme) {
+    if (themes.length === 0) {
+      console.log(chalk.yellow('No themes installed.'));
+      return;
+    }
+
+    themes.forEach(theme => {
+      const isActive = theme.name === currentTheme;
+      const marker = isActive ? chalk.green('✓') : ' ';
+      const name = isActive ? chalk.bold(theme.name) : theme.name;
+      const version = theme.version ? chalk.gray(` v${theme.version}`) : '';
+      const parent = theme.extends ? chalk.cyan(` extends ${theme.extends}`) : '';
+      console.log(`${marker} ${name}${version}${parent}  ${chalk.gray(theme.description)}`);
+    });
+  }
+
+  /**
+   * Render the result of `theme install`
+   * @param {Object} result - Result of ClaudeSound.installTheme()
+   */
+  static renderInstalled(result) {
+    const verb = result.overwritten ? 'Replaced' : 'Installed';
+    console.log(chalk.green(`✓ ${verb} theme "${result.name}"`));
+    console.log(chalk.gray(`  Path: ${result.path}`));
+    console.log(chalk.gray(`  Sounds (${result.soundFiles.length}): ${result.soundFiles.join(', ') || 'none'}`));
+    console.log(chalk.gray(`  Output style: ${result.hasOutputStyle ? `${result.name}.md` : 'none'}`));
+    if (result.checksumVerified) {
+      console.log(chalk.gray('  Checksum: verified'));
+    }
+
+    result.warnings.forEach(warning => console.log(chalk.yellow(`  ⚠ ${warning}`)));
+    console.log(chalk.cyan(`Activate it with: npx claude-gamify theme use ${result.name}`));
+  }
+
+  /**
+   * Render a theme created in the Create Theme wizard
+   * @param {Object} result - Result of ClaudeSound.createTheme()
+   */
+  static renderCreated(result) {
+    console.log(chalk.green(`✓ Created theme "${result.name}" and made it active`));
+    console.log(chalk.gray(`  Path: ${result.path}`));
+    console.log(chalk.gray(`  Sounds (${result.soundFiles.length}): ${result.soundFiles.join(', ') || 'none'}`));
+    console.log(chalk.gray(`  Output style: ${result.hasOutputStyle ? `${result.name}.md` : 'none'}`));
+    console.log(chalk.cyan(`Share it with: npx claude-gamify theme pack ${result.name}`));
+  }
+
+  /**
+   * Render the result of `theme pack`
+   * @param {Object} result - Result of ClaudeSound.packTheme()
+   */
+  static renderPacked(result) {
+    const sizeKb = (result.size / 1024).toFixed(1);
+    console.log(chalk.green(`✓ Packed theme "${result.name}"${result.version ? ` v${result.version}` : ''}`));
+    console.log(chalk.gray(`  Archive: ${result.archivePath} (${result.files.length} files, ${sizeKb} KB)`));
+    console.log(chalk.gray(`  SHA-256: ${result.checksum}`));
+    console.log(chalk.gray(`  Checksum file: ${result.checksumPath}`));
+
+    result.warnings.forEach(warning => console.log(chalk.yellow(`  ⚠ ${warning}`)));
+    console.log(chalk.cyan(`Install it with: npx claude-gamify theme install ${result.archivePath}`));
+  }
+
+  /**
+   * Render details for a single theme
+   * @param {Object} theme - Theme information object
+   * @param {string} currentTheme - Currently active theme
+   */
+  static render(theme, currentTheme) {
+    const status = theme.name === currentTheme ?
+      chalk.green('✓ Active') :
+      chalk.gray('Installed');
+    let outputStyle = theme.hasOutputStyle ?
+      chalk.green('✓ Included') :
+      chalk.gray('None');
+    if (theme.outputStyleInherited) {
+      outputStyle += chalk.cyan(` (sections from ${theme.extends})`);
+    }
+
+    console.log(LAYOUT_PATTERNS.TITLE(theme.displayName));
+    console.log(LAYOUT_PATTERNS.SEPARATOR_HEAVY());
+    console.log();
+    console.log(LAYOUT_PATTERNS.ITEM_LINE('Status', status, 20));
+    console.log(LAYOUT_PATTERNS.ITEM_LINE('Description', theme.description, 20));
+
+    // Manifest metadata, only what the theme declares
+    [
+      ['Version', theme.version],
+      ['Author', theme.author],
+      ['License', theme.license],
+      ['Theme Volume', theme.volume === null ? null : `${Math.round(theme.volume * 100)}%`],
+      ['Extends', theme.extends],
+      ['Variant Strategy', theme.variantStrategy]
+    ]
+      .filter(([, value]) => value)
+      .forEach(([label, value]) => console.log(LAYOUT_PATTERNS.ITEM_LINE(label, value, 20)));
+
+    console.log(LAYOUT_PATTERNS.ITEM_LINE('Output Style', outputStyle, 20));
+    console.log(LAYOUT_PATTERNS.ITEM_LINE('Path', chalk.gray(theme.path), 20));
+
+    if (theme.manifestErrors.length > 0) {
+      console.log(chalk.yellow('\n  theme.json problems (ignored):'));
+      theme.manifestErrors.forEach(error => console.log(chalk.yellow(`  • ${error}`)));
+    }
+
+    console.log(LAYOUT_PATTERNS.SECTION_HEADER(`Sounds (${theme.soundFiles.length})`));
+    console.log();
+    if (theme.soundFiles.length === 0) {
+      console.log(chalk.gray('  No sound files'));
+    } else {
+      theme.soundFiles.forEach(sound => {
+        // Sounds with several files play one of them each time
+        const files = theme.soundVariants[sound] || [];
+        if (files.length > 1) {
+          console.log(`  • ${sound} ${chalk.cyan(`(${files.length} variants)`)}`);
+          files.forEach(file => console.log(chalk.gray(`      ${file}  ${this.formatSoundDetails(theme.soundDetails[file])}`)));
+        } else {
+          console.log(`  • ${sound}  ${chalk.gray(this.formatSoundDetails(theme.soundDetails[files[0]]))}`);
+        }
+      });
+    }
+    theme.longSounds.forEach(({ sound, file, duration }) => {
+      console.log(chalk.yellow(`  ⚠ ${file} is ${AudioFile.formatDuration(duration)} long; ${sound} plays on every tool call`));
+    });
+
+    // Where each event's sound comes from when the theme is missing some
+    if (theme.inheritedSounds.length > 0) {
+      console.log(LAYOUT_PATTERNS.SECTION_HEADER('Events'));
+      console.log();
+      Object.entries(theme.soundSources).forEach(([event, source]) => {
+        let origin = chalk.green('✓ own');
+        if (source === null) {
+          origin = chalk.gray('no sound');
+        } else if (source !== theme.name) {
+          origin = chalk.cyan(`← ${source}`);
+        }
+        console.log(LAYOUT_PATTERNS.ITEM_LINE(event, origin, 20));
+      });
+    }
+    console.log();
+  }
+
+  /**
+   * One line of sound file details, e.g. "1.2s · 44.1 kHz · stereo · 212 KB"
+   * @private
+   * @param {Object|undefined} details - Entry of theme.soundDetails
+   * @returns {string} Details known for the file's format
+   */
+  static formatSoundDetails(details) {
+    if (!details) {
+      return '';
+    }
+
+    const channels = { 1: 'mono', 2: 'stereo' };
+    return [
+      details.duration === null ? null : AudioFile.formatDuration(details.duration),
+      details.sampleRate ? `${details.sampleRate / 1000} kHz` : null,
+      details.channels ? channels[details.channels] || `${details.channels} channels` : null,
+      `${(details.size / 1024).toFixed(1)} KB`
+    ].filter(Boolean).join(' · ');
+  }
+}
@@ -4,7 +4,9 @@
  */
 
 import chalk from 'chalk';
+import path from 'path';
 import { LAYOUT_PATTERNS } from '../constants/index.js';
+import { AudioFile } from '../../utils.js';
 
 /**
  * Theme Management Display Component
@@ -15,8 +17,10 @@ export class ThemeManagementDisplay {
    * Render theme management screen with Settings-style layout
    * @param {Array} themes - List of theme objects
    * @param {string} currentTheme - Currently active theme
+   * @param {Object} playable - { players, formats } the installed players can
+   *   play; themes with other formats get a warning
    */
-  static render(themes, currentTheme) {
+  static render(themes, currentTheme, playable = null) {
     console.clear();
     
     // Title and separator 
@@ -29,19 +33,28 @@ export class ThemeManagementDisplay {
     
     themes.forEach(theme => {
       const isActive = theme.name === currentTheme;
+      const details = chalk.gray(`  ${this.formatDetails(theme)}`);
       let status, line;
       
       if (isActive) {
         status = chalk.green('✓ Current');
         line = LAYOUT_PATTERNS.ITEM_LINE(theme.name, status, 18);
-        console.log(LAYOUT_PATTERNS.HIGHLIGHT_ACTIVE(line));
+        console.log(LAYOUT_PATTERNS.HIGHLIGHT_ACTIVE(line) + details);
       } else {
         status = theme.name === 'system' ? 
           chalk.cyan('Default') : 
           chalk.gray('Available');
         line = LAYOUT_PATTERNS.ITEM_LINE(theme.name, status, 18);
-        console.log(line);
+        console.log(line + details);
       }
+      
+      const unplayable = this.getUnplayableFormats(theme, playable);
+      if (unplayable.length > 0) {
+        console.log(chalk.yellow(`      ⚠ ${unplayable.join(', ')} files won't play with ${playable.players.join(', ')}`));
+      }
+      theme.longSounds.forEach(({ sound, file, duration }) => {
+        console.log(chalk.yellow(`      ⚠ ${file} is ${AudioFile.formatDuration(duration)} long for ${sound}`));
+      });
     });
     
     // Control hints - simplified
@@ -49,6 +62,61 @@ export class ThemeManagementDisplay {
     console.log(LAYOUT_PATTERNS.CONTROL_BAR(hints));
   }
   
+  /**
+   * Short "v1.0.0 · by Author · extends zelda (6 sounds inherited) · 0.3-1.8s" summary
+   * @private
+   * @param {Object} theme - Theme information object
+   * @returns {string} Summary, or the description for themes without a
+   *   manifest, followed by the range of sound durations
+   */
+  static formatDetails(theme) {
+    const parts = [];
+    if (theme.version) parts.push(`v${theme.version}`);
+    if (theme.author) parts.push(`by ${theme.author}`);
+    if (theme.extends) parts.push(`extends ${theme.extends}`);
+    if (theme.inheritedSounds.length > 0) {
+      const provided = Object.values(theme.soundSources).filter(source => source === theme.name).length;
+      parts.push(`${provided} own, ${theme.inheritedSounds.length} inherited sounds`);
+    }
+    const summary = parts.length > 0 ? parts.join(' · ') : theme.description;
+    const durations = this.formatDurationRange(theme);
+    return durations ? `${summary} · ${durations}` : summary;
+  }
+  
+  /**
+   * Shortest to longest of a theme's own sounds, e.g. "0.3-1.8s"
+   * Only WAV and AIFF files have a known duration.
+   * @private
+   * @param {Object} theme - Theme information object
+   * @returns {string|null} Range, or null when no duration is known
+   */
+  static formatDurationRange(theme) {
+    const durations = Object.values(theme.soundDetails)
+      .map(details => details.duration)
+      .filter(duration => duration !== null);
+    if (durations.length === 0) return null;
+    
+    const shortest = AudioFile.formatDuration(Math.min(...durations));
+    const longest = AudioFile.formatDuration(Math.max(...durations));
+    return shortest === longest ? longest : `${shortest.replace(/s$/, '')}-${longest}`;
+  }
+  
+  /**
+   * Formats of a theme's own sound files that the players can't play
+   * Nothing is reported when no player is installed (doctor covers that).
+   * @private
+   * @param {Object} theme - Theme information object
+   * @param {Object|null} playable - { players, formats }
+   * @returns {Array<string>} Extensions like ".ogg"
+   */
+  static getUnplayableFormats(theme, playable) {
+    if (!playable || playable.players.length === 0) return [];
+    
+    const formats = new Set(Object.values(theme.soundVariants).flat()
+      .map(file => path.extname(file).toLowerCase()));
+    return [...formats].filter(format => !playable.formats.includes(format));
+  }
+  
   /**
    * Format theme choices for inquirer (simplified for compatibility)
    * @param {Array} themes - List of theme objects  
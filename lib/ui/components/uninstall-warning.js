@@ -23,7 +23,7 @@ export class UninstallWarning {
       chalk.yellow('This will remove ALL Claude Gamify files and settings:\n') +
       chalk.gray('  • ~/.claude-gamify/ (all sound files & configuration)\n') +
       chalk.gray('  • ~/.claude/output-styles/<theme>.md (theme styles)\n') + 
-      chalk.gray('  • Hook configurations from Claude Code settings\n') +
+      chalk.gray('  • Hook configurations from Claude Code settings (user, project and local)\n') +
       chalk.gray('  • Reset output style if using gamify theme');
     
     console.log(boxen(content, BOX_STYLES.WARNING));
@@ -12,6 +12,7 @@ import {
   ASCII_CONFIG,
   EXECUTION_HINTS
 } from '../constants/index.js';
+import { QuietHours } from '../../utils.js';
 
 /**
  * Welcome Screen Component
@@ -24,8 +25,10 @@ export class WelcomeScreen {
    * @param {string} updateInfo.latestVersion - Latest available version
    * @param {string} updateInfo.executionContext - How the tool was executed
    * @param {string} upgradeVersion - Version that was upgraded to (if any)
+   * @param {Object} quiet - Quiet hours or do-not-disturb in effect (if any),
+   *   from QuietHours.getQuietState()
    */
-  static render(updateInfo = null, upgradeVersion = null) {
+  static render(updateInfo = null, upgradeVersion = null, quiet = null) {
     console.clear();
     
     // Generate ASCII art
@@ -50,6 +53,12 @@ export class WelcomeScreen {
       );
     }
     
+    // Remind why sounds are silent
+    if (quiet) {
+      const hint = quiet.source === 'dnd' ? ' (claude-gamify dnd off to end it)' : '';
+      welcomeContent += chalk.yellow(`🔕 ${QuietHours.describeQuietState(quiet)}${hint}\n\n`);
+    }
+    
     welcomeContent += chalk.gray('Use arrow keys to navigate, Enter to select, ESC to go back');
     
     // Display in styled box
@@ -13,7 +13,8 @@ export const MESSAGES = {
   NO_CUSTOM_THEMES: 'No custom themes available to remove.',
   UNINSTALL_CANCELLED: '✨ Uninstall cancelled',
   UNINSTALL_SUCCESS: '👋 Thank you for using Claude Gamify!',
-  REINSTALL_TIP: 'You can reinstall anytime with: npx claude-gamify'
+  REINSTALL_TIP: 'You can reinstall anytime with: npx claude-gamify',
+  NOT_INITIALIZED: 'Claude Gamify is not initialized. Run: npx claude-gamify init'
 };
 
 // Prompt Messages
@@ -32,7 +33,26 @@ export const COMMAND_DESCRIPTIONS = {
   INIT: 'Initialize Claude Gamify system',
   STATUS: 'Show current status',
   CHECK_UPDATES: 'Check for available NPM package updates',
-  UNINSTALL: 'Completely uninstall Claude Gamify'
+  UNINSTALL: 'Completely uninstall Claude Gamify',
+  THEME: 'Manage sound themes',
+  THEME_LIST: 'List installed themes',
+  THEME_USE: 'Switch the active theme and output style',
+  THEME_INFO: 'Show details for a theme',
+  THEME_INSTALL: 'Install a theme from a directory, .tgz or .zip archive',
+  THEME_PACK: 'Package a theme into a .tgz archive with a checksum file',
+  THEME_REMOVE: 'Remove an installed theme',
+  CONFIG: 'Read and change configuration values',
+  CONFIG_GET: 'Print a config value (all values if no key is given)',
+  CONFIG_SET: 'Set a config value (JSON literals are parsed)',
+  CONFIG_UNSET: 'Reset a config value to its default',
+  VOLUME: 'Set sound volume (0-100)',
+  MUTE: 'Turn all sounds off',
+  UNMUTE: 'Turn sounds back on',
+  DND: 'Mute sounds for a while (e.g. dnd 45m), or end it (dnd off)',
+  HOOKS: 'Turn sounds on or off for individual hook events',
+  HOOKS_ENABLE: 'Enable sounds for hook events',
+  HOOKS_DISABLE: 'Disable sounds for hook events',
+  DOCTOR: 'Diagnose the installation (use --fix to repair)'
 };
 
 // Execution Context Hints
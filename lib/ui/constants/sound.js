@@ -3,29 +3,15 @@
  * Contains all sound-related settings and UI configurations
  */
 
-// Hook Names (for sound testing)
-export const HOOK_NAMES = [
-  'SessionStart',
-  'UserPromptSubmit',
-  'PreToolUse',
-  'PostToolUse',
-  'Notification',
-  'Stop',
-  'SubagentStop'
-];
+import { ConfigDefaults } from '../../utils.js';
+
+// Hook Names (for sound testing), from the shared hook registry
+export const HOOK_NAMES = ConfigDefaults.hookDefinitions.map(hook => hook.event);
 
 // Sound Configuration UI
 export const SOUND_CONFIG_UI = {
   // Display names for hooks
-  HOOK_DISPLAY_NAMES: {
-    'SessionStart': 'Session Start',
-    'UserPromptSubmit': 'User Prompt Submit',
-    'PreToolUse': 'Pre Tool Use',
-    'PostToolUse': 'Post Tool Use',
-    'Notification': 'Notification',
-    'Stop': 'Stop',
-    'SubagentStop': 'Subagent Stop'
-  },
+  HOOK_DISPLAY_NAMES: ConfigDefaults.hookDisplayNames,
   
   // Keyboard shortcuts
   SHORTCUTS: {
@@ -47,7 +33,7 @@ export const SOUND_CONFIG_UI = {
   CONTROL_HINTS: [
     '[↑/↓] Navigate',
     '[Space] Toggle',
-    '[←/→] Volume',
+    '[←/→] Adjust',
     '[A]ll',
     '[N]one',
     '[I]nvert',
@@ -59,9 +45,21 @@ export const SOUND_CONFIG_UI = {
   // Section headers
   HEADERS: {
     GLOBAL: 'Global Settings',
+    LIMITS: 'Rapid-Fire Limits',
     HOOKS: 'Individual Hook Controls'
   },
   
+  // What happens to sounds over a limit (rate_limit_mode)
+  LIMIT_MODE_LABELS: {
+    drop: 'Drop extra sounds',
+    coalesce: 'Coalesce bursts into one',
+    queue: 'Queue and play later'
+  },
+  
+  // Cooldown step and upper bound for ←/→ on a hook (ms)
+  COOLDOWN_STEP: 100,
+  COOLDOWN_MAX: 5000,
+  
   // Status indicators
   STATUS: {
     ENABLED: '✓ Enabled',
@@ -36,7 +36,7 @@ export class PromptManagerCore {
    * @param {Function} validate - Optional validation function
    * @returns {Promise<string>} User's input
    */
-  static async inputText(message, validate = null) {
+  static async inputText(message, validate = () => true) {
     const { value } = await inquirer.prompt([
       {
         type: 'input',
@@ -108,6 +108,29 @@ export class PromptManagerCore {
     return selection;
   }
   
+  /**
+   * Ask what to do when an installed theme already has the name
+   * @param {string} themeName - Name that is taken
+   * @param {Function} validateName - Validation for a new name (true or message)
+   * @param {boolean} canOverwrite - Offer to overwrite (not for built-in themes)
+   * @returns {Promise<Object|null>} { overwrite: true }, { name } or null to cancel
+   */
+  static async chooseThemeCollision(themeName, validateName, canOverwrite = true) {
+    const action = await PromptManagerCore.selectFromList(`Theme "${themeName}" already exists. What would you like to do?`, [
+      { name: 'Install under another name', value: 'rename' },
+      ...(canOverwrite ? [{ name: `Overwrite "${themeName}"`, value: 'overwrite' }] : []),
+      { name: 'Cancel', value: 'cancel' }
+    ]);
+    
+    if (action === 'overwrite') {
+      return { overwrite: true };
+    }
+    if (action === 'rename') {
+      return { name: (await PromptManagerCore.inputText('New theme name:', validateName)).trim() };
+    }
+    return null;
+  }
+  
   /**
    * Prompt for yes/no confirmation with text input
    * @param {string} message - Confirmation message
@@ -26,6 +26,7 @@ export class PromptManager {
   static pressEnterToContinue = PromptManagerCore.pressEnterToContinue;
   static selectFromList = PromptManagerCore.selectFromList;
   static confirmWithInput = PromptManagerCore.confirmWithInput;
+  static chooseThemeCollision = PromptManagerCore.chooseThemeCollision;
 }
 
 /**
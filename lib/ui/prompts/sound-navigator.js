@@ -111,6 +111,9 @@ export class SoundNavigationHandler {
               action = { 
                 action: 'play', 
                 soundName: soundItems[currentIndex].name,
+                soundId: soundItems[currentIndex].id || soundItems[currentIndex].name,
+                toolName: soundItems[currentIndex].toolName || null,
+                file: soundItems[currentIndex].file || null,
                 index: currentIndex 
               };
               break;
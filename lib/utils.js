@@ -4,9 +4,9 @@
  */
 
 import fs from 'fs/promises';
+import { existsSync } from 'fs';
 import path from 'path';
 import os from 'os';
-import { execSync } from 'child_process';
 import { fileURLToPath } from 'url';
 import { createRequire } from 'module';
 
@@ -42,6 +42,10 @@ class Paths {
     return path.join(this.claudeGamifyDir, 'index.js');
   }
 
+  static get hookRegistryPath() {
+    return path.join(this.claudeGamifyDir, 'hooks.json');
+  }
+
   static get claudeConfigPath() {
     return path.join(this.homeDir, '.claude', 'settings.json');
   }
@@ -53,6 +57,141 @@ class Paths {
   static get templateDir() {
     return path.join(__dirname, '..', 'template');
   }
+
+  static get templateHookRegistryPath() {
+    return path.join(this.templateDir, 'hooks.json');
+  }
+
+  static get themeManifestModulePath() {
+    return path.join(this.claudeGamifyDir, 'theme_manifest.cjs');
+  }
+
+  static get templateThemeManifestModulePath() {
+    return path.join(this.templateDir, 'theme_manifest.cjs');
+  }
+
+  static get quietHoursModulePath() {
+    return path.join(this.claudeGamifyDir, 'quiet_hours.cjs');
+  }
+
+  static get templateQuietHoursModulePath() {
+    return path.join(this.templateDir, 'quiet_hours.cjs');
+  }
+
+  static get audioBackendsModulePath() {
+    return path.join(this.claudeGamifyDir, 'audio_backends.cjs');
+  }
+
+  static get templateAudioBackendsModulePath() {
+    return path.join(this.templateDir, 'audio_backends.cjs');
+  }
+
+  static get audioFileModulePath() {
+    return path.join(this.claudeGamifyDir, 'audio_file.cjs');
+  }
+
+  static get templateAudioFileModulePath() {
+    return path.join(this.templateDir, 'audio_file.cjs');
+  }
+
+  static get soundLookupModulePath() {
+    return path.join(this.claudeGamifyDir, 'sound_lookup.cjs');
+  }
+
+  static get templateSoundLookupModulePath() {
+    return path.join(this.templateDir, 'sound_lookup.cjs');
+  }
+
+  static get projectConfigModulePath() {
+    return path.join(this.claudeGamifyDir, 'project_config.cjs');
+  }
+
+  static get templateProjectConfigModulePath() {
+    return path.join(this.templateDir, 'project_config.cjs');
+  }
+
+  static get backendCacheFile() {
+    return path.join(this.claudeGamifyDir, 'backend_cache.json');
+  }
+
+  static get rateLimitModulePath() {
+    return path.join(this.claudeGamifyDir, 'rate_limit.cjs');
+  }
+
+  static get templateRateLimitModulePath() {
+    return path.join(this.templateDir, 'rate_limit.cjs');
+  }
+
+  /**
+   * Root of the current project: the nearest directory above the working
+   * directory containing .git or .claude, or the working directory itself
+   */
+  static get projectDir() {
+    const cwd = process.cwd();
+    let dir = cwd;
+    while (dir !== this.homeDir) {
+      if (existsSync(path.join(dir, '.git')) || existsSync(path.join(dir, '.claude'))) {
+        return dir;
+      }
+      const parent = path.dirname(dir);
+      if (parent === dir) break;
+      dir = parent;
+    }
+    return cwd;
+  }
+
+  /**
+   * Install scopes, matching Claude Code's settings files
+   * user: ~/.claude/settings.json, project: <repo>/.claude/settings.json
+   * (shared), local: <repo>/.claude/settings.local.json (personal)
+   */
+  static get installScopes() {
+    return ['user', 'project', 'local'];
+  }
+
+  /**
+   * Paths used to install hooks and output styles into a scope
+   * Project settings are committed, so their hook command refers to the
+   * runtime through $HOME instead of this machine's home directory.
+   * @param {string} scope - 'user', 'project' or 'local'
+   * @returns {Object} { scope, settingsPath, outputStylesDir, hookIndexPath }
+   * @throws {Error} If the scope is unknown, or a project scope is used
+   *   from the home directory (where it would be the user scope)
+   */
+  static scopePaths(scope) {
+    const projectDir = this.projectDir;
+    const projectClaudeDir = path.join(projectDir, '.claude');
+
+    if (scope !== 'user' && this.installScopes.includes(scope) && projectDir === this.homeDir) {
+      throw new Error(`The ${scope} scope needs a project directory; run this inside a repository`);
+    }
+
+    switch (scope) {
+      case 'user':
+        return {
+          scope,
+          settingsPath: this.claudeConfigPath,
+          outputStylesDir: this.claudeOutputStylesDir,
+          hookIndexPath: this.indexPath
+        };
+      case 'project':
+        return {
+          scope,
+          settingsPath: path.join(projectClaudeDir, 'settings.json'),
+          outputStylesDir: path.join(projectClaudeDir, 'output-styles'),
+          hookIndexPath: '$HOME/.claude-gamify/index.js'
+        };
+      case 'local':
+        return {
+          scope,
+          settingsPath: path.join(projectClaudeDir, 'settings.local.json'),
+          outputStylesDir: this.claudeOutputStylesDir,
+          hookIndexPath: this.indexPath
+        };
+      default:
+        throw new Error(`Invalid scope: ${scope} (expected one of: ${this.installScopes.join(', ')})`);
+    }
+  }
 }
 
 /**
@@ -62,26 +201,60 @@ class ConfigDefaults {
   static get defaultConfig() {
     return {
       theme: 'zelda',
+      fallback_theme: 'system',
+      variant_strategy: null,
       sound_enabled: true,
       sound_volume: 0.5,
-      sound_hooks: this.defaultHookStates
+      sound_hooks: this.defaultHookStates,
+      sound_cooldowns: this.defaultCooldowns,
+      max_concurrent_sounds: 3,
+      rate_limit_mode: 'coalesce',
+      quiet_hours: [],
+      dnd_until: null,
+      dnd_volume: 0,
+      audio_backend: 'auto',
+      max_frequent_sound_seconds: 2,
+      tool_sounds: {}
     };
   }
 
   static get validKeys() {
-    return ['theme', 'sound_enabled', 'sound_volume', 'sound_hooks', 'version'];
+    return [
+      'theme', 'fallback_theme', 'variant_strategy', 'sound_enabled', 'sound_volume', 'sound_hooks',
+      'sound_cooldowns', 'max_concurrent_sounds', 'rate_limit_mode', 'quiet_hours', 'dnd_until', 'dnd_volume',
+      'audio_backend', 'max_frequent_sound_seconds', 'tool_sounds', 'version'
+    ];
+  }
+
+  /**
+   * Per-project override file, found by walking up from the working directory
+   */
+  static get projectConfigName() {
+    return ProjectConfig.PROJECT_CONFIG_NAME;
+  }
+
+  /**
+   * Keys a project override file may set
+   */
+  static get projectConfigKeys() {
+    return ProjectConfig.PROJECT_CONFIG_KEYS;
+  }
+
+  /**
+   * Hook definitions from the shared registry (template/hooks.json)
+   * The same file is deployed next to the runtime player, so the CLI and
+   * play_sound.js always agree on events, config keys and defaults.
+   */
+  static get hookDefinitions() {
+    return require(Paths.templateHookRegistryPath).hooks;
   }
 
   static get hookEventMapping() {
-    return {
-      'SessionStart': 'session_start',
-      'UserPromptSubmit': 'user_prompt_submit',
-      'PreToolUse': 'pre_tool_use',
-      'PostToolUse': 'post_tool_use',
-      'Notification': 'notification',
-      'Stop': 'stop',
-      'SubagentStop': 'subagent_stop'
-    };
+    const mapping = {};
+    this.hookDefinitions.forEach(hook => {
+      mapping[hook.event] = hook.configKey;
+    });
+    return mapping;
   }
 
   static get configToEvent() {
@@ -98,22 +271,149 @@ class ConfigDefaults {
 
   static get defaultHookStates() {
     const states = {};
-    this.defaultHookConfigs.forEach(hookConfig => {
-      states[hookConfig] = true;
+    this.hookDefinitions.forEach(hook => {
+      states[hook.configKey] = hook.defaultEnabled !== false;
     });
     return states;
   }
 
+  /**
+   * Milliseconds after a hook's sound before it plays again, keyed by config key
+   */
+  static get defaultCooldowns() {
+    const cooldowns = {};
+    this.hookDefinitions.forEach(hook => {
+      cooldowns[hook.configKey] = hook.defaultCooldownMs || 0;
+    });
+    return cooldowns;
+  }
+
+  /**
+   * Events registered as Claude Code hooks in settings.json
+   */
   static get hookCommands() {
-    return [
-      'SessionStart',
-      'UserPromptSubmit', 
-      'PreToolUse',
-      'PostToolUse',
-      'Notification',
-      'Stop',
-      'SubagentStop'
-    ];
+    return this.hookDefinitions
+      .filter(hook => hook.registered)
+      .map(hook => hook.event);
+  }
+
+  /**
+   * Display names for hooks, keyed by event name
+   */
+  static get hookDisplayNames() {
+    const names = {};
+    this.hookDefinitions.forEach(hook => {
+      names[hook.event] = hook.displayName || hook.event;
+    });
+    return names;
+  }
+
+  /**
+   * Hooks whose sound can vary by the tool being used
+   */
+  static get toolHooks() {
+    return this.hookDefinitions
+      .filter(hook => (hook.variants || []).includes('tool'))
+      .map(hook => hook.event);
+  }
+
+  /**
+   * Hooks that can fire many times a minute (tool calls), where long sounds
+   * overlap and get cut off
+   */
+  static get frequentHooks() {
+    return this.hookDefinitions
+      .filter(hook => hook.frequent)
+      .map(hook => hook.event);
+  }
+
+  /**
+   * Sounds that fall back to another hook's sound when a theme lacks them
+   */
+  static get soundFallbacks() {
+    const fallbacks = {};
+    this.hookDefinitions.forEach(hook => {
+      if (hook.fallback) {
+        fallbacks[hook.event] = hook.fallback;
+      }
+    });
+    return fallbacks;
+  }
+}
+
+/**
+ * Theme manifest (theme.json) reader, shared with the sound runtime
+ * { MANIFEST_FILE, DEFAULT_OUTPUT_STYLE, VARIANT_STRATEGIES, loadThemeManifest,
+ *   getManifestSoundFiles, listSoundVariants, pickVariant, resolveOutputStyle,
+ *   resolveThemeChain, normalizeManifest }
+ */
+const ThemeManifest = require(Paths.templateThemeManifestModulePath);
+
+/**
+ * Playback limits (cooldowns, concurrent sounds), shared with the sound runtime
+ * { RATE_LIMIT_MODES, MAX_CONCURRENT_LIMIT, MAX_COOLDOWN_MS, withStateLock,
+ *   claimPlayback, readState, ... }
+ */
+const RateLimit = require(Paths.templateRateLimitModulePath);
+
+/**
+ * Quiet hours and do-not-disturb, shared with the sound runtime
+ * { getQuietState, validateQuietRule, parseDuration, formatDuration,
+ *   describeQuietState, MAX_DND_MS }
+ */
+const QuietHours = require(Paths.templateQuietHoursModulePath);
+
+/**
+ * Audio backend registry, shared with the sound runtime
+ * { AUTO_BACKEND, AUDIO_BACKENDS, BACKEND_NAMES, resolveBackend,
+ *   refreshBackendCache, clearBackendCache, describeBackend, ... }
+ */
+const AudioBackends = require(Paths.templateAudioBackendsModulePath);
+
+/**
+ * WAV/AIFF headers and volume-adjusted copies, shared with the sound runtime
+ * { getAudioInfo, formatDuration, parseWav, parseAiff, scaleWav, getVolumeCopy, ... }
+ */
+const AudioFile = require(Paths.templateAudioFileModulePath);
+
+/**
+ * Sound lookup order for hooks and tools, shared with the sound runtime
+ * { TOOL_HOOKS, SOUND_FALLBACKS, matchToolPattern, getSoundCandidates }
+ */
+const SoundLookup = require(Paths.templateSoundLookupModulePath);
+
+/**
+ * Per-project overrides (.claude-gamify.json), shared with the sound runtime
+ * so the CLI reports them the way hooks apply them
+ * { PROJECT_CONFIG_NAME, PROJECT_CONFIG_KEYS, validateSetting, validateOverrides,
+ *   findProjectConfig, loadProjectConfig, mergeConfig }
+ */
+const ProjectConfig = require(Paths.templateProjectConfigModulePath);
+
+/**
+ * Sound file resolution utilities
+ */
+class SoundUtils {
+  /**
+   * Match a tool name against a pattern supporting * and ? wildcards
+   * @param {string} pattern - Tool name or glob (e.g. "mcp__*")
+   * @param {string} toolName - Tool name from the hook payload
+   * @returns {boolean} True if the pattern matches
+   */
+  static matchToolPattern(pattern, toolName) {
+    return SoundLookup.matchToolPattern(pattern, toolName);
+  }
+
+  /**
+   * Get sound base names to try for a hook, most specific first
+   * Same order as the sound runtime (see template/sound_lookup.cjs).
+   * @param {string} hookName - Claude event or sound name
+   * @param {string|null} toolName - Tool name for tool hooks
+   * @param {Object} toolSounds - Map of tool name patterns to sound variants
+   * @returns {Array<string>} Base names like "PreToolUse.Bash", "PreToolUse"
+   */
+  static getSoundCandidates(hookName, toolName = null, toolSounds = {}) {
+    return SoundLookup.getSoundCandidates(hookName, toolName, toolSounds);
   }
 }
 
@@ -152,6 +452,27 @@ class FileUtils {
     }
   }
 
+  /**
+   * Read a settings file that is about to be rewritten
+   * A missing file reads as an empty object, but unparsable JSON throws so
+   * callers never overwrite settings they could not read.
+   */
+  static async readSettingsFile(filePath) {
+    let content;
+    try {
+      content = await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return {};
+      throw error;
+    }
+
+    try {
+      return JSON.parse(content);
+    } catch (error) {
+      throw new Error(`${filePath} is not valid JSON (${error.message})`);
+    }
+  }
+
   /**
    * Write JSON file with formatting
    */
@@ -166,26 +487,28 @@ class FileUtils {
 class SystemUtils {
   /**
    * Get available audio players on current platform
+   * Read from the runtime's backend cache, detecting them only when it is
+   * missing; refresh detects them afresh and updates the cache.
+   * @param {Object} options - { refresh }
    */
-  static getAvailableAudioPlayers() {
-    const players = [];
-    
-    if (process.platform === 'darwin') {
-      players.push('afplay');
-    } else if (process.platform === 'linux') {
-      const linuxPlayers = ['paplay', 'aplay', 'mpg123', 'play'];
-      
-      for (const player of linuxPlayers) {
-        try {
-          execSync(`which ${player}`, { stdio: 'ignore' });
-          players.push(player);
-        } catch {
-          // Player not available
-        }
-      }
-    }
-    
-    return players;
+  static getAvailableAudioPlayers({ refresh = false } = {}) {
+    const backends = refresh ?
+      AudioBackends.refreshBackendCache(Paths.backendCacheFile) :
+      AudioBackends.loadInstalledBackends(Paths.backendCacheFile);
+    return Object.keys(backends);
+  }
+
+  /**
+   * Backend sounds play with for an audio_backend setting
+   * @param {string} preference - "auto" or a backend name
+   * @param {Array<string>} players - Installed players (detected if omitted)
+   * @returns {Object} { backend (or null), forced, missing } where missing
+   *   means a forced backend is not installed and auto is used instead
+   */
+  static getAudioBackendStatus(preference = AudioBackends.AUTO_BACKEND, players = this.getAvailableAudioPlayers()) {
+    const forced = preference !== AudioBackends.AUTO_BACKEND;
+    const backend = AudioBackends.resolveBackend(preference, null, { isAvailable: name => players.includes(name) });
+    return { backend, forced, missing: forced && (!backend || backend.name !== preference) };
   }
 
   /**
@@ -247,17 +570,12 @@ class ConfigUtils {
       delete migrated.volume;
     }
     
-    // Add sound_hooks if missing
-    if (!migrated.sound_hooks) {
-      migrated.sound_hooks = ConfigDefaults.defaultHookStates;
-    } else {
-      // Ensure all default hooks exist
-      ConfigDefaults.defaultHookConfigs.forEach(hookConfig => {
-        if (!(hookConfig in migrated.sound_hooks)) {
-          migrated.sound_hooks[hookConfig] = true;
-        }
-      });
-    }
+    // Hooks without a toggle of their own (e.g. pre_compact, session_end added
+    // later) use the registry default
+    migrated.sound_hooks = { ...ConfigDefaults.defaultHookStates, ...(migrated.sound_hooks || {}) };
+    
+    // Hooks without a cooldown of their own use the registry default
+    migrated.sound_cooldowns = { ...ConfigDefaults.defaultCooldowns, ...(migrated.sound_cooldowns || {}) };
     
     return migrated;
   }
@@ -266,8 +584,8 @@ class ConfigUtils {
    * Validate volume range (0-100 integer input)
    */
   static validateVolume(volume) {
-    // Convert to number if string
-    const numVolume = typeof volume === 'string' ? parseInt(volume, 10) : volume;
+    // Convert to number if string; only plain digits ("4x" and "50.9" are not volumes)
+    const numVolume = typeof volume === 'string' ? (/^\d+$/.test(volume) ? Number(volume) : NaN) : volume;
     
     // Check if it's a valid integer between 0-100
     if (!Number.isInteger(numVolume) || numVolume < 0 || numVolume > 100) {
@@ -277,11 +595,100 @@ class ConfigUtils {
     // Convert to 0.0-1.0 float for storage
     return numVolume / 100;
   }
+
+  /**
+   * Parse a value given on the command line
+   * JSON literals (true, 0.5, {"Bash": "shell"}) are parsed, anything else stays a string
+   */
+  static parseValue(raw) {
+    try {
+      return JSON.parse(raw);
+    } catch {
+      return raw;
+    }
+  }
+
+  /**
+   * Validate a value for a config key path ("sound_volume", "sound_hooks.stop")
+   * @returns {*} Value to store
+   * @throws {Error} If the key is unknown or the value has the wrong type
+   */
+  static validateValue(keyPath, value) {
+    const [key, subKey] = this.splitKeyPath(keyPath);
+
+    if (key === 'version') {
+      throw new Error('version is managed by Claude Gamify and cannot be set');
+    }
+
+    // Keys projects can override are checked the same way the sound runtime does
+    if (ProjectConfig.PROJECT_CONFIG_KEYS.includes(key)) {
+      return ProjectConfig.validateSetting(key, subKey, value);
+    }
+
+    if (subKey) {
+      throw new Error(`${key} has no nested keys`);
+    }
+
+    switch (key) {
+      case 'dnd_until':
+        if (value !== null && (typeof value !== 'string' || isNaN(Date.parse(value)))) {
+          throw new Error('dnd_until must be a date and time (ISO 8601), or null');
+        }
+        return value;
+      case 'dnd_volume':
+        if (typeof value !== 'number' || value < 0 || value > 1) {
+          throw new Error('dnd_volume must be a number between 0 and 1');
+        }
+        return value;
+      case 'max_frequent_sound_seconds':
+        if (typeof value !== 'number' || value < 0 || value > 60) {
+          throw new Error('max_frequent_sound_seconds must be a number of seconds between 0 (no warning) and 60');
+        }
+        return value;
+      case 'audio_backend':
+        if (value !== AudioBackends.AUTO_BACKEND && !AudioBackends.BACKEND_NAMES.includes(value)) {
+          throw new Error(`audio_backend must be auto or one of: ${AudioBackends.BACKEND_NAMES.join(', ')}`);
+        }
+        return value;
+      default:
+        return value;
+    }
+  }
+
+  /**
+   * Merge overrides into a config, merging nested objects key by key
+   */
+  static deepMerge(base, overrides) {
+    return ProjectConfig.mergeConfig(base, overrides);
+  }
+
+  /**
+   * Split a config key path into its top-level key and optional nested key
+   * @throws {Error} If the top-level key is not a valid config key
+   */
+  static splitKeyPath(keyPath) {
+    const dotIndex = keyPath.indexOf('.');
+    const key = dotIndex === -1 ? keyPath : keyPath.substring(0, dotIndex);
+    const subKey = dotIndex === -1 ? null : keyPath.substring(dotIndex + 1);
+
+    if (!ConfigDefaults.validKeys.includes(key)) {
+      throw new Error(`Invalid configuration key: ${key} (expected one of: ${ConfigDefaults.validKeys.join(', ')})`);
+    }
+    return [key, subKey];
+  }
 }
 
 export {
   Paths,
   ConfigDefaults,
+  SoundUtils,
+  ThemeManifest,
+  RateLimit,
+  QuietHours,
+  AudioBackends,
+  AudioFile,
+  SoundLookup,
+  ProjectConfig,
   FileUtils,
   SystemUtils,
   ConfigUtils
@@ -0,0 +1,354 @@
+/**
+ * Audio backends (command-line players)
+ * Shared by the sound runtime and the CLI so both agree on which player
+ * plays a sound. Each backend lists the formats it plays, whether it can
+ * set the volume and how quickly it starts.
+ *
+ * audio_backend in config.json forces a backend by name. "auto" (default)
+ * uses the first installed backend, in the order below, that plays the
+ * file's format. A forced backend that is not installed falls back to auto.
+ *
+ * Looking players up runs `which` once per backend, too slow for every hook,
+ * so the installed players and their paths are kept in
+ * ~/.claude-gamify/backend_cache.json:
+ *
+ * { "platform": "linux", "backends": { "paplay": "/usr/bin/paplay" } }
+ *
+ * The CLI clears it on init and upgrade and rewrites it whenever it detects
+ * players (doctor, System Info, Settings); the runtime re-detects when the
+ * cache is missing or the cached player is gone.
+ */
+
+const fs = require('fs');
+const { execSync } = require('child_process');
+const path = require('path');
+
+const AUTO_BACKEND = 'auto';
+
+// Audio formats themes can use (extensions, lowercase), in lookup order.
+// The CLI and the runtime both find theme sounds by this list.
+const SOUND_FORMATS = ['.wav', '.mp3', '.aiff', '.ogg', '.flac', '.m4a'];
+
+// libsndfile-based players (PulseAudio, PipeWire)
+const SNDFILE_FORMATS = ['.wav', '.aiff', '.ogg', '.flac'];
+
+const percent = volume => String(Math.round(volume * 100));
+
+/**
+ * Known backends in auto-selection order
+ * args(file, volume) builds the command line; volume is 0.0 - 1.0 and each
+ * backend maps it to its own scale. Backends without a volume option
+ * (volume: false) are given a copy of the file rendered at the volume
+ * (see audio_file.cjs).
+ */
+const AUDIO_BACKENDS = [
+  {
+    name: 'afplay',
+    platforms: ['darwin'],
+    formats: ['.wav', '.aiff', '.mp3', '.m4a', '.flac'],
+    volume: true,
+    latency: 'low',
+    install: 'built into macOS',
+    args: (file, volume) => ['-v', String(volume), file]
+  },
+  {
+    name: 'paplay',
+    platforms: ['linux'],
+    formats: SNDFILE_FORMATS,
+    volume: true,
+    latency: 'low',
+    install: 'pulseaudio-utils',
+    // 65536 is 100% (PA_VOLUME_NORM)
+    args: (file, volume) => ['--volume', String(Math.round(volume * 65536)), file]
+  },
+  {
+    name: 'pw-play',
+    platforms: ['linux'],
+    formats: SNDFILE_FORMATS,
+    volume: true,
+    latency: 'low',
+    install: 'pipewire',
+    args: (file, volume) => ['--volume', String(volume), file]
+  },
+  {
+    name: 'aplay',
+    platforms: ['linux'],
+    formats: ['.wav'],
+    volume: false,
+    latency: 'low',
+    install: 'alsa-utils',
+    args: file => ['-q', file]
+  },
+  {
+    name: 'mpg123',
+    platforms: ['linux'],
+    formats: ['.mp3'],
+    volume: true,
+    latency: 'low',
+    install: 'mpg123',
+    // Output scale factor; 32768 is unchanged
+    args: (file, volume) => ['-q', '-f', String(Math.round(volume * 32768)), file]
+  },
+  {
+    name: 'play',
+    platforms: ['linux', 'darwin'],
+    formats: ['.wav', '.aiff', '.mp3', '.ogg', '.flac'],
+    volume: true,
+    latency: 'medium',
+    install: 'sox',
+    // Linear gain factor applied to the input
+    args: (file, volume) => ['-q', '-v', String(volume), file]
+  },
+  {
+    name: 'ffplay',
+    platforms: ['linux', 'darwin'],
+    formats: SOUND_FORMATS,
+    volume: true,
+    latency: 'high',
+    install: 'ffmpeg',
+    args: (file, volume) => ['-nodisp', '-autoexit', '-loglevel', 'quiet', '-volume', percent(volume), file]
+  },
+  {
+    name: 'mpv',
+    platforms: ['linux', 'darwin'],
+    formats: SOUND_FORMATS,
+    volume: true,
+    latency: 'high',
+    install: 'mpv',
+    args: (file, volume) => ['--no-video', '--really-quiet', `--volume=${percent(volume)}`, file]
+  },
+  {
+    name: 'cvlc',
+    platforms: ['linux'],
+    formats: SOUND_FORMATS,
+    volume: true,
+    latency: 'high',
+    install: 'vlc',
+    // Gain factor; 1 is unchanged
+    args: (file, volume) => ['--play-and-exit', '--quiet', '--gain', String(volume), file]
+  }
+];
+
+const BACKEND_NAMES = AUDIO_BACKENDS.map(backend => backend.name);
+
+/**
+ * Absolute path of a command on the PATH
+ * @returns {string|null} Null when not found
+ */
+function findCommand(command) {
+  try {
+    const found = execSync(`which ${command}`, { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+    return found || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Check whether a command is on the PATH
+ */
+function isCommandAvailable(command) {
+  return findCommand(command) !== null;
+}
+
+/**
+ * Backend by name, or null
+ */
+function getBackend(name) {
+  return AUDIO_BACKENDS.find(backend => backend.name === name) || null;
+}
+
+/**
+ * Backends that run on a platform, in auto-selection order
+ */
+function getPlatformBackends(platform = process.platform) {
+  return AUDIO_BACKENDS.filter(backend => backend.platforms.includes(platform));
+}
+
+/**
+ * Check whether a backend plays a file's format
+ */
+function supportsFormat(backend, file) {
+  return backend.formats.includes(path.extname(file).toLowerCase());
+}
+
+/**
+ * Backend that plays a file
+ * Installed backends are checked lazily, so auto-selection stops at the
+ * first match.
+ * @param {string} preference - Backend name or "auto"
+ * @param {string} file - Sound file (its extension picks the backend in auto)
+ * @param {Object} options - { platform, isAvailable }
+ * @returns {Object|null} Backend, or null when none is installed
+ */
+function resolveBackend(preference, file, { platform = process.platform, isAvailable = isCommandAvailable } = {}) {
+  const forced = preference && preference !== AUTO_BACKEND ? getBackend(preference) : null;
+  if (forced && forced.platforms.includes(platform) && isAvailable(forced.name)) {
+    return forced;
+  }
+
+  let firstInstalled = null;
+  for (const backend of getPlatformBackends(platform)) {
+    if (!isAvailable(backend.name)) continue;
+    if (!file || supportsFormat(backend, file)) return backend;
+    firstInstalled = firstInstalled || backend;
+  }
+
+  // No installed backend lists the format; let the first one try
+  return firstInstalled;
+}
+
+/**
+ * Formats that can be played with the installed players
+ * A forced audio_backend that is installed plays everything, so only its
+ * formats count; otherwise auto picks any installed player for a format.
+ * @param {string} preference - Backend name or "auto"
+ * @param {Array<string>} installed - Installed backend names
+ * @param {string} platform - Platform to check for
+ * @returns {{ players: Array<string>, formats: Array<string> }} Players that
+ *   would be used and the formats they play, in SOUND_FORMATS order
+ */
+function getPlayableFormats(preference, installed, platform = process.platform) {
+  const backends = getPlatformBackends(platform).filter(backend => installed.includes(backend.name));
+  const forced = backends.find(backend => backend.name === preference);
+  const players = forced ? [forced] : backends;
+  return {
+    players: players.map(backend => backend.name),
+    formats: SOUND_FORMATS.filter(format => players.some(backend => backend.formats.includes(format)))
+  };
+}
+
+/**
+ * Read the backend cache
+ * @returns {Object|null} { platform, backends }, or null when missing or invalid
+ */
+function readBackendCache(cacheFile) {
+  try {
+    const cache = JSON.parse(fs.readFileSync(cacheFile, 'utf8'));
+    const valid = cache && typeof cache.platform === 'string' &&
+      cache.backends && typeof cache.backends === 'object' && !Array.isArray(cache.backends);
+    return valid ? cache : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Forget detected players so the next lookup detects them again
+ */
+function clearBackendCache(cacheFile) {
+  try {
+    fs.unlinkSync(cacheFile);
+  } catch (error) {
+    // Not cached
+  }
+}
+
+/**
+ * Detect installed players and save them to the cache
+ * @param {string} cacheFile - Path to backend_cache.json
+ * @param {Object} options - { platform, findPath } (findPath looks a command up)
+ * @returns {Object} Backend name -> absolute path, in auto-selection order
+ */
+function refreshBackendCache(cacheFile, { platform = process.platform, findPath = findCommand } = {}) {
+  const backends = {};
+  getPlatformBackends(platform).forEach(backend => {
+    const commandPath = findPath(backend.name);
+    if (commandPath) {
+      backends[backend.name] = commandPath;
+    }
+  });
+
+  // Written to a temporary file and renamed so concurrent hooks never read half of it
+  const tmpFile = `${cacheFile}.${process.pid}`;
+  try {
+    fs.writeFileSync(tmpFile, JSON.stringify({ platform, backends }));
+    fs.renameSync(tmpFile, cacheFile);
+  } catch (error) {
+    // The cache is best effort
+    try { fs.unlinkSync(tmpFile); } catch (e) { /* not written */ }
+  }
+  return backends;
+}
+
+/**
+ * Installed players from the cache, detecting them when not cached
+ * @returns {Object} Backend name -> absolute path
+ */
+function loadInstalledBackends(cacheFile, { platform = process.platform, findPath = findCommand } = {}) {
+  const cache = readBackendCache(cacheFile);
+  if (cache && cache.platform === platform) {
+    return cache.backends;
+  }
+  return refreshBackendCache(cacheFile, { platform, findPath });
+}
+
+/**
+ * Player for a file, using the cached players
+ * A cached player that no longer exists is noticed with one stat and the
+ * players are detected again.
+ * @param {string} cacheFile - Path to backend_cache.json
+ * @param {string} preference - Backend name or "auto"
+ * @param {string} file - Sound file
+ * @param {Object} options - { platform, findPath, exists } for tests
+ * @returns {{ backend: Object, command: string }|null} Backend and the path
+ *   to run it by, or null when no player is installed
+ */
+function resolveInstalledPlayer(cacheFile, preference, file, options = {}) {
+  const { platform = process.platform, findPath = findCommand, exists = fs.existsSync } = options;
+  const pick = installed => resolveBackend(preference, file, {
+    platform,
+    isAvailable: name => Object.prototype.hasOwnProperty.call(installed, name)
+  });
+
+  let installed = loadInstalledBackends(cacheFile, { platform, findPath });
+  let backend = pick(installed);
+  if (backend && !exists(installed[backend.name])) {
+    installed = refreshBackendCache(cacheFile, { platform, findPath });
+    backend = pick(installed);
+  }
+
+  return backend ? { backend, command: installed[backend.name] } : null;
+}
+
+/**
+ * Command line that plays a file with a backend
+ * @param {Object} backend - Entry of AUDIO_BACKENDS
+ * @param {string} file - Sound file to play
+ * @param {number} volume - 0.0 - 1.0
+ * @param {string} command - Player executable (resolved path), defaults to
+ *   the backend name looked up on PATH
+ * @returns {{ command: string, args: Array<string> }}
+ */
+function buildCommand(backend, file, volume, command = backend.name) {
+  return { command, args: backend.args(file, volume) };
+}
+
+/**
+ * Capabilities as one line, e.g. "wav aiff ogg flac · volume · low latency"
+ */
+function describeBackend(backend) {
+  const formats = backend.formats.map(format => format.slice(1)).join(' ');
+  return `${formats} · ${backend.volume ? 'volume' : 'volume by WAV copy'} · ${backend.latency} latency`;
+}
+
+module.exports = {
+  AUTO_BACKEND,
+  AUDIO_BACKENDS,
+  BACKEND_NAMES,
+  SOUND_FORMATS,
+  findCommand,
+  isCommandAvailable,
+  getBackend,
+  getPlatformBackends,
+  supportsFormat,
+  getPlayableFormats,
+  resolveBackend,
+  readBackendCache,
+  clearBackendCache,
+  refreshBackendCache,
+  loadInstalledBackends,
+  resolveInstalledPlayer,
+  buildCommand,
+  describeBackend
+};
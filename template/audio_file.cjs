@@ -0,0 +1,303 @@
+/**
+ * Audio file helpers
+ * Shared by the sound runtime and the CLI. Reads WAV and AIFF headers
+ * without any dependency (duration, sample rate, channels for theme
+ * analysis) and renders volume-adjusted copies for players that have no
+ * volume option (aplay), kept in ~/.claude-gamify/volume_cache/:
+ *
+ *   <hash of path, size, mtime and volume>.wav
+ *
+ * Copies are made once per file and volume and reused until the source file
+ * changes. The oldest copies are removed once there are too many.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// WAVE_FORMAT_* codes in the fmt chunk
+const WAV_PCM = 1;
+const WAV_FLOAT = 3;
+const WAV_EXTENSIBLE = 0xfffe;
+
+// Volumes this close to full are played as they are
+const FULL_VOLUME = 0.995;
+
+// Copies kept in the cache directory before the oldest are removed
+const MAX_VOLUME_COPIES = 200;
+
+// Bytes read to find a header; chunks before the audio data are small
+const HEADER_BYTES = 64 * 1024;
+
+/**
+ * Locate the format and sample data of a WAV file
+ * @param {Buffer} buffer - Whole file, or its first bytes
+ * @param {number} fileSize - Size of the whole file when only the first
+ *   bytes were read, so dataSize still covers all of the data
+ * @returns {Object|null} { format, channels, sampleRate, byteRate,
+ *   bitsPerSample, blockAlign, dataOffset, dataSize }, or null when not a
+ *   readable WAV file
+ */
+function parseWav(buffer, fileSize = buffer.length) {
+  if (buffer.length < 12 || buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+    return null;
+  }
+
+  let fmt = null;
+  let offset = 12;
+  while (offset + 8 <= buffer.length) {
+    const id = buffer.toString('ascii', offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    const body = offset + 8;
+
+    if (id === 'fmt ' && size >= 16 && body + size <= buffer.length) {
+      let format = buffer.readUInt16LE(body);
+      if (format === WAV_EXTENSIBLE && size >= 26) {
+        format = buffer.readUInt16LE(body + 24); // First bytes of the sub-format GUID
+      }
+      fmt = {
+        format,
+        channels: buffer.readUInt16LE(body + 2),
+        sampleRate: buffer.readUInt32LE(body + 4),
+        byteRate: buffer.readUInt32LE(body + 8),
+        blockAlign: buffer.readUInt16LE(body + 12),
+        bitsPerSample: buffer.readUInt16LE(body + 14)
+      };
+    } else if (id === 'data' && fmt) {
+      // Some writers leave the size unset; use what is there
+      return { ...fmt, dataOffset: body, dataSize: Math.min(size, fileSize - body) };
+    }
+
+    offset = body + size + (size % 2); // Chunks are padded to an even size
+  }
+  return null;
+}
+
+/**
+ * Read an 80-bit IEEE extended float (AIFF sample rates)
+ */
+function readExtended(buffer, offset) {
+  const exponent = buffer.readUInt16BE(offset) & 0x7fff;
+  const sign = buffer[offset] & 0x80 ? -1 : 1;
+  const high = buffer.readUInt32BE(offset + 2);
+  const low = buffer.readUInt32BE(offset + 6);
+  if (exponent === 0 && high === 0 && low === 0) return 0;
+
+  const shift = exponent - 16383;
+  return sign * (high * Math.pow(2, shift - 31) + low * Math.pow(2, shift - 63));
+}
+
+/**
+ * Read the format of an AIFF or AIFF-C file
+ * @param {Buffer} buffer - Whole file, or its first bytes
+ * @returns {Object|null} { channels, sampleFrames, sampleRate,
+ *   bitsPerSample, compression }, or null when not a readable AIFF file
+ */
+function parseAiff(buffer) {
+  const type = buffer.length >= 12 ? buffer.toString('ascii', 8, 12) : '';
+  if (buffer.toString('ascii', 0, 4) !== 'FORM' || (type !== 'AIFF' && type !== 'AIFC')) {
+    return null;
+  }
+
+  let offset = 12;
+  while (offset + 8 <= buffer.length) {
+    const id = buffer.toString('ascii', offset, offset + 4);
+    const size = buffer.readUInt32BE(offset + 4);
+    const body = offset + 8;
+
+    if (id === 'COMM' && size >= 18 && body + 18 <= buffer.length) {
+      const compressed = type === 'AIFC' && size >= 22 && body + 22 <= buffer.length;
+      return {
+        channels: buffer.readUInt16BE(body),
+        sampleFrames: buffer.readUInt32BE(body + 2),
+        bitsPerSample: buffer.readUInt16BE(body + 6),
+        sampleRate: readExtended(buffer, body + 8),
+        compression: compressed ? buffer.toString('ascii', body + 18, body + 22) : 'NONE'
+      };
+    }
+
+    offset = body + size + (size % 2); // Chunks are padded to an even size
+  }
+  return null;
+}
+
+/**
+ * Details of a sound file, read from its header
+ * Duration, sample rate and channels are known for WAV and AIFF files and
+ * null for other formats.
+ * @param {string} file - Sound file
+ * @returns {Object|null} { format, size, duration, sampleRate, channels,
+ *   bitsPerSample }, or null when the file can't be read
+ */
+function getAudioInfo(file) {
+  let header;
+  let size;
+  try {
+    const fd = fs.openSync(file, 'r');
+    try {
+      size = fs.fstatSync(fd).size;
+      header = Buffer.alloc(Math.min(size, HEADER_BYTES));
+      fs.readSync(fd, header, 0, header.length, 0);
+    } finally {
+      fs.closeSync(fd);
+    }
+  } catch (error) {
+    return null;
+  }
+
+  const info = {
+    format: path.extname(file).slice(1).toLowerCase(),
+    size,
+    duration: null,
+    sampleRate: null,
+    channels: null,
+    bitsPerSample: null
+  };
+
+  const wav = parseWav(header, size);
+  if (wav) {
+    return {
+      ...info,
+      format: 'wav',
+      duration: wav.byteRate > 0 ? wav.dataSize / wav.byteRate : null,
+      sampleRate: wav.sampleRate,
+      channels: wav.channels,
+      bitsPerSample: wav.bitsPerSample
+    };
+  }
+
+  const aiff = parseAiff(header);
+  if (aiff) {
+    return {
+      ...info,
+      format: 'aiff',
+      duration: aiff.sampleRate > 0 ? aiff.sampleFrames / aiff.sampleRate : null,
+      sampleRate: Math.round(aiff.sampleRate),
+      channels: aiff.channels,
+      bitsPerSample: aiff.bitsPerSample
+    };
+  }
+  return info;
+}
+
+/**
+ * Duration for display, e.g. "0.4s", "12s" or "1:05"
+ */
+function formatDuration(seconds) {
+  if (seconds < 10) return `${(Math.round(seconds * 10) / 10).toFixed(1)}s`;
+  if (seconds < 60) return `${Math.round(seconds)}s`;
+  const rounded = Math.round(seconds);
+  return `${Math.floor(rounded / 60)}:${String(rounded % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Sample reader and writer for a WAV encoding, or null if not supported
+ */
+function getSampleCodec({ format, bitsPerSample }) {
+  if (format === WAV_FLOAT && bitsPerSample === 32) {
+    return { size: 4, read: (b, o) => b.readFloatLE(o), write: (b, v, o) => b.writeFloatLE(v, o), min: -1, max: 1 };
+  }
+  if (format === WAV_FLOAT && bitsPerSample === 64) {
+    return { size: 8, read: (b, o) => b.readDoubleLE(o), write: (b, v, o) => b.writeDoubleLE(v, o), min: -1, max: 1 };
+  }
+  if (format !== WAV_PCM) return null;
+
+  switch (bitsPerSample) {
+    case 8: // Unsigned, centered on 128
+      return { size: 1, read: (b, o) => b.readUInt8(o) - 128, write: (b, v, o) => b.writeUInt8(v + 128, o), min: -128, max: 127 };
+    case 16:
+      return { size: 2, read: (b, o) => b.readInt16LE(o), write: (b, v, o) => b.writeInt16LE(v, o), min: -32768, max: 32767 };
+    case 24:
+      return { size: 3, read: (b, o) => b.readIntLE(o, 3), write: (b, v, o) => b.writeIntLE(v, o, 3), min: -8388608, max: 8388607 };
+    case 32:
+      return { size: 4, read: (b, o) => b.readInt32LE(o), write: (b, v, o) => b.writeInt32LE(v, o), min: -2147483648, max: 2147483647 };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Copy of a WAV file with every sample scaled by a volume
+ * @param {Buffer} buffer - Whole WAV file
+ * @param {number} volume - 0.0 - 1.0
+ * @returns {Buffer|null} Null when the encoding is not supported
+ */
+function scaleWav(buffer, volume) {
+  const wav = parseWav(buffer);
+  const codec = wav ? getSampleCodec(wav) : null;
+  if (!codec) return null;
+
+  const output = Buffer.from(buffer);
+  const end = wav.dataOffset + wav.dataSize - (wav.dataSize % codec.size);
+  const isFloat = wav.format === WAV_FLOAT;
+  for (let offset = wav.dataOffset; offset < end; offset += codec.size) {
+    const scaled = codec.read(buffer, offset) * volume;
+    const value = isFloat ? scaled : Math.round(scaled);
+    codec.write(output, Math.min(codec.max, Math.max(codec.min, value)), offset);
+  }
+  return output;
+}
+
+/**
+ * Remove the oldest copies once the cache holds too many
+ */
+function pruneVolumeCache(cacheDir) {
+  try {
+    const copies = fs.readdirSync(cacheDir)
+      .filter(name => name.endsWith('.wav'))
+      .map(name => {
+        const file = path.join(cacheDir, name);
+        return { file, mtime: fs.statSync(file).mtimeMs };
+      });
+    if (copies.length <= MAX_VOLUME_COPIES) return;
+
+    copies.sort((a, b) => a.mtime - b.mtime)
+      .slice(0, copies.length - MAX_VOLUME_COPIES)
+      .forEach(copy => fs.unlinkSync(copy.file));
+  } catch (error) {
+    // Pruning is best effort
+  }
+}
+
+/**
+ * File to play for a volume with a player that cannot set it
+ * @param {string} file - Sound file
+ * @param {number} volume - 0.0 - 1.0
+ * @param {string} cacheDir - Directory for rendered copies
+ * @returns {string} Path of a rendered copy, or the file itself at full
+ *   volume or when it can't be rendered (not a PCM/float WAV file)
+ */
+function getVolumeCopy(file, volume, cacheDir) {
+  if (volume >= FULL_VOLUME || path.extname(file).toLowerCase() !== '.wav') return file;
+
+  try {
+    const stat = fs.statSync(file);
+    const key = `${path.resolve(file)}|${stat.size}|${stat.mtimeMs}|${volume.toFixed(2)}`;
+    const copy = path.join(cacheDir, `${crypto.createHash('sha1').update(key).digest('hex').slice(0, 16)}.wav`);
+    if (fs.existsSync(copy)) return copy;
+
+    const scaled = scaleWav(fs.readFileSync(file), Number(volume.toFixed(2)));
+    if (!scaled) return file;
+
+    // Written to a temporary file and renamed so concurrent hooks never play half of it
+    fs.mkdirSync(cacheDir, { recursive: true });
+    const tmpFile = `${copy}.${process.pid}`;
+    fs.writeFileSync(tmpFile, scaled);
+    fs.renameSync(tmpFile, copy);
+    pruneVolumeCache(cacheDir);
+    return copy;
+  } catch (error) {
+    return file;
+  }
+}
+
+module.exports = {
+  MAX_VOLUME_COPIES,
+  parseWav,
+  parseAiff,
+  getAudioInfo,
+  formatDuration,
+  scaleWav,
+  getVolumeCopy,
+  pruneVolumeCache
+};
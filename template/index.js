@@ -21,10 +21,12 @@ function main() {
   const soundModule = path.resolve(__dirname, 'play_sound.js');
   
   try {
-    // Spawn the sound module as a separate process
+    // Spawn the sound module as a separate process. stdin is handed over so
+    // the child can read the hook payload Claude Code pipes in, while this
+    // process exits right away and never holds Claude up.
     const child = spawn('node', [soundModule, ...args], {
       detached: true,
-      stdio: 'ignore'
+      stdio: ['inherit', 'ignore', 'ignore']
     });
     
     child.unref();
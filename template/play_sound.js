@@ -17,40 +17,143 @@ const hookName = process.argv[2];
 const homeDir = os.homedir();
 const configFile = path.join(homeDir, '.claude-gamify', 'config.json');
 const themesBase = path.join(homeDir, '.claude-gamify', 'themes');
+const stateFile = path.join(homeDir, '.claude-gamify', 'state.json');
+const backendCacheFile = path.join(homeDir, '.claude-gamify', 'backend_cache.json');
+const volumeCacheDir = path.join(homeDir, '.claude-gamify', 'volume_cache');
 
-// Platform detection
-const isMacOS = process.platform === 'darwin';
-const isLinux = process.platform === 'linux';
+// Maximum time to wait for the hook payload on stdin
+const STDIN_TIMEOUT_MS = 500;
+
+// Shared hook registry deployed by the CLI (same file it reads itself)
+const registryFile = path.join(__dirname, 'hooks.json');
+
+/**
+ * Load hook definitions from the registry
+ * Returns an empty list if the registry is missing so playback still works
+ * with convention-based config keys.
+ */
+function loadHookDefinitions() {
+  try {
+    return JSON.parse(fs.readFileSync(registryFile, 'utf8')).hooks || [];
+  } catch (error) {
+    return [];
+  }
+}
+
+const HOOK_DEFINITIONS = loadHookDefinitions();
+
+// Shared theme.json reader; without it themes are still found by filename
+let themeManifest = null;
+try {
+  themeManifest = require('./theme_manifest.cjs');
+} catch (error) {
+  // Older deployment - filename convention only
+}
+
+// Cooldowns and concurrent sound limits; without it every hook plays
+let rateLimit = null;
+try {
+  rateLimit = require('./rate_limit.cjs');
+} catch (error) {
+  // Older deployment - no limits
+}
+
+// Quiet hours and do-not-disturb; without it sounds always play
+let quietHours = null;
+try {
+  quietHours = require('./quiet_hours.cjs');
+} catch (error) {
+  // Older deployment - no schedule
+}
+
+// Audio players and what they can do; deployed with this file
+let audioBackends = null;
+try {
+  audioBackends = require('./audio_backends.cjs');
+} catch (error) {
+  // Incomplete deployment - no player known, sounds fail silently
+}
+
+// Audio formats theme sounds can use; nothing plays without the backends
+const SOUND_EXTENSIONS = audioBackends ? audioBackends.SOUND_FORMATS : [];
+
+// Tool-specific sounds and hook fallbacks, looked up the same way as by
+// the CLI's Test Sounds
+let soundLookup = null;
+try {
+  soundLookup = require('./sound_lookup.cjs');
+} catch (error) {
+  // Incomplete deployment - only the hook's own sound
+}
+
+// Per-project overrides (.claude-gamify.json above the hook's working
+// directory), checked the same way as by the CLI
+let projectConfig = null;
+try {
+  projectConfig = require('./project_config.cjs');
+} catch (error) {
+  // Older deployment - global config only
+}
+
+// Volume-adjusted copies for players without a volume option
+let audioFile = null;
+try {
+  audioFile = require('./audio_file.cjs');
+} catch (error) {
+  // Older deployment - those players play at full volume
+}
+
+// How often a queued sound checks for a free player
+const QUEUE_POLL_MS = 100;
 
 // Hook event name mapping
-const HOOK_EVENT_MAPPING = {
-  'SessionStart': 'session_start',
-  'UserPromptSubmit': 'user_prompt_submit',
-  'PreToolUse': 'pre_tool_use',
-  'PostToolUse': 'post_tool_use',
-  'Notification': 'notification',
-  'Stop': 'stop',
-  'SubagentStop': 'subagent_stop'
-};
+const HOOK_EVENT_MAPPING = {};
+HOOK_DEFINITIONS.forEach(hook => {
+  HOOK_EVENT_MAPPING[hook.event] = hook.configKey;
+});
+
+/**
+ * Convert an event name to its config key (PascalCase -> snake_case)
+ */
+function eventToConfigKey(name) {
+  return HOOK_EVENT_MAPPING[name] ||
+         name.replace(/([A-Z])/g, '_$1').toLowerCase().substring(1);
+}
+
+/**
+ * Apply the nearest .claude-gamify.json at or above cwd to a config
+ * Invalid values are ignored; an unreadable file leaves the config as it is.
+ */
+function applyProjectConfig(config, cwd) {
+  if (!projectConfig) return config;
+  return projectConfig.mergeConfig(config, projectConfig.loadProjectConfig(cwd).overrides);
+}
 
 /**
  * Load configuration from JSON file
+ * Project overrides from .claude-gamify.json above cwd are merged on top.
  */
-function loadConfig() {
+function loadConfig(cwd) {
   const defaultConfig = {
     theme: 'system',
+    fallback_theme: 'system',
+    variant_strategy: null,
     sound_enabled: true,
     sound_volume: 0.5,
-    sound_hooks: {
-      session_start: true,
-      user_prompt_submit: true,
-      pre_tool_use: true,
-      post_tool_use: true,
-      notification: true,
-      stop: true,
-      subagent_stop: true
-    }
+    sound_hooks: {},
+    sound_cooldowns: {},
+    max_concurrent_sounds: 3,
+    rate_limit_mode: 'coalesce',
+    quiet_hours: [],
+    dnd_until: null,
+    dnd_volume: 0,
+    audio_backend: 'auto',
+    tool_sounds: {}
   };
+  HOOK_DEFINITIONS.forEach(hook => {
+    defaultConfig.sound_hooks[hook.configKey] = hook.defaultEnabled !== false;
+    defaultConfig.sound_cooldowns[hook.configKey] = hook.defaultCooldownMs || 0;
+  });
   
   try {
     const jsonConfig = JSON.parse(fs.readFileSync(configFile, 'utf8'));
@@ -59,45 +162,213 @@ function loadConfig() {
     if (jsonConfig.sound_hooks) {
       config.sound_hooks = { ...defaultConfig.sound_hooks, ...jsonConfig.sound_hooks };
     }
-    return config;
+    if (jsonConfig.sound_cooldowns) {
+      config.sound_cooldowns = { ...defaultConfig.sound_cooldowns, ...jsonConfig.sound_cooldowns };
+    }
+    return applyProjectConfig(config, cwd);
   } catch (error) {
     // Return defaults if config doesn't exist
-    return defaultConfig;
+    return applyProjectConfig(defaultConfig, cwd);
+  }
+}
+
+/**
+ * Read the hook JSON payload Claude Code pipes on stdin
+ * Resolves with an empty object when stdin is a terminal, empty,
+ * not valid JSON, or does not close within the timeout.
+ */
+function readHookPayload(timeoutMs = STDIN_TIMEOUT_MS) {
+  return new Promise((resolve) => {
+    if (process.stdin.isTTY) {
+      resolve({});
+      return;
+    }
+    
+    const chunks = [];
+    let settled = false;
+    
+    const finish = () => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      process.stdin.removeAllListeners();
+      process.stdin.destroy();
+      
+      try {
+        const payload = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+        resolve(payload && typeof payload === 'object' ? payload : {});
+      } catch (error) {
+        resolve({});
+      }
+    };
+    
+    const timer = setTimeout(finish, timeoutMs);
+    
+    process.stdin.on('data', (chunk) => chunks.push(chunk));
+    process.stdin.on('end', finish);
+    process.stdin.on('error', finish);
+  });
+}
+
+/**
+ * Detect a failed tool call from the PostToolUse tool_response
+ */
+function isToolFailure(toolResponse) {
+  if (!toolResponse) return false;
+  
+  if (typeof toolResponse === 'string') {
+    return /^\s*(error|failed)\b/i.test(toolResponse);
+  }
+  if (typeof toolResponse !== 'object') return false;
+  
+  if (toolResponse.is_error === true || toolResponse.isError === true) return true;
+  if (toolResponse.success === false) return true;
+  
+  for (const key of ['exit_code', 'exitCode', 'returnCode']) {
+    if (typeof toolResponse[key] === 'number' && toolResponse[key] !== 0) {
+      return true;
+    }
+  }
+  
+  const { error } = toolResponse;
+  if (typeof error === 'string') return error.trim().length > 0;
+  return Boolean(error);
+}
+
+/**
+ * Detect the "waiting for your input" idle reminder among Notification payloads
+ * Permission requests and other notifications are not idle.
+ */
+function isIdleNotification(payload) {
+  if (payload.notification_type) {
+    return payload.notification_type === 'idle_prompt';
+  }
+  return /waiting for (your )?input/i.test(payload.message || '');
+}
+
+/**
+ * Classify an event into the sound that represents it
+ * Idle notifications are their own sound with their own toggle.
+ */
+function classifySound(hookName, payload) {
+  if (hookName === 'Notification' && isIdleNotification(payload)) {
+    return 'NotificationIdle';
+  }
+  return hookName;
+}
+
+/**
+ * Build the event object passed to the sound decision logic
+ */
+function createHookEvent(hookName, payload) {
+  return {
+    hookName,
+    soundName: classifySound(hookName, payload),
+    failed: hookName === 'PostToolUse' && isToolFailure(payload.tool_response),
+    sessionId: payload.session_id || null,
+    transcriptPath: payload.transcript_path || null,
+    cwd: payload.cwd || process.cwd(),
+    toolName: payload.tool_name || null,
+    toolInput: payload.tool_input || null,
+    toolResponse: payload.tool_response || null,
+    message: payload.message || null,
+    payload
+  };
+}
+
+/**
+ * Quiet hours or do-not-disturb in effect now, if any
+ * @returns {{ source: string, volume: number, until: Date }|null}
+ */
+function getQuietState(config) {
+  return quietHours ? quietHours.getQuietState(config, new Date()) : null;
+}
+
+/**
+ * Check the per-hook toggle in sound_hooks
+ */
+function isHookEnabled(name, config) {
+  const configKey = eventToConfigKey(name);
+  if (config.sound_hooks && configKey in config.sound_hooks) {
+    return config.sound_hooks[configKey];
   }
+  
+  return true; // Default to enabled
 }
 
 /**
- * Check if sound should play for this hook
+ * Check if sound should play for this hook event
  */
-function shouldPlaySound(hookName, config) {
+function shouldPlaySound(event, config) {
   // Check global enabled state
   if (!config.sound_enabled) return false;
   
   // Check volume
   if (config.sound_volume <= 0) return false;
   
+  // Check quiet hours and do-not-disturb that mute
+  const quiet = getQuietState(config);
+  if (quiet && quiet.volume <= 0) return false;
+  
   // Check individual hook state
-  const configKey = HOOK_EVENT_MAPPING[hookName] || hookName.toLowerCase();
-  if (config.sound_hooks && configKey in config.sound_hooks) {
-    return config.sound_hooks[configKey];
+  return isHookEnabled(event.soundName, config);
+}
+
+/**
+ * Pick the sound to play for an event
+ * Failed tool calls use PostToolUseError unless it is toggled off
+ */
+function resolveSoundName(event, config) {
+  if (event.failed && isHookEnabled('PostToolUseError', config)) {
+    return 'PostToolUseError';
   }
-  
-  return true; // Default to enabled
+  return event.soundName;
+}
+
+/**
+ * Load the themes to search for sounds, nearest first: the active theme,
+ * the themes it extends, then the fallback theme (and its parents)
+ * Each entry has the theme directory and its manifest (null if none).
+ */
+function loadThemes(themeName, fallbackTheme) {
+  if (themeManifest && themeManifest.resolveThemeChain) {
+    return themeManifest.resolveThemeChain(themesBase, themeName, fallbackTheme);
+  }
+  return [{ name: themeName, dir: path.join(themesBase, themeName), manifest: null }];
 }
 
 /**
- * Find sound file path (convention over configuration)
+ * Find the sound for an event
+ * Each theme is searched in full before the next one, so a theme's own
+ * sound for a hook wins over a parent's tool-specific one. Within a theme,
+ * files mapped in theme.json win; otherwise convention over configuration.
+ * @returns {{ soundName: string, variants: Array<Object>, theme: Object }|null}
+ *   The sound's files ({ file, weight }) and the theme they came from
  */
-function findSoundPath(hookName, currentTheme) {
-  const extensions = ['.aiff', '.mp3', '.wav'];
+function findSound(event, themes, toolSounds = {}) {
+  const candidates = soundLookup ?
+    soundLookup.getSoundCandidates(event.soundName, event.toolName, toolSounds) :
+    [event.soundName];
   
-  // Only look in the current theme directory - no fallbacks
-  const themeDir = path.join(themesBase, currentTheme);
-  if (fs.existsSync(themeDir)) {
-    for (const ext of extensions) {
-      const themePath = path.join(themeDir, hookName + ext);
-      if (fs.existsSync(themePath)) {
-        return themePath;
+  for (const theme of themes) {
+    if (!fs.existsSync(theme.dir)) continue;
+    
+    if (themeManifest && themeManifest.listSoundVariants) {
+      const themeSounds = themeManifest.listSoundVariants(theme.dir, theme.manifest, SOUND_EXTENSIONS);
+      const soundName = candidates.find(candidate => themeSounds[candidate]);
+      if (soundName) {
+        return { soundName, variants: themeSounds[soundName], theme };
+      }
+      continue;
+    }
+    
+    // Older deployment - one file per sound by filename
+    for (const candidate of candidates) {
+      for (const ext of SOUND_EXTENSIONS) {
+        const file = path.join(theme.dir, candidate + ext);
+        if (fs.existsSync(file)) {
+          return { soundName: candidate, variants: [{ file, weight: 1 }], theme };
+        }
       }
     }
   }
@@ -107,48 +378,69 @@ function findSoundPath(hookName, currentTheme) {
 }
 
 /**
- * Get audio player command for current platform
+ * Update ~/.claude-gamify/state.json under its lock
+ * Older deployments without rate_limit.cjs keep no state.
  */
-function getAudioPlayerCommand(soundPath, volume) {
-  if (isMacOS) {
-    // macOS: Use afplay
-    return {
-      command: 'afplay',
-      args: ['-v', volume.toString(), soundPath]
-    };
-  } else if (isLinux) {
-    // Linux: Try multiple players
-    const players = [
-      { command: 'paplay', args: ['--volume', Math.round(volume * 65536).toString(), soundPath] },
-      { command: 'aplay', args: [soundPath] }, // No volume control
-      { command: 'mpg123', args: ['-q', soundPath] },
-      { command: 'play', args: ['-q', '-v', volume.toString(), soundPath] }
-    ];
-    
-    // Return first available player
-    for (const player of players) {
-      try {
-        require('child_process').execSync(`which ${player.command}`, { stdio: 'ignore' });
-        return player;
-      } catch (e) {
-        continue;
-      }
-    }
+function updateState(update) {
+  if (!rateLimit) return update({});
+  return rateLimit.withStateLock(stateFile, update);
+}
+
+/**
+ * Choose which file of a sound to play
+ * The strategy comes from config, then the theme manifest, then "random".
+ * The last file played is remembered per theme and sound so round-robin and
+ * no-repeat work across hook invocations.
+ */
+function chooseVariant(sound, config) {
+  const { variants, theme, soundName } = sound;
+  if (variants.length === 1 || !themeManifest || !themeManifest.pickVariant) {
+    return variants[0].file;
   }
   
-  return null;
+  const strategy = config.variant_strategy ||
+    (theme.manifest && theme.manifest.variantStrategy) ||
+    'random';
+  const key = `${theme.name}/${soundName}`;
+  
+  if (strategy !== 'round-robin' && strategy !== 'no-repeat') {
+    return themeManifest.pickVariant(variants, strategy).file;
+  }
+  return updateState((state) => {
+    const lastPlayed = state.variants && typeof state.variants === 'object' ? state.variants : {};
+    const { file } = themeManifest.pickVariant(variants, strategy, lastPlayed[key] || null);
+    state.variants = { ...lastPlayed, [key]: file };
+    return file;
+  });
+}
+
+/**
+ * Audio player command for a sound (see audio_backends.cjs)
+ */
+function getAudioPlayerCommand(soundPath, volume, backendName) {
+  if (!audioBackends) return null;
+  
+  const player = audioBackends.resolveInstalledPlayer(backendCacheFile, backendName, soundPath);
+  if (!player) return null;
+  
+  const file = player.backend.volume || !audioFile ?
+    soundPath :
+    audioFile.getVolumeCopy(soundPath, volume, volumeCacheDir);
+  return audioBackends.buildCommand(player.backend, file, volume, player.command);
 }
 
 /**
  * Play sound file
+ * @param {string} backendName - audio_backend from config ("auto" or a player)
+ * @returns {number|null} Process id of the audio player, if one started
  */
-function playSound(soundPath, volume) {
-  if (!soundPath) return;
+function playSound(soundPath, volume, backendName = 'auto') {
+  if (!soundPath) return null;
   
-  const playerConfig = getAudioPlayerCommand(soundPath, volume);
+  const playerConfig = getAudioPlayerCommand(soundPath, volume, backendName);
   if (!playerConfig) {
     // Fail silently
-    return;
+    return null;
   }
   
   try {
@@ -157,38 +449,153 @@ function playSound(soundPath, volume) {
       detached: true,
       stdio: 'ignore'
     });
+    player.on('error', () => { /* player missing - fail silently */ });
     
     player.unref(); // Allow parent to exit
+    return player.pid || null;
   } catch (error) {
     // Fail silently
+    return null;
+  }
+}
+
+/**
+ * Playback limits for an event from config
+ */
+function getPlaybackLimits(event, config) {
+  const cooldowns = config.sound_cooldowns || {};
+  return {
+    cooldown: cooldowns[eventToConfigKey(event.soundName)] || 0,
+    maxConcurrent: config.max_concurrent_sounds || 0,
+    mode: config.rate_limit_mode
+  };
+}
+
+/**
+ * Play an event's sound unless a cooldown or the concurrent sound limit
+ * holds it back; in queue mode a detached process plays it later
+ */
+function playLimited(event, soundPath, volume, config) {
+  if (!rateLimit) {
+    playSound(soundPath, volume, config.audio_backend);
+    return;
+  }
+  
+  const limits = getPlaybackLimits(event, config);
+  updateState((state) => {
+    const now = Date.now();
+    const decision = rateLimit.claimPlayback(state, event.soundName, limits, now);
+    if (decision.action === 'play') {
+      rateLimit.recordPlaying(state, playSound(soundPath, volume, config.audio_backend), now);
+    } else if (decision.action === 'queue') {
+      const waiter = spawn(process.execPath, [
+        __filename, '--queued', String(decision.due), String(limits.maxConcurrent), String(volume), soundPath,
+        config.audio_backend
+      ], { detached: true, stdio: 'ignore' });
+      waiter.unref();
+      rateLimit.recordQueued(state, event.soundName, waiter.pid, decision.due);
+    }
+  });
+}
+
+/**
+ * Play a queued sound once it is due and a player is free
+ * Gives up after MAX_QUEUE_WAIT_MS.
+ */
+async function playQueued(due, maxConcurrent, volume, soundPath, backendName) {
+  const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+  const giveUp = due + rateLimit.MAX_QUEUE_WAIT_MS;
+  
+  await sleep(Math.max(0, due - Date.now()));
+  while (Date.now() < giveUp) {
+    const played = updateState((state) => {
+      const now = Date.now();
+      if (!rateLimit.hasFreePlayer(state, maxConcurrent, now)) return false;
+      
+      rateLimit.removeQueued(state, process.pid);
+      rateLimit.recordPlaying(state, playSound(soundPath, volume, backendName), now);
+      return true;
+    });
+    if (played) return;
+    await sleep(QUEUE_POLL_MS);
   }
+  updateState(state => rateLimit.removeQueued(state, process.pid));
 }
 
 /**
  * Main entry point
  */
-function main() {
+async function main() {
   if (!hookName) {
-    console.error('Usage: node play_sound.js <HookName>');
+    console.error('Usage: node play_sound.js <HookName> | --test <HookName> | --preview <file>');
     process.exit(1);
   }
   
-  const config = loadConfig();
+  // Preview a file that is not part of a theme yet (theme creation wizard)
+  if (hookName === '--preview') {
+    const config = loadConfig(process.cwd());
+    if (process.argv[3]) {
+      playSound(path.resolve(process.argv[3]), config.sound_volume, config.audio_backend);
+    }
+    process.exit(0);
+  }
+  
+  // Sound held back by rate_limit_mode "queue"
+  if (hookName === '--queued') {
+    const [due, maxConcurrent, volume, soundPath, backendName] = process.argv.slice(3);
+    if (rateLimit && soundPath) {
+      await playQueued(Number(due), Number(maxConcurrent), Number(volume), soundPath, backendName);
+    }
+    process.exit(0);
+  }
+  
+  // Test Sounds plays a hook's sound whatever the toggles, limits and quiet hours
+  const testing = hookName === '--test';
+  if (testing && !process.argv[3]) {
+    process.exit(0);
+  }
+  
+  const payload = await readHookPayload();
+  const event = createHookEvent(testing ? process.argv[3] : hookName, payload);
+  const config = loadConfig(event.cwd);
   
   // Check if sound should play for this specific hook
-  if (!shouldPlaySound(hookName, config)) {
+  if (!testing && !shouldPlaySound(event, config)) {
     process.exit(0);
   }
   
-  const soundPath = findSoundPath(hookName, config.theme);
+  event.soundName = resolveSoundName(event, config);
+  
+  const themes = loadThemes(config.theme, config.fallback_theme);
+  const sound = findSound(event, themes, config.tool_sounds);
   
-  if (soundPath) {
-    playSound(soundPath, config.sound_volume);
+  if (sound) {
+    // The manifest volume of the theme the sound came from scales the master volume
+    const { manifest } = sound.theme;
+    const themeVolume = manifest && manifest.volume !== null ? manifest.volume : 1;
+    let volume = config.sound_volume * themeVolume;
+    
+    if (testing) {
+      playSound(chooseVariant(sound, config), volume, config.audio_backend);
+      process.exit(0);
+    }
+    
+    // Quiet hours and do-not-disturb can turn sounds down instead of muting
+    const quiet = getQuietState(config);
+    if (quiet) {
+      volume = Math.min(volume, quiet.volume);
+    }
+    
+    playLimited(event, chooseVariant(sound, config), volume, config);
   }
   
   // Exit immediately, don't block Claude Code
   process.exit(0);
 }
 
-// Run
-main();
\ No newline at end of file
+// Run as a hook; when required (tests) only expose the payload handling
+if (require.main === module) {
+  main().catch(() => process.exit(0));
+} else {
+  module.exports = { readHookPayload, isToolFailure, isIdleNotification, createHookEvent };
+}
\ No newline at end of file
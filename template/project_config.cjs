@@ -0,0 +1,239 @@
+/**
+ * Per-project config overrides
+ * Shared by the sound runtime and the CLI so `config`, `status` and `doctor`
+ * report a .claude-gamify.json exactly the way hooks apply it.
+ *
+ * The nearest .claude-gamify.json at or above the hook's working directory
+ * overrides the global config.json:
+ *
+ * { "theme": "zelda", "sound_volume": 0.2, "sound_hooks": { "pre_tool_use": false } }
+ *
+ * Only PROJECT_CONFIG_KEYS can be set. Invalid values, and invalid entries of
+ * sound_hooks, sound_cooldowns and tool_sounds, are dropped one by one;
+ * nested objects are merged into the global ones key by key.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const themeManifest = require('./theme_manifest.cjs');
+const rateLimit = require('./rate_limit.cjs');
+const quietHours = require('./quiet_hours.cjs');
+
+const PROJECT_CONFIG_NAME = '.claude-gamify.json';
+
+const PROJECT_CONFIG_KEYS = [
+  'theme', 'fallback_theme', 'variant_strategy', 'sound_enabled', 'sound_volume', 'sound_hooks',
+  'sound_cooldowns', 'max_concurrent_sounds', 'rate_limit_mode', 'quiet_hours', 'tool_sounds'
+];
+
+// Keys holding one entry per hook or tool pattern
+const NESTED_KEYS = ['sound_hooks', 'sound_cooldowns', 'tool_sounds'];
+
+/**
+ * Hook config keys from the registry next to this file
+ */
+function getHookConfigKeys() {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(__dirname, 'hooks.json'), 'utf8')).hooks
+      .map(hook => hook.configKey);
+  } catch (error) {
+    return [];
+  }
+}
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Check a value for a key projects can set (the global config uses the same checks)
+ * @param {string} key - One of PROJECT_CONFIG_KEYS
+ * @param {string|null} subKey - Hook or tool pattern of a nested key
+ *   ("stop" for sound_hooks.stop), or null for the whole value
+ * @param {*} value - Value to check
+ * @returns {*} Value to use
+ * @throws {Error} Why the value can't be used
+ */
+function validateSetting(key, subKey, value) {
+  const isString = v => typeof v === 'string' && v.length > 0;
+
+  if (key === 'sound_hooks' || key === 'sound_cooldowns') {
+    const hookKeys = getHookConfigKeys();
+    const entries = subKey ? { [subKey]: value } : value;
+    if (!isObject(entries)) {
+      throw new Error(key === 'sound_hooks' ?
+        'sound_hooks must be an object of hook toggles' :
+        'sound_cooldowns must be an object of hook cooldowns in milliseconds');
+    }
+    for (const [hookKey, entry] of Object.entries(entries)) {
+      if (!hookKeys.includes(hookKey)) {
+        throw new Error(`Unknown hook: ${hookKey} (expected one of: ${hookKeys.join(', ')})`);
+      }
+      if (key === 'sound_hooks' && typeof entry !== 'boolean') {
+        throw new Error(`sound_hooks.${hookKey} must be true or false`);
+      }
+      if (key === 'sound_cooldowns' && (!Number.isInteger(entry) || entry < 0 || entry > rateLimit.MAX_COOLDOWN_MS)) {
+        throw new Error(`sound_cooldowns.${hookKey} must be a whole number of milliseconds between 0 and ${rateLimit.MAX_COOLDOWN_MS}`);
+      }
+    }
+    return value;
+  }
+
+  if (key === 'tool_sounds') {
+    const entries = subKey ? { [subKey]: value } : value;
+    if (!isObject(entries) || !Object.values(entries).every(isString)) {
+      throw new Error('tool_sounds maps tool patterns to variant names (strings)');
+    }
+    return value;
+  }
+
+  if (subKey) {
+    throw new Error(`${key} has no nested keys`);
+  }
+
+  switch (key) {
+    case 'theme':
+      // Joined onto the themes directory, so paths like ../x are refused
+      if (!themeManifest.isThemeName(value)) throw new Error('theme must be a theme name');
+      return value;
+    case 'fallback_theme':
+      if (value !== null && !themeManifest.isThemeName(value)) {
+        throw new Error('fallback_theme must be a theme name, or null for no fallback');
+      }
+      return value;
+    case 'variant_strategy':
+      if (value !== null && !themeManifest.VARIANT_STRATEGIES.includes(value)) {
+        throw new Error(`variant_strategy must be one of: ${themeManifest.VARIANT_STRATEGIES.join(', ')}, or null to use the theme's`);
+      }
+      return value;
+    case 'sound_enabled':
+      if (typeof value !== 'boolean') throw new Error('sound_enabled must be true or false');
+      return value;
+    case 'sound_volume':
+      if (typeof value !== 'number' || value < 0 || value > 1) {
+        throw new Error('sound_volume must be a number between 0 and 1');
+      }
+      return value;
+    case 'max_concurrent_sounds':
+      if (!Number.isInteger(value) || value < 0 || value > rateLimit.MAX_CONCURRENT_LIMIT) {
+        throw new Error(`max_concurrent_sounds must be a whole number between 0 (no limit) and ${rateLimit.MAX_CONCURRENT_LIMIT}`);
+      }
+      return value;
+    case 'rate_limit_mode':
+      if (!rateLimit.RATE_LIMIT_MODES.includes(value)) {
+        throw new Error(`rate_limit_mode must be one of: ${rateLimit.RATE_LIMIT_MODES.join(', ')}`);
+      }
+      return value;
+    case 'quiet_hours':
+      if (!Array.isArray(value)) {
+        throw new Error('quiet_hours must be a list of { "days", "from", "to", "volume" } rules');
+      }
+      value.forEach((rule, index) => {
+        const errors = quietHours.validateQuietRule(rule);
+        if (errors.length > 0) throw new Error(`quiet_hours[${index}]: ${errors.join('; ')}`);
+      });
+      return value;
+    default:
+      throw new Error(`${key} cannot be set per project`);
+  }
+}
+
+/**
+ * Keep the usable values of a project config
+ * @param {Object} projectConfig - Parsed .claude-gamify.json
+ * @returns {{ overrides: Object, warnings: Array<string> }} Overrides to
+ *   merge and why anything was dropped
+ */
+function validateOverrides(projectConfig) {
+  const overrides = {};
+  const warnings = [];
+  if (!isObject(projectConfig)) {
+    return { overrides, warnings: [`${PROJECT_CONFIG_NAME} must hold a JSON object`] };
+  }
+
+  for (const [key, value] of Object.entries(projectConfig)) {
+    if (!PROJECT_CONFIG_KEYS.includes(key)) {
+      warnings.push(`${key} cannot be set per project`);
+      continue;
+    }
+
+    if (NESTED_KEYS.includes(key)) {
+      if (!isObject(value)) {
+        warnings.push(`${key} must be an object`);
+        continue;
+      }
+      overrides[key] = {};
+      for (const [subKey, subValue] of Object.entries(value)) {
+        try {
+          overrides[key][subKey] = validateSetting(key, subKey, subValue);
+        } catch (error) {
+          warnings.push(error.message);
+        }
+      }
+      continue;
+    }
+
+    try {
+      overrides[key] = validateSetting(key, null, value);
+    } catch (error) {
+      warnings.push(error.message);
+    }
+  }
+
+  return { overrides, warnings };
+}
+
+/**
+ * Find the nearest .claude-gamify.json at or above a directory
+ * @returns {string|null} Path, or null when there is none
+ */
+function findProjectConfig(startDir) {
+  let dir = path.resolve(startDir);
+  while (true) {
+    const candidate = path.join(dir, PROJECT_CONFIG_NAME);
+    if (fs.existsSync(candidate)) return candidate;
+
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+/**
+ * Read the project config that applies to a directory
+ * @param {string|null} cwd - Directory to resolve from (the hook's cwd)
+ * @returns {{ path: string|null, overrides: Object, warnings: Array<string> }}
+ *   An unreadable file gives no overrides and one warning
+ */
+function loadProjectConfig(cwd) {
+  const projectFile = cwd ? findProjectConfig(cwd) : null;
+  if (!projectFile) {
+    return { path: null, overrides: {}, warnings: [] };
+  }
+
+  try {
+    return { path: projectFile, ...validateOverrides(JSON.parse(fs.readFileSync(projectFile, 'utf8'))) };
+  } catch (error) {
+    const reason = error instanceof SyntaxError ? `is not valid JSON (${error.message})` : `can't be read (${error.message})`;
+    return { path: projectFile, overrides: {}, warnings: [`${projectFile} ${reason}`] };
+  }
+}
+
+/**
+ * Merge overrides into a config, merging nested objects key by key
+ */
+function mergeConfig(base, overrides) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(overrides)) {
+    merged[key] = isObject(value) ? mergeConfig(isObject(base[key]) ? base[key] : {}, value) : value;
+  }
+  return merged;
+}
+
+module.exports = {
+  PROJECT_CONFIG_NAME,
+  PROJECT_CONFIG_KEYS,
+  validateSetting,
+  validateOverrides,
+  findProjectConfig,
+  loadProjectConfig,
+  mergeConfig
+};
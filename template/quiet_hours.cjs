@@ -0,0 +1,197 @@
+/**
+ * Quiet hours and do-not-disturb
+ * Shared by the sound runtime and the CLI so both agree on when sounds are
+ * muted or turned down.
+ *
+ * {
+ *   "quiet_hours": [
+ *     { "days": "weekdays", "from": "12:00", "to": "13:00" },
+ *     { "from": "22:00", "to": "07:00", "volume": 0.2 }
+ *   ],
+ *   "dnd_until": "2025-06-01T14:45:00.000Z",
+ *   "dnd_volume": 0
+ * }
+ *
+ * Times are local. A rule whose "to" is earlier than its "from" runs past
+ * midnight and belongs to the day it starts on; equal times cover the whole
+ * day. "days" is "daily" (default), "weekdays", "weekends" or a list such as
+ * ["mon", "wed"]. "volume" caps the volume while the rule applies (default 0,
+ * muted). `dnd` sets dnd_until and dnd_volume the same way for a while.
+ */
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const DAY_GROUPS = {
+  daily: [0, 1, 2, 3, 4, 5, 6],
+  weekdays: [1, 2, 3, 4, 5],
+  weekends: [0, 6]
+};
+
+const CLOCK_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+const DURATION_PATTERN = /^(?:(\d+)h)?(?:(\d+)m)?$/;
+const MINUTES_PER_DAY = 24 * 60;
+const MS_PER_MINUTE = 60 * 1000;
+
+// Longest do-not-disturb period `dnd` accepts
+const MAX_DND_MS = 7 * 24 * 60 * MS_PER_MINUTE;
+
+/**
+ * Minutes after midnight for "HH:MM"
+ * @returns {number|null} Null when not a valid time
+ */
+function parseClock(value) {
+  const match = typeof value === 'string' ? value.match(CLOCK_PATTERN) : null;
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
+
+/**
+ * Day numbers (0 = Sunday) a rule applies on
+ * @returns {Array<number>|null} Null when days is not valid
+ */
+function resolveDays(days = 'daily') {
+  if (typeof days === 'string') {
+    return DAY_GROUPS[days] || null;
+  }
+  if (!Array.isArray(days) || days.length === 0) return null;
+
+  const numbers = days.map(day => DAY_NAMES.indexOf(typeof day === 'string' ? day.toLowerCase() : day));
+  return numbers.includes(-1) ? null : numbers;
+}
+
+/**
+ * Problems with one quiet_hours rule
+ * @returns {Array<string>} Empty when the rule is valid
+ */
+function validateQuietRule(rule) {
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+    return ['must be an object with "from" and "to"'];
+  }
+
+  const errors = [];
+  if (parseClock(rule.from) === null) errors.push('"from" must be a time like "22:00"');
+  if (parseClock(rule.to) === null) errors.push('"to" must be a time like "07:00"');
+  if (resolveDays(rule.days) === null) {
+    errors.push(`"days" must be daily, weekdays, weekends or a list of ${DAY_NAMES.join(', ')}`);
+  }
+  if (rule.volume !== undefined && (typeof rule.volume !== 'number' || rule.volume < 0 || rule.volume > 1)) {
+    errors.push('"volume" must be a number between 0 and 1');
+  }
+  return errors;
+}
+
+/**
+ * Date at a number of minutes after midnight of a day
+ */
+function atMinutes(day, minutes) {
+  const date = new Date(day.getFullYear(), day.getMonth(), day.getDate());
+  date.setMinutes(minutes);
+  return date;
+}
+
+/**
+ * When a rule that applies at a time ends
+ * @returns {Date|null} End of the rule's current period, or null if it
+ *   doesn't apply at that time
+ */
+function getRuleEnd(rule, now) {
+  const from = parseClock(rule.from);
+  const to = parseClock(rule.to);
+  const days = resolveDays(rule.days);
+  if (from === null || to === null || days === null) return null;
+
+  const minutes = now.getHours() * 60 + now.getMinutes();
+  const today = now;
+  const yesterday = new Date(now.getFullYear(), now.getMonth(), now.getDate() - 1);
+  const tomorrow = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
+
+  if (from === to) {
+    return days.includes(today.getDay()) ? atMinutes(tomorrow, from) : null;
+  }
+  if (from < to) {
+    return days.includes(today.getDay()) && minutes >= from && minutes < to ? atMinutes(today, to) : null;
+  }
+
+  // Past midnight: the evening part today, or the morning part of yesterday's period
+  if (days.includes(today.getDay()) && minutes >= from) return atMinutes(tomorrow, to);
+  if (days.includes(yesterday.getDay()) && minutes < to) return atMinutes(today, to);
+  return null;
+}
+
+/**
+ * Whether sounds are muted or turned down at a time
+ * Do-not-disturb and every matching rule apply; the lowest volume wins.
+ * @param {Object} config - Config with quiet_hours, dnd_until and dnd_volume
+ * @param {Date} now - Time to check
+ * @returns {{ source: 'dnd'|'schedule', volume: number, until: Date }|null}
+ *   Null when sounds play normally
+ */
+function getQuietState(config, now = new Date()) {
+  const periods = [];
+
+  const dndUntil = config.dnd_until ? new Date(config.dnd_until) : null;
+  if (dndUntil && dndUntil > now) {
+    const volume = typeof config.dnd_volume === 'number' ? config.dnd_volume : 0;
+    periods.push({ source: 'dnd', volume, until: dndUntil });
+  }
+
+  (Array.isArray(config.quiet_hours) ? config.quiet_hours : [])
+    .filter(rule => validateQuietRule(rule).length === 0)
+    .forEach(rule => {
+      const until = getRuleEnd(rule, now);
+      if (until) {
+        periods.push({ source: 'schedule', volume: rule.volume === undefined ? 0 : rule.volume, until });
+      }
+    });
+
+  if (periods.length === 0) return null;
+  return periods.reduce((quietest, period) => (period.volume < quietest.volume ? period : quietest));
+}
+
+/**
+ * Milliseconds for a duration like "45m", "2h" or "1h30m" (bare numbers are minutes)
+ * @returns {number|null} Null when not a valid duration
+ */
+function parseDuration(value) {
+  const text = String(value).trim().toLowerCase();
+  if (/^\d+$/.test(text)) return Number(text) * MS_PER_MINUTE;
+
+  const match = text.match(DURATION_PATTERN);
+  if (!match || (!match[1] && !match[2])) return null;
+  return (Number(match[1] || 0) * 60 + Number(match[2] || 0)) * MS_PER_MINUTE;
+}
+
+/**
+ * Duration as "1h 5m" or "45m", rounded up to the minute
+ */
+function formatDuration(ms) {
+  const minutes = Math.max(1, Math.ceil(ms / MS_PER_MINUTE));
+  const hours = Math.floor(minutes / 60);
+  if (hours === 0) return `${minutes}m`;
+  if (hours >= 24) return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+  return minutes % 60 === 0 ? `${hours}h` : `${hours}h ${minutes % 60}m`;
+}
+
+/**
+ * One-line description of a quiet state for the CLI
+ * e.g. "Do not disturb: 32m left (muted)", "Quiet hours until 07:00 (volume 20%)"
+ */
+function describeQuietState(quiet, now = new Date()) {
+  const level = quiet.volume <= 0 ? 'muted' : `volume ${Math.round(quiet.volume * 100)}%`;
+  if (quiet.source === 'dnd') {
+    return `Do not disturb: ${formatDuration(quiet.until - now)} left (${level})`;
+  }
+
+  const clock = `${String(quiet.until.getHours()).padStart(2, '0')}:${String(quiet.until.getMinutes()).padStart(2, '0')}`;
+  return `Quiet hours until ${clock} (${level})`;
+}
+
+module.exports = {
+  DAY_NAMES,
+  MAX_DND_MS,
+  parseClock,
+  resolveDays,
+  validateQuietRule,
+  getQuietState,
+  parseDuration,
+  formatDuration,
+  describeQuietState
+};
@@ -0,0 +1,249 @@
+/**
+ * Playback limits shared by every hook process
+ * Claude Code starts one player process per hook, so limits are kept in
+ * ~/.claude-gamify/state.json, updated under a lock file:
+ *
+ * {
+ *   "playback": {
+ *     "events": { "PreToolUse": { "played": 1700000000000, "seen": 1700000000400 } },
+ *     "playing": [{ "pid": 4242, "started": 1700000000000 }],
+ *     "queued": [{ "pid": 4243, "event": "PreToolUse", "due": 1700000000500 }]
+ *   }
+ * }
+ *
+ * A sound is limited while its event is cooling down or max_concurrent_sounds
+ * players are running. rate_limit_mode decides what happens to it:
+ *   drop     - skip it; the cooldown counts from the last sound played
+ *   coalesce - skip it; the cooldown counts from the last event, so a burst
+ *              plays one sound
+ *   queue    - play it once the cooldown ends and a player is free (a few
+ *              per event at most)
+ */
+
+const fs = require('fs');
+
+const RATE_LIMIT_MODES = ['drop', 'coalesce', 'queue'];
+const MAX_CONCURRENT_LIMIT = 16;
+const MAX_COOLDOWN_MS = 60000;
+
+// Sounds still waiting per event in queue mode; later ones are dropped
+const MAX_QUEUED_PER_EVENT = 3;
+
+// How long a queued sound waits for a free player before giving up
+const MAX_QUEUE_WAIT_MS = 10000;
+
+// Players running longer than this are no longer counted (clips are short)
+const MAX_SOUND_MS = 30000;
+
+// Lock file handling; hooks never wait longer than LOCK_TIMEOUT_MS
+const LOCK_TIMEOUT_MS = 200;
+const LOCK_RETRY_MS = 5;
+const STALE_LOCK_MS = 2000;
+
+/**
+ * Block the current process for a few milliseconds
+ */
+function sleepSync(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+/**
+ * Check whether a process is still running
+ */
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+
+  // Exited but not reaped yet (containers without an init process)
+  try {
+    const stat = fs.readFileSync(`/proc/${pid}/stat`, 'utf8');
+    const processState = stat.slice(stat.lastIndexOf(')') + 2).charAt(0);
+    return processState !== 'Z';
+  } catch (error) {
+    return true; // No /proc (macOS)
+  }
+}
+
+/**
+ * Read the runtime state file
+ * @returns {Object} Parsed state, or an empty object
+ */
+function readState(stateFile) {
+  try {
+    const state = JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+    return state && typeof state === 'object' && !Array.isArray(state) ? state : {};
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * Write the runtime state file
+ * Written to a temporary file and renamed so concurrent hooks never read a
+ * half-written file.
+ */
+function writeState(stateFile, state) {
+  const tmpFile = `${stateFile}.${process.pid}`;
+  try {
+    fs.writeFileSync(tmpFile, JSON.stringify(state));
+    fs.renameSync(tmpFile, stateFile);
+  } catch (error) {
+    // State is best effort
+    try { fs.unlinkSync(tmpFile); } catch (e) { /* not written */ }
+  }
+}
+
+/**
+ * Take the lock file, removing it if a crashed process left it behind
+ * @returns {boolean} False when the lock could not be taken in time
+ */
+function acquireLock(lockFile) {
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+  while (true) {
+    try {
+      fs.closeSync(fs.openSync(lockFile, 'wx'));
+      return true;
+    } catch (error) {
+      if (error.code !== 'EEXIST') return false;
+    }
+
+    try {
+      if (Date.now() - fs.statSync(lockFile).mtimeMs > STALE_LOCK_MS) {
+        fs.unlinkSync(lockFile);
+        continue;
+      }
+    } catch (error) {
+      continue; // Released meanwhile
+    }
+
+    if (Date.now() >= deadline) return false;
+    sleepSync(LOCK_RETRY_MS);
+  }
+}
+
+/**
+ * Read, update and write the state file while holding its lock
+ * When the lock can't be taken in time the update runs anyway; a missed
+ * limit is better than a hook that hangs.
+ * @param {string} stateFile - Path to state.json
+ * @param {Function} update - Called with the state object to change in place
+ * @returns {*} Whatever update returns
+ */
+function withStateLock(stateFile, update) {
+  const lockFile = `${stateFile}.lock`;
+  const locked = acquireLock(lockFile);
+  try {
+    const state = readState(stateFile);
+    const result = update(state);
+    writeState(stateFile, state);
+    return result;
+  } finally {
+    if (locked) {
+      try { fs.unlinkSync(lockFile); } catch (error) { /* already gone */ }
+    }
+  }
+}
+
+/**
+ * Playback section of the state, without players and waiters that are gone
+ */
+function getPlayback(state, now, isAlive) {
+  const playback = state.playback && typeof state.playback === 'object' ? state.playback : {};
+  const list = value => (Array.isArray(value) ? value : []);
+
+  state.playback = {
+    events: playback.events && typeof playback.events === 'object' ? playback.events : {},
+    playing: list(playback.playing)
+      .filter(entry => now - entry.started < MAX_SOUND_MS && isAlive(entry.pid)),
+    queued: list(playback.queued)
+      .filter(entry => now < entry.due + MAX_QUEUE_WAIT_MS && isAlive(entry.pid))
+  };
+  return state.playback;
+}
+
+/**
+ * Decide whether an event's sound plays now
+ * Records the event in the state, so call it under withStateLock().
+ * @param {Object} state - Runtime state (changed in place)
+ * @param {string} event - Hook event name
+ * @param {Object} limits - { cooldown (ms), maxConcurrent (0 = no limit), mode }
+ * @param {number} now - Current time in ms
+ * @param {Function} isAlive - Checks a process id
+ * @returns {{ action: 'play'|'drop'|'queue', due?: number }} due: when a
+ *   queued sound may play
+ */
+function claimPlayback(state, event, limits, now = Date.now(), isAlive = isProcessAlive) {
+  const playback = getPlayback(state, now, isAlive);
+  const last = playback.events[event] || {};
+  const { cooldown = 0, maxConcurrent = 0, mode = 'coalesce' } = limits;
+
+  const since = mode === 'coalesce' ? last.seen : last.played;
+  const coolingUntil = cooldown > 0 && typeof since === 'number' ? since + cooldown : 0;
+  const full = maxConcurrent > 0 && playback.playing.length >= maxConcurrent;
+  playback.events[event] = { ...last, seen: now };
+
+  if (now >= coolingUntil && !full) {
+    playback.events[event].played = now;
+    return { action: 'play' };
+  }
+
+  const waiting = playback.queued.filter(entry => entry.event === event).length;
+  if (mode !== 'queue' || waiting >= MAX_QUEUED_PER_EVENT) {
+    return { action: 'drop' };
+  }
+
+  // Reserve the slot so the next event queues behind this one
+  const due = Math.max(now, coolingUntil);
+  playback.events[event].played = due;
+  return { action: 'queue', due };
+}
+
+/**
+ * Check whether a queued sound can start now
+ */
+function hasFreePlayer(state, maxConcurrent, now = Date.now(), isAlive = isProcessAlive) {
+  const playback = getPlayback(state, now, isAlive);
+  return maxConcurrent <= 0 || playback.playing.length < maxConcurrent;
+}
+
+/**
+ * Count a started player against max_concurrent_sounds
+ */
+function recordPlaying(state, pid, now = Date.now()) {
+  if (!pid || !state.playback) return;
+  state.playback.playing.push({ pid, started: now });
+}
+
+/**
+ * Remember a process waiting to play a queued sound
+ */
+function recordQueued(state, event, pid, due) {
+  if (!pid || !state.playback) return;
+  state.playback.queued.push({ pid, event, due });
+}
+
+/**
+ * Forget a waiting process once it played or gave up
+ */
+function removeQueued(state, pid) {
+  if (!state.playback || !Array.isArray(state.playback.queued)) return;
+  state.playback.queued = state.playback.queued.filter(entry => entry.pid !== pid);
+}
+
+module.exports = {
+  RATE_LIMIT_MODES,
+  MAX_CONCURRENT_LIMIT,
+  MAX_COOLDOWN_MS,
+  MAX_QUEUE_WAIT_MS,
+  readState,
+  writeState,
+  withStateLock,
+  claimPlayback,
+  hasFreePlayer,
+  recordPlaying,
+  recordQueued,
+  removeQueued
+};
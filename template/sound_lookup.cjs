@@ -0,0 +1,99 @@
+/**
+ * Sound lookup order
+ * Shared by the sound runtime and the CLI (Test Sounds, theme info) so both
+ * pick the same file for a hook and tool.
+ *
+ * For a tool hook the tool's own sound comes first, then the variants that
+ * tool_sounds in config.json maps it to, then the plain hook sound:
+ *
+ *   "tool_sounds": { "mcp__*": "mcp", "Edit": "write" }
+ *
+ *   PreToolUse + mcp__github__search  ->  PreToolUse.mcp__github__search,
+ *                                         PreToolUse.mcp, PreToolUse
+ *
+ * Sounds with a fallback in hooks.json (PostToolUseError -> PostToolUse)
+ * continue with the candidates of the hook they fall back to.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Hook definitions from the registry next to this file
+ */
+function loadHookDefinitions() {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(__dirname, 'hooks.json'), 'utf8')).hooks || [];
+  } catch (error) {
+    return [];
+  }
+}
+
+const HOOK_DEFINITIONS = loadHookDefinitions();
+
+// Hooks whose sound can vary by the tool being used
+const TOOL_HOOKS = HOOK_DEFINITIONS
+  .filter(hook => (hook.variants || []).includes('tool'))
+  .map(hook => hook.event);
+
+// Sounds that fall back to another hook's sound when a theme lacks them
+const SOUND_FALLBACKS = {};
+HOOK_DEFINITIONS.forEach(hook => {
+  if (hook.fallback) {
+    SOUND_FALLBACKS[hook.event] = hook.fallback;
+  }
+});
+
+/**
+ * Match a tool name against a pattern supporting * and ? wildcards
+ * @param {string} pattern - Tool name or glob (e.g. "mcp__*")
+ * @param {string} toolName - Tool name from the hook payload
+ * @returns {boolean} True if the pattern matches the whole name
+ */
+function matchToolPattern(pattern, toolName) {
+  const source = pattern
+    .split('')
+    .map(ch => {
+      if (ch === '*') return '.*';
+      if (ch === '?') return '.';
+      return ch.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${source}$`).test(toolName);
+}
+
+/**
+ * Sound base names to try for a hook, most specific first
+ * @param {string} soundName - Hook event or sound name
+ * @param {string|null} toolName - Tool name for tool hooks
+ * @param {Object} toolSounds - Map of tool name patterns to sound variants
+ * @returns {Array<string>} Base names like "PreToolUse.Bash", "PreToolUse"
+ */
+function getSoundCandidates(soundName, toolName = null, toolSounds = {}) {
+  const candidates = [];
+  let name = soundName;
+
+  while (name) {
+    if (toolName && TOOL_HOOKS.includes(name)) {
+      candidates.push(`${name}.${toolName}`);
+
+      for (const [pattern, variant] of Object.entries(toolSounds || {})) {
+        if (matchToolPattern(pattern, toolName)) {
+          candidates.push(`${name}.${variant}`);
+        }
+      }
+    }
+
+    candidates.push(name);
+    name = SOUND_FALLBACKS[name];
+  }
+
+  return [...new Set(candidates)];
+}
+
+module.exports = {
+  TOOL_HOOKS,
+  SOUND_FALLBACKS,
+  matchToolPattern,
+  getSoundCandidates
+};
@@ -0,0 +1,367 @@
+/**
+ * Theme manifest (theme.json) reader
+ * Shared by the sound runtime and the CLI so both resolve themes the same way.
+ *
+ * {
+ *   "name": "Zelda",
+ *   "version": "1.0.0",
+ *   "author": "Jane Doe <jane@example.com>",
+ *   "license": "CC-BY-4.0",
+ *   "description": "Breath of the Wild sound effects",
+ *   "volume": 0.8,
+ *   "extends": "zelda",
+ *   "output_style": "output-style.md",
+ *   "sounds": {
+ *     "Stop": "stop.wav",
+ *     "PostToolUse": ["click-1.wav", "click-2.wav"],
+ *     "PreToolUse.Bash": "sword.wav"
+ *   },
+ *   "variant_strategy": "no-repeat",
+ *   "weights": { "click-2.wav": 0.25 }
+ * }
+ *
+ * Every field is optional. Sound keys use the same names as the filename
+ * convention ("<Hook>" or "<Hook>.<Tool or variant>"); sounds missing from
+ * the manifest are still found by filename. A theme that "extends" another
+ * plays the parent's sounds for events it has no sound for.
+ *
+ * A sound can have several files (variants): a list in "sounds", or
+ * numbered files ("PostToolUse.1.wav") and a folder ("PostToolUse/") by
+ * convention. variant_strategy picks among them; weights default to 1.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MANIFEST_FILE = 'theme.json';
+const DEFAULT_OUTPUT_STYLE = 'output-style.md';
+
+const STRING_FIELDS = ['name', 'version', 'license', 'description'];
+const SOUND_KEY_PATTERN = /^[A-Z][A-Za-z]*(\.[^./\\]+)?$/;
+const THEME_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+const NUMBERED_VARIANT_PATTERN = /^(.+)\.(\d+)$/;
+const VARIANT_STRATEGIES = ['random', 'round-robin', 'weighted', 'no-repeat'];
+
+// Longest extends chain followed; deeper parents are ignored
+const MAX_THEME_CHAIN = 8;
+
+/**
+ * Check that a string can name a theme directory
+ */
+function isThemeName(name) {
+  return typeof name === 'string' && THEME_NAME_PATTERN.test(name);
+}
+
+/**
+ * Check that a manifest path stays inside the theme directory
+ */
+function isThemeRelativePath(file) {
+  return typeof file === 'string' &&
+    file.length > 0 &&
+    !path.isAbsolute(file) &&
+    !file.split(/[\\/]/).includes('..');
+}
+
+/**
+ * Format author as "Name <email> (url)" from a string or npm-style object
+ */
+function formatAuthor(author) {
+  if (typeof author === 'string') return author;
+  if (!author || typeof author !== 'object' || typeof author.name !== 'string') return null;
+
+  let formatted = author.name;
+  if (typeof author.email === 'string') formatted += ` <${author.email}>`;
+  if (typeof author.url === 'string') formatted += ` (${author.url})`;
+  return formatted;
+}
+
+/**
+ * Validate and normalize parsed manifest JSON
+ * Invalid fields are left out of the manifest and reported in errors.
+ * @returns {{ manifest: Object, errors: Array<string> }}
+ */
+function normalizeManifest(raw) {
+  const errors = [];
+  const manifest = {
+    name: null,
+    version: null,
+    author: null,
+    license: null,
+    description: null,
+    volume: null,
+    extends: null,
+    outputStyle: DEFAULT_OUTPUT_STYLE,
+    sounds: {},
+    variantStrategy: null,
+    weights: {}
+  };
+
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { manifest, errors: [`${MANIFEST_FILE} must contain a JSON object`] };
+  }
+
+  for (const field of STRING_FIELDS) {
+    if (raw[field] === undefined) continue;
+    if (typeof raw[field] === 'string') {
+      manifest[field] = raw[field];
+    } else {
+      errors.push(`"${field}" must be a string`);
+    }
+  }
+
+  if (raw.author !== undefined) {
+    manifest.author = formatAuthor(raw.author);
+    if (manifest.author === null) {
+      errors.push('"author" must be a string or { name, email, url }');
+    }
+  }
+
+  if (raw.volume !== undefined) {
+    if (typeof raw.volume === 'number' && raw.volume >= 0 && raw.volume <= 1) {
+      manifest.volume = raw.volume;
+    } else {
+      errors.push('"volume" must be a number between 0 and 1');
+    }
+  }
+
+  if (raw.extends !== undefined) {
+    if (isThemeName(raw.extends)) {
+      manifest.extends = raw.extends;
+    } else {
+      errors.push('"extends" must be a theme name');
+    }
+  }
+
+  if (raw.output_style !== undefined) {
+    if (isThemeRelativePath(raw.output_style)) {
+      manifest.outputStyle = raw.output_style;
+    } else {
+      errors.push('"output_style" must be a file path inside the theme');
+    }
+  }
+
+  if (raw.sounds !== undefined) {
+    if (!raw.sounds || typeof raw.sounds !== 'object' || Array.isArray(raw.sounds)) {
+      errors.push('"sounds" must map hook names to files');
+    } else {
+      for (const [key, value] of Object.entries(raw.sounds)) {
+        const files = Array.isArray(value) ? value : [value];
+        if (!SOUND_KEY_PATTERN.test(key)) {
+          errors.push(`sounds: "${key}" is not a hook name like "Stop" or "PreToolUse.Bash"`);
+        } else if (files.length === 0 || !files.every(isThemeRelativePath)) {
+          errors.push(`sounds.${key} must be a file path inside the theme, or a list of them`);
+        } else {
+          manifest.sounds[key] = files;
+        }
+      }
+    }
+  }
+
+  if (raw.variant_strategy !== undefined) {
+    if (VARIANT_STRATEGIES.includes(raw.variant_strategy)) {
+      manifest.variantStrategy = raw.variant_strategy;
+    } else {
+      errors.push(`"variant_strategy" must be one of: ${VARIANT_STRATEGIES.join(', ')}`);
+    }
+  }
+
+  if (raw.weights !== undefined) {
+    if (!raw.weights || typeof raw.weights !== 'object' || Array.isArray(raw.weights)) {
+      errors.push('"weights" must map sound files to numbers');
+    } else {
+      for (const [file, weight] of Object.entries(raw.weights)) {
+        if (isThemeRelativePath(file) && typeof weight === 'number' && weight > 0) {
+          manifest.weights[path.normalize(file)] = weight;
+        } else {
+          errors.push(`weights: "${file}" must be a file inside the theme with a number above 0`);
+        }
+      }
+    }
+  }
+
+  return { manifest, errors };
+}
+
+/**
+ * Load a theme's manifest
+ * @param {string} themeDir - Theme directory
+ * @returns {{ manifest: Object|null, errors: Array<string> }} manifest is
+ *   null when the theme has no theme.json or it is not valid JSON
+ */
+function loadThemeManifest(themeDir) {
+  let content;
+  try {
+    content = fs.readFileSync(path.join(themeDir, MANIFEST_FILE), 'utf8');
+  } catch (error) {
+    return { manifest: null, errors: [] };
+  }
+
+  try {
+    return normalizeManifest(JSON.parse(content));
+  } catch (error) {
+    return { manifest: null, errors: [`${MANIFEST_FILE} is not valid JSON: ${error.message}`] };
+  }
+}
+
+/**
+ * Existing files a manifest maps to a sound name
+ * @returns {Array<string>} Absolute paths; empty when unmapped or all missing
+ */
+function getManifestSoundFiles(themeDir, manifest, soundName) {
+  if (!manifest || !manifest.sounds[soundName]) return [];
+
+  return manifest.sounds[soundName]
+    .map(file => path.join(themeDir, file))
+    .filter(file => fs.existsSync(file));
+}
+
+/**
+ * Every sound a theme provides, with its variant files
+ * A sound mapped in theme.json plays the mapped files. Otherwise its files
+ * are "<Sound>.<ext>", numbered "<Sound>.<n>.<ext>" (by number) and the audio
+ * files in a "<Sound>/" folder (by name), in that order.
+ * @param {string} themeDir - Theme directory
+ * @param {Object|null} manifest - Loaded manifest
+ * @param {Array<string>} extensions - Audio file extensions, e.g. ['.wav']
+ * @returns {Object} { <Sound>: Array<{ file: absolute path, weight: number }> }
+ */
+function listSoundVariants(themeDir, manifest, extensions) {
+  const variants = {};
+  const mappedFiles = new Set();
+  const isAudio = name => extensions.includes(path.extname(name).toLowerCase());
+  const isMapped = soundName => Boolean(manifest && manifest.sounds[soundName]);
+  const add = (soundName, relative) => {
+    const weight = manifest && manifest.weights[path.normalize(relative)];
+    (variants[soundName] = variants[soundName] || []).push({
+      file: path.join(themeDir, relative),
+      weight: weight || 1
+    });
+  };
+
+  if (manifest) {
+    for (const [soundName, files] of Object.entries(manifest.sounds)) {
+      files.forEach(file => mappedFiles.add(path.normalize(file)));
+      files
+        .filter(file => fs.existsSync(path.join(themeDir, file)))
+        .forEach(file => add(soundName, file));
+    }
+  }
+
+  let entries;
+  try {
+    entries = fs.readdirSync(themeDir, { withFileTypes: true });
+  } catch (error) {
+    return variants;
+  }
+
+  // Plain files first, then numbered ones, then folder contents
+  const found = [];
+  for (const entry of entries) {
+    if (entry.isDirectory()) {
+      if (!SOUND_KEY_PATTERN.test(entry.name) || isMapped(entry.name)) continue;
+      fs.readdirSync(path.join(themeDir, entry.name))
+        .filter(name => isAudio(name) && !mappedFiles.has(path.join(entry.name, name)))
+        .forEach(name => found.push({ soundName: entry.name, relative: path.join(entry.name, name), rank: 2, order: name }));
+    } else if (isAudio(entry.name) && !mappedFiles.has(entry.name)) {
+      const base = entry.name.slice(0, -path.extname(entry.name).length);
+      const numbered = base.match(NUMBERED_VARIANT_PATTERN);
+      const soundName = numbered ? numbered[1] : base;
+      if (isMapped(soundName)) continue;
+      found.push(numbered ?
+        { soundName, relative: entry.name, rank: 1, order: Number(numbered[2]) } :
+        { soundName, relative: entry.name, rank: 0, order: entry.name });
+    }
+  }
+
+  found
+    .sort((a, b) => a.rank - b.rank || (a.order < b.order ? -1 : a.order > b.order ? 1 : 0))
+    .forEach(({ soundName, relative }) => add(soundName, relative));
+  return variants;
+}
+
+/**
+ * Pick one of a sound's variants
+ * "random" ignores weights; "weighted" uses them; "no-repeat" is weighted
+ * but never the file played last; "round-robin" plays them in order.
+ * @param {Array<Object>} variants - { file, weight } entries (not empty)
+ * @param {string} strategy - One of VARIANT_STRATEGIES
+ * @param {string|null} lastFile - File played last time for this sound
+ * @param {Function} random - Returns a number in [0, 1)
+ * @returns {Object} The chosen variant
+ */
+function pickVariant(variants, strategy, lastFile = null, random = Math.random) {
+  if (variants.length === 1) return variants[0];
+
+  const weightedPick = (pool) => {
+    let point = random() * pool.reduce((sum, variant) => sum + variant.weight, 0);
+    for (const variant of pool) {
+      point -= variant.weight;
+      if (point < 0) return variant;
+    }
+    return pool[pool.length - 1];
+  };
+
+  switch (strategy) {
+    case 'round-robin': {
+      const last = variants.findIndex(variant => variant.file === lastFile);
+      return variants[(last + 1) % variants.length];
+    }
+    case 'weighted':
+      return weightedPick(variants);
+    case 'no-repeat':
+      return weightedPick(variants.filter(variant => variant.file !== lastFile));
+    default:
+      return variants[Math.floor(random() * variants.length)];
+  }
+}
+
+/**
+ * Output style file of a theme: the manifest's output_style, or output-style.md
+ * @returns {string} Absolute path (the file may not exist)
+ */
+function resolveOutputStyle(themeDir) {
+  const { manifest } = loadThemeManifest(themeDir);
+  return path.join(themeDir, manifest ? manifest.outputStyle : DEFAULT_OUTPUT_STYLE);
+}
+
+/**
+ * Themes searched for a theme's sounds, nearest first
+ * The theme itself and the themes it extends, then the fallback theme and
+ * the themes that one extends. Missing themes and cycles end a chain.
+ * @param {string} themesDir - Directory holding all themes
+ * @param {string} themeName - Theme to resolve
+ * @param {string|null} fallbackTheme - Theme searched after the chain
+ * @returns {Array<{ name: string, dir: string, manifest: Object|null }>}
+ */
+function resolveThemeChain(themesDir, themeName, fallbackTheme = null) {
+  const chain = [];
+
+  const follow = (name) => {
+    while (isThemeName(name) && chain.length < MAX_THEME_CHAIN && !chain.some(theme => theme.name === name)) {
+      const dir = path.join(themesDir, name);
+      if (!fs.existsSync(dir)) return;
+
+      const { manifest } = loadThemeManifest(dir);
+      chain.push({ name, dir, manifest });
+      name = manifest ? manifest.extends : null;
+    }
+  };
+
+  follow(themeName);
+  follow(fallbackTheme);
+  return chain;
+}
+
+module.exports = {
+  MANIFEST_FILE,
+  DEFAULT_OUTPUT_STYLE,
+  VARIANT_STRATEGIES,
+  isThemeName,
+  normalizeManifest,
+  loadThemeManifest,
+  getManifestSoundFiles,
+  listSoundVariants,
+  pickVariant,
+  resolveOutputStyle,
+  resolveThemeChain
+};
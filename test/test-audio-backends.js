@@ -0,0 +1,144 @@
+#!/usr/bin/env node
+
+/**
+ * Test the audio backend registry, backend selection and the detection cache
+ * Installed players are faked, so no audio player is needed
+ */
+
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import { ConfigUtils, AudioBackends, SystemUtils, Paths } from '../lib/utils.js';
+import { UpgradeManager } from '../lib/core/upgrade.js';
+
+const SUCCESS = '✅';
+const FAILED = '❌';
+
+async function testAudioBackends() {
+  console.log('🧪 Testing audio backends...\n');
+
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-gamify-backends-'));
+  const originalHome = process.env.HOME;
+
+  let passed = 0;
+  let failed = 0;
+
+  function check(name, condition) {
+    if (condition) {
+      console.log(`${SUCCESS} ${name}`);
+      passed++;
+    } else {
+      console.log(`${FAILED} ${name}`);
+      failed++;
+    }
+  }
+
+  // Options for a Linux machine with only these players installed
+  const linuxWith = (...names) => ({ platform: 'linux', isAvailable: name => names.includes(name) });
+  const resolved = (preference, file, options) => {
+    const backend = AudioBackends.resolveBackend(preference, file, options);
+    return backend ? backend.name : null;
+  };
+
+  try {
+    // Test 1: Every backend describes what it can do
+    check('Backends have capability metadata', AudioBackends.AUDIO_BACKENDS.every(backend =>
+      backend.platforms.length > 0 && backend.formats.every(format => format.startsWith('.')) &&
+      typeof backend.volume === 'boolean' && ['low', 'medium', 'high'].includes(backend.latency)));
+    check('New players registered', ['pw-play', 'ffplay', 'mpv', 'cvlc'].every(name => AudioBackends.getBackend(name)));
+    check('Platform backends filtered',
+      AudioBackends.getPlatformBackends('darwin').every(backend => backend.name !== 'paplay') &&
+      AudioBackends.getPlatformBackends('win32').length === 0);
+
+    // Test 2: Auto picks the first installed player for the format
+    check('Auto keeps the usual order', resolved('auto', 'Stop.wav', linuxWith('aplay', 'paplay')) === 'paplay');
+    check('Auto skips players that cannot play the format',
+      resolved('auto', 'Stop.mp3', linuxWith('paplay', 'aplay', 'mpv')) === 'mpv');
+    check('Auto falls back to any installed player', resolved('auto', 'Stop.mp3', linuxWith('aplay')) === 'aplay');
+    check('No installed player resolves to null', resolved('auto', 'Stop.wav', linuxWith()) === null);
+
+    // Test 3: Forced backends
+    check('Forced backend used when installed', resolved('cvlc', 'Stop.wav', linuxWith('paplay', 'cvlc')) === 'cvlc');
+    check('Forced backend used even for other formats',
+      resolved('aplay', 'Stop.mp3', linuxWith('aplay', 'mpg123')) === 'aplay');
+    check('Missing forced backend falls back to auto', resolved('mpv', 'Stop.wav', linuxWith('pw-play')) === 'pw-play');
+    check('Backend of another platform ignored', resolved('afplay', 'Stop.wav', linuxWith('afplay', 'paplay')) === 'paplay');
+
+    // Test 4: Command lines carry the volume in each player's scale
+    const command = name => AudioBackends.buildCommand(AudioBackends.getBackend(name), '/s/Stop.wav', 0.5);
+    check('paplay volume scaled to 65536', command('paplay').args.join(' ') === '--volume 32768 /s/Stop.wav');
+    check('mpv and ffplay volume in percent', command('mpv').args.includes('--volume=50') &&
+      command('ffplay').args.join(' ').includes('-volume 50'));
+    check('File passed last', AudioBackends.AUDIO_BACKENDS.every(backend =>
+      AudioBackends.buildCommand(backend, '/s/Stop.wav', 0.5).args.slice(-1)[0] === '/s/Stop.wav'));
+    check('Resolved player path used as the command', command('paplay').command === 'paplay' &&
+      AudioBackends.buildCommand(AudioBackends.getBackend('paplay'), '/s/Stop.wav', 0.5, '/usr/bin/paplay').command ===
+      '/usr/bin/paplay');
+    check('Capabilities described', AudioBackends.describeBackend(AudioBackends.getBackend('aplay')) ===
+      'wav · volume by WAV copy · low latency');
+
+    // Test 5: Config and deployment
+    check('audio_backend accepts auto and known players', ConfigUtils.validateValue('audio_backend', 'auto') === 'auto' &&
+      ConfigUtils.validateValue('audio_backend', 'pw-play') === 'pw-play');
+    let rejected = false;
+    try {
+      ConfigUtils.validateValue('audio_backend', 'winamp');
+    } catch {
+      rejected = true;
+    }
+    check('audio_backend rejects unknown players', rejected);
+    check('Registry deployed with the runtime',
+      UpgradeManager.runtimeFiles.some(file => file.name === 'audio_backends.cjs'));
+
+    // Test 6: Detection is cached between hooks
+    const cacheFile = path.join(tmpDir, 'backend_cache.json');
+    const installed = { paplay: '/usr/bin/paplay', mpv: '/usr/bin/mpv' };
+    let lookups = 0;
+    const options = {
+      platform: 'linux',
+      findPath: name => { lookups++; return installed[name] || null; },
+      exists: file => Object.values(installed).includes(file)
+    };
+    const play = file => AudioBackends.resolveInstalledPlayer(cacheFile, 'auto', file, options);
+
+    const first = play('/s/Stop.wav');
+    const detections = lookups;
+    check('Player detected and run by its path', first.command === '/usr/bin/paplay' &&
+      AudioBackends.readBackendCache(cacheFile).backends.mpv === '/usr/bin/mpv');
+    check('Later hooks use the cache', play('/s/Stop.mp3').command === '/usr/bin/mpv' && lookups === detections);
+    delete installed.paplay;
+    check('Vanished player detected again', play('/s/Stop.wav').command === '/usr/bin/mpv' &&
+      lookups === detections * 2 && !AudioBackends.readBackendCache(cacheFile).backends.paplay);
+    AudioBackends.clearBackendCache(cacheFile);
+    check('Cleared cache detected again', play('/s/Stop.wav') && lookups === detections * 3);
+    fs.writeFileSync(cacheFile, JSON.stringify({ platform: 'darwin', backends: { afplay: '/usr/bin/afplay' } }));
+    check('Cache from another platform ignored', play('/s/Stop.wav').command === '/usr/bin/mpv');
+
+    // Test 7: CLI start reads the cache; doctor and the backend picker refresh it
+    const player = AudioBackends.getPlatformBackends()[0];
+    if (player) {
+      process.env.HOME = tmpDir;
+      fs.mkdirSync(Paths.claudeGamifyDir);
+      const cached = JSON.stringify({ platform: process.platform, backends: { [player.name]: '/nonexistent/player' } });
+      fs.writeFileSync(Paths.backendCacheFile, cached);
+      check('System info uses the cached players', SystemUtils.getSystemInfo().audioPlayers.join() === player.name &&
+        fs.readFileSync(Paths.backendCacheFile, 'utf8') === cached);
+      SystemUtils.getAvailableAudioPlayers({ refresh: true });
+      check('Refresh detects the players again',
+        AudioBackends.readBackendCache(Paths.backendCacheFile).backends[player.name] !== '/nonexistent/player');
+    }
+  } catch (error) {
+    console.log(`${FAILED} Audio backends test failed: ${error.message}`);
+    failed++;
+  } finally {
+    process.env.HOME = originalHome;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+
+  console.log(`\n📊 Audio Backends Test Results: ${passed} passed, ${failed} failed`);
+  if (failed > 0) {
+    process.exit(1);
+  }
+}
+
+await testAudioBackends();
@@ -0,0 +1,148 @@
+#!/usr/bin/env node
+
+/**
+ * Test WAV parsing, volume scaling and the volume copy cache used for
+ * players without a volume option
+ * Builds small WAV files in a temporary directory
+ */
+
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import { AudioFile, AudioBackends } from '../lib/utils.js';
+
+const SUCCESS = '✅';
+const FAILED = '❌';
+
+/**
+ * WAV file with the given samples
+ * @param {Object} options - { format, bits, channels, samples, extensible, extraChunk }
+ */
+function makeWav({ format = 1, bits = 16, channels = 1, samples = [], extensible = false, extraChunk = false }) {
+  const size = bits / 8;
+  const data = Buffer.alloc(samples.length * size);
+  samples.forEach((value, i) => {
+    const offset = i * size;
+    if (format === 3) data.writeFloatLE(value, offset);
+    else if (bits === 8) data.writeUInt8(value + 128, offset);
+    else data.writeIntLE(value, offset, size);
+  });
+
+  const fmt = Buffer.alloc(extensible ? 40 : 16);
+  fmt.writeUInt16LE(extensible ? 0xfffe : format, 0);
+  fmt.writeUInt16LE(channels, 2);
+  fmt.writeUInt32LE(8000, 4);
+  fmt.writeUInt32LE(8000 * channels * size, 8);
+  fmt.writeUInt16LE(channels * size, 12);
+  fmt.writeUInt16LE(bits, 14);
+  if (extensible) {
+    fmt.writeUInt16LE(22, 16);
+    fmt.writeUInt16LE(format, 24);
+  }
+
+  const chunk = (id, body) => {
+    const header = Buffer.alloc(8);
+    header.write(id, 0, 'ascii');
+    header.writeUInt32LE(body.length, 4);
+    return Buffer.concat([header, body, Buffer.alloc(body.length % 2)]);
+  };
+  const chunks = [chunk('fmt ', fmt), ...(extraChunk ? [chunk('LIST', Buffer.from('odd'))] : []), chunk('data', data)];
+  const riff = Buffer.alloc(12);
+  riff.write('RIFF', 0, 'ascii');
+  riff.writeUInt32LE(4 + chunks.reduce((total, c) => total + c.length, 0), 4);
+  riff.write('WAVE', 8, 'ascii');
+  return Buffer.concat([riff, ...chunks]);
+}
+
+async function testAudioFile() {
+  console.log('🧪 Testing audio file volume handling...\n');
+
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-gamify-audiofile-'));
+  const cacheDir = path.join(tmpDir, 'volume_cache');
+
+  let passed = 0;
+  let failed = 0;
+
+  function check(name, condition) {
+    if (condition) {
+      console.log(`${SUCCESS} ${name}`);
+      passed++;
+    } else {
+      console.log(`${FAILED} ${name}`);
+      failed++;
+    }
+  }
+
+  // Samples of a scaled WAV file
+  const samplesOf = (buffer, read, size) => {
+    const wav = AudioFile.parseWav(buffer);
+    const values = [];
+    for (let offset = wav.dataOffset; offset < wav.dataOffset + wav.dataSize; offset += size) {
+      values.push(read(buffer, offset));
+    }
+    return values;
+  };
+
+  try {
+    // Test 1: Headers
+    const wav = AudioFile.parseWav(makeWav({ channels: 2, samples: [1, 2, 3, 4], extraChunk: true }));
+    check('Header read past other chunks', wav && wav.channels === 2 && wav.sampleRate === 8000 &&
+      wav.bitsPerSample === 16 && wav.dataSize === 8);
+    check('Extensible format resolved', AudioFile.parseWav(makeWav({ extensible: true, samples: [1] })).format === 1);
+    check('Non-WAV data rejected', AudioFile.parseWav(Buffer.from('ID3 not a wav file')) === null);
+
+    // Test 2: Samples scaled in every supported encoding
+    const half = (options, read, size) => samplesOf(AudioFile.scaleWav(makeWav(options), 0.5), read, size).join();
+    check('16-bit PCM scaled', half({ samples: [1000, -1000, 32767] }, (b, o) => b.readInt16LE(o), 2) === '500,-500,16384');
+    check('8-bit PCM scaled around the midpoint',
+      half({ bits: 8, samples: [100, -100] }, (b, o) => b.readUInt8(o) - 128, 1) === '50,-50');
+    check('24-bit PCM scaled', half({ bits: 24, samples: [4000000] }, (b, o) => b.readIntLE(o, 3), 3) === '2000000');
+    check('Float scaled', half({ format: 3, bits: 32, samples: [0.5] }, (b, o) => b.readFloatLE(o), 4) === '0.25');
+    check('Unsupported encodings not scaled', AudioFile.scaleWav(makeWav({ format: 2, samples: [1] }), 0.5) === null);
+
+    // Test 3: Copies are rendered once and reused
+    const source = path.join(tmpDir, 'Stop.wav');
+    fs.writeFileSync(source, makeWav({ samples: [2000, -2000] }));
+    const copy = AudioFile.getVolumeCopy(source, 0.25, cacheDir);
+    check('Copy rendered at the volume', copy !== source && copy.startsWith(cacheDir) &&
+      fs.readFileSync(copy).readInt16LE(AudioFile.parseWav(fs.readFileSync(copy)).dataOffset) === 500);
+    check('Copy reused', AudioFile.getVolumeCopy(source, 0.25, cacheDir) === copy &&
+      fs.readdirSync(cacheDir).length === 1);
+    check('Each volume has its own copy', AudioFile.getVolumeCopy(source, 0.5, cacheDir) !== copy);
+    fs.writeFileSync(source, makeWav({ samples: [2000, -2000, 2000] }));
+    fs.utimesSync(source, new Date(), new Date(Date.now() + 5000));
+    check('Changed source rendered again', AudioFile.getVolumeCopy(source, 0.25, cacheDir) !== copy);
+    check('Full volume plays the original', AudioFile.getVolumeCopy(source, 1, cacheDir) === source);
+    const mp3 = path.join(tmpDir, 'Stop.mp3');
+    fs.writeFileSync(mp3, 'ID3');
+    check('Other formats play the original', AudioFile.getVolumeCopy(mp3, 0.5, cacheDir) === mp3);
+
+    // Test 4: The cache stays bounded
+    for (let i = 0; i < AudioFile.MAX_VOLUME_COPIES + 5; i++) {
+      fs.writeFileSync(path.join(cacheDir, `old-${i}.wav`), '');
+    }
+    AudioFile.pruneVolumeCache(cacheDir);
+    check('Oldest copies pruned', fs.readdirSync(cacheDir).length === AudioFile.MAX_VOLUME_COPIES);
+
+    // Test 5: Every player honors the volume one way or another
+    const argsAt = (backend, volume) => backend.args('/s/Stop.wav', volume).join(' ');
+    check('Players with a volume option pass it on', AudioBackends.AUDIO_BACKENDS
+      .filter(backend => backend.volume)
+      .every(backend => argsAt(backend, 0.25) !== argsAt(backend, 0.75)));
+    check('mpg123 uses its scale factor', argsAt(AudioBackends.getBackend('mpg123'), 0.5) === '-q -f 16384 /s/Stop.wav');
+    check('Only aplay needs rendered copies', AudioBackends.AUDIO_BACKENDS
+      .filter(backend => !backend.volume).map(backend => backend.name).join() === 'aplay');
+  } catch (error) {
+    console.log(`${FAILED} Audio file test failed: ${error.message}`);
+    failed++;
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+
+  console.log(`\n📊 Audio File Test Results: ${passed} passed, ${failed} failed`);
+  if (failed > 0) {
+    process.exit(1);
+  }
+}
+
+await testAudioFile();
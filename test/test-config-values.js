@@ -0,0 +1,103 @@
+#!/usr/bin/env node
+
+/**
+ * Test scriptable config values
+ * Validates key-path get/set/unset and validation used by the config commands
+ */
+
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import { ConfigManager } from '../lib/core/config.js';
+import { ConfigUtils } from '../lib/utils.js';
+
+const SUCCESS = '✅';
+const FAILED = '❌';
+
+async function testConfigValues() {
+  console.log('🧪 Testing scriptable config values...\n');
+
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-gamify-config-'));
+  const configPath = path.join(tmpDir, 'config.json');
+  const configManager = new ConfigManager(configPath);
+
+  let passed = 0;
+  let failed = 0;
+
+  function check(name, condition) {
+    if (condition) {
+      console.log(`${SUCCESS} ${name}`);
+      passed++;
+    } else {
+      console.log(`${FAILED} ${name}`);
+      failed++;
+    }
+  }
+
+  async function rejects(promise, pattern) {
+    try {
+      await promise;
+      return false;
+    } catch (error) {
+      return pattern.test(error.message);
+    }
+  }
+
+  const readConfig = () => JSON.parse(fs.readFileSync(configPath, 'utf8'));
+
+  try {
+    await configManager.initialize();
+
+    // Test 1: Command-line values are parsed as JSON literals
+    check('parseValue reads booleans', ConfigUtils.parseValue('false') === false);
+    check('parseValue reads numbers', ConfigUtils.parseValue('0.25') === 0.25);
+    check('parseValue keeps plain strings', ConfigUtils.parseValue('zelda') === 'zelda');
+
+    // Test 2: Top-level and nested values are written to disk
+    await configManager.setValue('sound_volume', 0.3);
+    await configManager.setValue('sound_hooks.stop', false);
+    await configManager.setValue('tool_sounds.Bash', 'shell');
+    const saved = readConfig();
+
+    check('sound_volume saved', saved.sound_volume === 0.3);
+    check('Nested hook toggle saved', saved.sound_hooks.stop === false);
+    check('Other hook toggles kept', saved.sound_hooks.notification === true);
+    check('Tool sound mapping saved', saved.tool_sounds.Bash === 'shell');
+    check('getValue reads nested keys', configManager.getValue('sound_hooks.stop') === false);
+
+    // Test 3: Invalid keys and values are rejected without saving
+    check('Unknown key rejected', await rejects(configManager.setValue('foo', 1), /Invalid configuration key/));
+    check('Out-of-range volume rejected', await rejects(configManager.setValue('sound_volume', 3), /between 0 and 1/));
+    check('Non-boolean toggle rejected', await rejects(configManager.setValue('sound_enabled', 'yes'), /true or false/));
+    check('Unknown hook rejected', await rejects(configManager.setValue('sound_hooks.bogus', true), /Unknown hook/));
+    check('version is read-only', await rejects(configManager.setValue('version', '9.9.9'), /cannot be set/));
+    check('Volume percentages must be whole numbers',
+      await rejects(configManager.setVolume('4x'), /integer between 0 and 100/) &&
+      await rejects(configManager.setVolume('50.9'), /integer between 0 and 100/) &&
+      await rejects(configManager.setVolume(''), /integer between 0 and 100/));
+    check('Rejected values not saved', readConfig().sound_volume === 0.3);
+    check('Whole percentages accepted', ConfigUtils.validateVolume('40') === 0.4 && ConfigUtils.validateVolume(100) === 1);
+
+    // Test 4: Unset restores defaults or removes mappings
+    await configManager.unset('sound_hooks.stop');
+    await configManager.unset('tool_sounds.Bash');
+    await configManager.unset('sound_volume');
+    const reset = readConfig();
+
+    check('Hook toggle reset to default', reset.sound_hooks.stop === true);
+    check('Tool sound mapping removed', !('Bash' in reset.tool_sounds));
+    check('sound_volume reset to default', reset.sound_volume === 0.5);
+  } catch (error) {
+    console.log(`${FAILED} Config values test failed: ${error.message}`);
+    failed++;
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+
+  console.log(`\n📊 Config Values Test Results: ${passed} passed, ${failed} failed`);
+  if (failed > 0) {
+    process.exit(1);
+  }
+}
+
+await testConfigValues();
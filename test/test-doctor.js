@@ -0,0 +1,101 @@
+#!/usr/bin/env node
+
+/**
+ * Test the doctor command checks and fixes
+ * Runs against a temporary HOME so the real installation is never touched
+ */
+
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import { ClaudeSound } from '../lib/orchestrator.js';
+import { Paths } from '../lib/utils.js';
+
+const SUCCESS = '✅';
+const FAILED = '❌';
+
+async function testDoctor() {
+  console.log('🧪 Testing doctor checks and fixes...\n');
+
+  const originalHome = process.env.HOME;
+  const tmpHome = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-gamify-doctor-'));
+  process.env.HOME = tmpHome;
+
+  let passed = 0;
+  let failed = 0;
+
+  function check(name, condition) {
+    if (condition) {
+      console.log(`${SUCCESS} ${name}`);
+      passed++;
+    } else {
+      console.log(`${FAILED} ${name}`);
+      failed++;
+    }
+  }
+
+  const statusOf = (results, name) => {
+    const result = results.find(r => r.name === name);
+    return result ? result.status : null;
+  };
+
+  try {
+    // Test 1: Uninitialized install stops at the config check
+    let { results } = await new ClaudeSound().doctor();
+    check('Missing config reported as failure',
+      results.length === 1 && statusOf(results, 'Configuration') === 'fail');
+
+    // Test 2: A fresh install passes the installation checks
+    await new ClaudeSound().init();
+    ({ results } = await new ClaudeSound().doctor());
+    check('Fresh install passes runtime files', statusOf(results, 'Runtime files') === 'pass');
+    check('Fresh install passes hooks', statusOf(results, 'Hooks') === 'pass');
+    check('Fresh install passes output style', statusOf(results, 'Output style') === 'pass');
+    check('Fresh install passes theme sounds', statusOf(results, 'Theme sounds') === 'pass');
+
+    // Test 3: Broken install is detected
+    fs.unlinkSync(Paths.playerPath);
+    fs.unlinkSync(path.join(Paths.claudeOutputStylesDir, 'zelda.md'));
+    const settings = JSON.parse(fs.readFileSync(Paths.claudeConfigPath, 'utf8'));
+    settings.hooks.Stop[0].hooks[0].command = 'node "/old/home/.claude-gamify/index.js" Stop';
+    settings.hooks.Stop.push({ matcher: '', hooks: [{ type: 'command', command: 'audit-log' }] });
+    fs.writeFileSync(Paths.claudeConfigPath, JSON.stringify(settings, null, 2));
+
+    ({ results } = await new ClaudeSound().doctor());
+    check('Missing player reported', statusOf(results, 'Runtime files') === 'fail');
+    check('Stale hook reported', statusOf(results, 'Hooks') === 'fail');
+    check('Missing output style reported', statusOf(results, 'Output style') === 'fail');
+
+    // Test 4: --fix repairs everything it can and keeps foreign hooks
+    const { results: fixedResults, fixes } = await new ClaudeSound().doctor({ fix: true });
+    const fixedSettings = JSON.parse(fs.readFileSync(Paths.claudeConfigPath, 'utf8'));
+    const stopCommands = fixedSettings.hooks.Stop.flatMap(entry => entry.hooks).map(hook => hook.command);
+
+    check('All attempted fixes succeeded', fixes.length > 0 && fixes.every(fix => fix.fixed));
+    check('Runtime files restored', statusOf(fixedResults, 'Runtime files') === 'pass');
+    check('Hooks repaired', statusOf(fixedResults, 'Hooks') === 'pass');
+    check('Output style restored', statusOf(fixedResults, 'Output style') === 'pass');
+    check('Stale command removed', !stopCommands.some(command => command.includes('/old/home')));
+    check('Foreign hook kept', stopCommands.includes('audit-log'));
+
+    // Test 5: Unparsable settings.json is reported and never overwritten
+    fs.writeFileSync(Paths.claudeConfigPath, '{ not json');
+    ({ results } = await new ClaudeSound().doctor({ fix: true }));
+    check('Invalid settings reported', statusOf(results, 'Claude settings') === 'fail');
+    check('Invalid settings left untouched',
+      fs.readFileSync(Paths.claudeConfigPath, 'utf8') === '{ not json');
+  } catch (error) {
+    console.log(`${FAILED} Doctor test failed: ${error.message}`);
+    failed++;
+  } finally {
+    process.env.HOME = originalHome;
+    fs.rmSync(tmpHome, { recursive: true, force: true });
+  }
+
+  console.log(`\n📊 Doctor Test Results: ${passed} passed, ${failed} failed`);
+  if (failed > 0) {
+    process.exit(1);
+  }
+}
+
+await testDoctor();
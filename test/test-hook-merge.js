@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+
+/**
+ * Test non-destructive hook installation
+ * Validates that HookManager keeps user-defined hooks in settings.json
+ */
+
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import { HookManager } from '../lib/core/hooks.js';
+
+const SUCCESS = '✅';
+const FAILED = '❌';
+
+async function testHookMerge() {
+  console.log('🧪 Testing non-destructive hook installation...\n');
+
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-gamify-hooks-'));
+  const settingsPath = path.join(tmpDir, 'settings.json');
+  const indexPath = path.join(tmpDir, 'index.js');
+  const hookManager = new HookManager(settingsPath, indexPath);
+
+  let passed = 0;
+  let failed = 0;
+
+  function check(name, condition) {
+    if (condition) {
+      console.log(`${SUCCESS} ${name}`);
+      passed++;
+    } else {
+      console.log(`${FAILED} ${name}`);
+      failed++;
+    }
+  }
+
+  const readSettings = () => JSON.parse(fs.readFileSync(settingsPath, 'utf8'));
+
+  try {
+    // Existing settings with a linter on PreToolUse and an audit logger on Stop
+    fs.writeFileSync(settingsPath, JSON.stringify({
+      outputStyle: 'custom',
+      hooks: {
+        PreToolUse: [
+          { matcher: 'Bash', hooks: [{ type: 'command', command: 'lint-check' }] }
+        ],
+        Stop: [
+          { matcher: '', hooks: [{ type: 'command', command: 'audit-log' }] }
+        ]
+      }
+    }, null, 2));
+
+    // Test 1: First setup adds our entries and keeps existing ones
+    const summary = await hookManager.setup();
+    let settings = readSettings();
+
+    check('Unrelated settings are untouched', settings.outputStyle === 'custom');
+    check('Existing PreToolUse hook preserved',
+      settings.hooks.PreToolUse.some(e => e.hooks.some(h => h.command === 'lint-check')));
+    check('Existing Stop hook preserved',
+      settings.hooks.Stop.some(e => e.hooks.some(h => h.command === 'audit-log')));
+    check('All hooks reported as added', summary.added.length === hookManager.hookNames.length);
+    check('Foreign hooks counted as preserved', summary.preserved === 2);
+    check('Installation detected', await hookManager.areHooksInstalled());
+
+    // Test 2: Running setup again does not duplicate our entry
+    const secondSummary = await hookManager.setup();
+    settings = readSettings();
+    const ownCount = settings.hooks.PreToolUse
+      .flatMap(e => e.hooks)
+      .filter(h => h.command.includes(indexPath)).length;
+
+    check('Second setup reports hooks as unchanged',
+      secondSummary.unchanged.length === hookManager.hookNames.length);
+    check('No duplicate entries after re-running setup', ownCount === 1);
+
+    // Test 3: A stale command for our index is updated in place
+    settings.hooks.Stop[1].hooks[0].command = `node "${indexPath}" OldStop`;
+    fs.writeFileSync(settingsPath, JSON.stringify(settings, null, 2));
+    const thirdSummary = await hookManager.setup();
+
+    check('Stale command reported as updated', thirdSummary.updated.includes('Stop'));
+    check('Stale command rewritten',
+      readSettings().hooks.Stop[1].hooks[0].command === `node "${indexPath}" Stop`);
+
+    // Test 4: Updating a hook only replaces our command
+    const customCommand = `node "${indexPath}" Stop --custom`;
+    check('updateHook reports our command as updated', await hookManager.updateHook('Stop', customCommand) === 'updated');
+    settings = readSettings();
+    check('updateHook keeps foreign Stop hook',
+      settings.hooks.Stop.some(entry => entry.hooks.some(hook => hook.command === 'audit-log')));
+    check('updateHook rewrites our command once',
+      settings.hooks.Stop.flatMap(entry => entry.hooks).filter(hook => hook.command === customCommand).length === 1 &&
+      hookManager.countForeignHooks(settings.hooks.Stop) === 1);
+
+    // Test 5: Disabling a hook only removes our command
+    await hookManager.disableHook('PreToolUse');
+    settings = readSettings();
+    check('disableHook keeps foreign PreToolUse hook',
+      settings.hooks.PreToolUse.length === 1 &&
+      settings.hooks.PreToolUse[0].hooks[0].command === 'lint-check');
+
+    // Test 6: Removing hooks leaves foreign ones in place
+    await hookManager.remove();
+    settings = readSettings();
+    check('remove keeps foreign Stop hook',
+      settings.hooks.Stop.length === 1 && settings.hooks.Stop[0].hooks[0].command === 'audit-log');
+  } catch (error) {
+    console.log(`${FAILED} Hook merge test failed: ${error.message}`);
+    failed++;
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+
+  console.log(`\n📊 Hook Merge Test Results: ${passed} passed, ${failed} failed`);
+  if (failed > 0) {
+    process.exit(1);
+  }
+}
+
+await testHookMerge();
@@ -0,0 +1,183 @@
+#!/usr/bin/env node
+
+/**
+ * Test how the sound runtime reads the hook payload from stdin and
+ * classifies events: failed tool calls, idle notifications, malformed,
+ * empty and never-closing stdin
+ * Runs a runtime install in a temporary HOME; the audio player is a stub
+ * script
+ */
+
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import { spawn, spawnSync } from 'child_process';
+import { createRequire } from 'module';
+import { UpgradeManager } from '../lib/core/upgrade.js';
+import { AudioBackends } from '../lib/utils.js';
+
+const SUCCESS = '✅';
+const FAILED = '❌';
+
+const SOUNDS = ['Stop', 'Notification', 'NotificationIdle', 'PostToolUse', 'PostToolUseError'];
+
+async function testHookPayload() {
+  console.log('🧪 Testing hook payloads...\n');
+
+  const tmpHome = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-gamify-payload-'));
+  const gamifyDir = path.join(tmpHome, '.claude-gamify');
+  const binDir = path.join(tmpHome, 'bin');
+  const log = path.join(tmpHome, 'plays.log');
+
+  let passed = 0;
+  let failed = 0;
+
+  function check(name, condition) {
+    if (condition) {
+      console.log(`${SUCCESS} ${name}`);
+      passed++;
+    } else {
+      console.log(`${FAILED} ${name}`);
+      failed++;
+    }
+  }
+
+  try {
+    fs.mkdirSync(path.join(gamifyDir, 'themes', 'test'), { recursive: true });
+    SOUNDS.forEach(sound => fs.writeFileSync(path.join(gamifyDir, 'themes', 'test', `${sound}.wav`), ''));
+    UpgradeManager.runtimeFiles.forEach(file => fs.copyFileSync(file.src, path.join(gamifyDir, file.name)));
+    fs.writeFileSync(path.join(gamifyDir, 'config.json'), JSON.stringify({
+      theme: 'test',
+      sound_cooldowns: Object.fromEntries(['stop', 'notification', 'post_tool_use'].map(key => [key, 0])),
+      max_concurrent_sounds: 0
+    }));
+
+    // The deployed runtime is CommonJS; required, it only exposes its helpers
+    const runtime = createRequire(import.meta.url)(path.join(gamifyDir, 'play_sound.js'));
+
+    // Test 1: Failed tool calls
+    const { isToolFailure } = runtime;
+    check('Error flags mark a failure', isToolFailure({ is_error: true }) && isToolFailure({ isError: true }) &&
+      isToolFailure({ success: false }));
+    check('Non-zero exit codes mark a failure', isToolFailure({ exit_code: 2 }) && isToolFailure({ exitCode: 1 }) &&
+      isToolFailure({ returnCode: 127 }) && !isToolFailure({ exit_code: 0, stdout: 'ok' }));
+    check('Error fields mark a failure only when set', isToolFailure({ error: 'boom' }) &&
+      !isToolFailure({ error: '  ' }) && !isToolFailure({ error: null }));
+    check('Text responses fail only when they start with an error',
+      isToolFailure('Error: file not found') && isToolFailure('failed to connect') &&
+      !isToolFailure('No errors found') && !isToolFailure('Terror.js updated'));
+    check('Missing responses are not failures', !isToolFailure(null) && !isToolFailure(undefined) && !isToolFailure(0));
+
+    // Test 2: Idle notifications
+    const { isIdleNotification } = runtime;
+    check('Idle notification type is idle', isIdleNotification({ notification_type: 'idle_prompt' }));
+    check('Notification type wins over the message',
+      !isIdleNotification({ notification_type: 'permission_prompt', message: 'Claude is waiting for your input' }));
+    check('Waiting message is idle without a type', isIdleNotification({ message: 'Claude is waiting for your input' }) &&
+      isIdleNotification({ message: 'Waiting for input' }));
+    check('Permission requests are not idle',
+      !isIdleNotification({ message: 'Claude needs your permission to use Bash' }) && !isIdleNotification({}));
+
+    // Test 3: Event classification
+    const { createHookEvent } = runtime;
+    const idle = createHookEvent('Notification', { notification_type: 'idle_prompt' });
+    check('Idle notification classified as NotificationIdle', idle.hookName === 'Notification' &&
+      idle.soundName === 'NotificationIdle');
+    check('Other hooks keep their sound', createHookEvent('Stop', { message: 'waiting for your input' }).soundName === 'Stop');
+    check('Failed PostToolUse marked failed',
+      createHookEvent('PostToolUse', { tool_name: 'Bash', tool_response: { exit_code: 1 } }).failed);
+    check('Only PostToolUse can fail', !createHookEvent('PreToolUse', { tool_response: { exit_code: 1 } }).failed);
+    const empty = createHookEvent('Stop', {});
+    check('Empty payload uses defaults', empty.cwd === process.cwd() && empty.toolName === null &&
+      empty.sessionId === null && !empty.failed);
+
+    // Test 4: A terminal on stdin is not waited for
+    const isTTY = Object.getOwnPropertyDescriptor(process.stdin, 'isTTY');
+    Object.defineProperty(process.stdin, 'isTTY', { value: true, configurable: true });
+    try {
+      const started = Date.now();
+      const payload = await runtime.readHookPayload(5000);
+      check('Terminal stdin gives an empty payload at once', Object.keys(payload).length === 0 &&
+        Date.now() - started < 1000);
+    } finally {
+      if (isTTY) {
+        Object.defineProperty(process.stdin, 'isTTY', isTTY);
+      } else {
+        delete process.stdin.isTTY;
+      }
+    }
+
+    // Test 5: The hook runtime with real stdin
+    const player = AudioBackends.getPlatformBackends()[0];
+    if (!player) {
+      console.log('   (no audio backend on this platform, runtime checks skipped)');
+    } else {
+      fs.mkdirSync(binDir);
+      fs.writeFileSync(path.join(binDir, player.name), `#!/bin/sh\nfor arg; do last="$arg"; done\necho "$last" >> "${log}"\n`);
+      fs.chmodSync(path.join(binDir, player.name), 0o755);
+      const env = { ...process.env, HOME: tmpHome, PATH: `${binDir}${path.delimiter}${process.env.PATH}` };
+      const runtimePath = path.join(gamifyDir, 'play_sound.js');
+
+      // The player is started detached, so wait for its log line
+      const played = () => {
+        const deadline = Date.now() + 3000;
+        while (!fs.existsSync(log) && Date.now() < deadline) {
+          Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, 50);
+        }
+        const sound = fs.existsSync(log) ? path.basename(fs.readFileSync(log, 'utf8').trim(), '.wav') : null;
+        fs.rmSync(log, { force: true });
+        return sound;
+      };
+      const runHook = (hook, input) => {
+        const result = spawnSync(process.execPath, [runtimePath, hook], { env, cwd: tmpHome, input, timeout: 10000 });
+        return { status: result.status, sound: played() };
+      };
+
+      const idleRun = runHook('Notification', JSON.stringify({ hook_event_name: 'Notification', notification_type: 'idle_prompt' }));
+      check('Idle notification plays NotificationIdle', idleRun.status === 0 && idleRun.sound === 'NotificationIdle');
+      check('Failed tool call plays PostToolUseError', runHook('PostToolUse', JSON.stringify({
+        hook_event_name: 'PostToolUse', tool_name: 'Bash', tool_response: { stderr: 'oops', exit_code: 1 }
+      })).sound === 'PostToolUseError');
+      check('Successful tool call plays PostToolUse', runHook('PostToolUse', JSON.stringify({
+        hook_event_name: 'PostToolUse', tool_name: 'Bash', tool_response: { stdout: 'ok', exit_code: 0 }
+      })).sound === 'PostToolUse');
+
+      const malformed = runHook('Stop', '{"hook_event_name": "Stop",');
+      check('Malformed JSON still plays the hook sound', malformed.status === 0 && malformed.sound === 'Stop');
+      const empty = runHook('Notification', '');
+      check('Empty stdin still plays the hook sound', empty.status === 0 && empty.sound === 'Notification');
+
+      // stdin that never closes is given up on after the timeout
+      const started = Date.now();
+      const child = spawn(process.execPath, [runtimePath, 'Stop'], { env, cwd: tmpHome, stdio: ['pipe', 'ignore', 'ignore'] });
+      child.stdin.on('error', () => { /* runtime closed stdin */ });
+      child.stdin.write('{"hook_event_name": ');
+      const status = await new Promise(resolve => {
+        const timer = setTimeout(() => {
+          child.kill();
+          resolve(null);
+        }, 10000);
+        child.on('exit', code => {
+          clearTimeout(timer);
+          resolve(code);
+        });
+      });
+      const elapsed = Date.now() - started;
+      child.stdin.destroy();
+      check(`Open stdin given up on after the timeout (${elapsed}ms)`, status === 0 && elapsed >= 450 && elapsed < 5000);
+      check('Open stdin still plays the hook sound', played() === 'Stop');
+    }
+  } catch (error) {
+    console.log(`${FAILED} Hook payload test failed: ${error.message}`);
+    failed++;
+  } finally {
+    fs.rmSync(tmpHome, { recursive: true, force: true });
+  }
+
+  console.log(`\n📊 Hook Payload Test Results: ${passed} passed, ${failed} failed`);
+  if (failed > 0) {
+    process.exit(1);
+  }
+}
+
+await testHookPayload();
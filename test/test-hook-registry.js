@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+
+/**
+ * Test the shared hook registry (template/hooks.json)
+ * Validates the definitions both the CLI and the runtime player read
+ */
+
+import { readFileSync, readdirSync } from 'fs';
+import path from 'path';
+import { ConfigDefaults, ConfigUtils, Paths } from '../lib/utils.js';
+import { HOOK_NAMES, SOUND_CONFIG_UI } from '../lib/ui/constants/index.js';
+
+const SUCCESS = '✅';
+const FAILED = '❌';
+
+function testHookRegistry() {
+  console.log('🧪 Testing shared hook registry...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  function check(name, condition) {
+    if (condition) {
+      console.log(`${SUCCESS} ${name}`);
+      passed++;
+    } else {
+      console.log(`${FAILED} ${name}`);
+      failed++;
+    }
+  }
+
+  const registry = JSON.parse(readFileSync(Paths.templateHookRegistryPath, 'utf8'));
+  const hooks = registry.hooks || [];
+  const events = hooks.map(hook => hook.event);
+
+  // Test 1: Every definition has the required fields
+  const requiredFields = ['event', 'configKey', 'displayName', 'description', 'defaultEnabled', 'registered'];
+  const incomplete = hooks.filter(hook => requiredFields.some(field => !(field in hook)));
+  check('All definitions have required fields', incomplete.length === 0);
+
+  // Test 2: Event names and config keys are unique
+  const configKeys = hooks.map(hook => hook.configKey);
+  check('Event names are unique', new Set(events).size === events.length);
+  check('Config keys are unique', new Set(configKeys).size === configKeys.length);
+
+  // Test 3: Fallbacks point at registered events
+  const badFallbacks = hooks.filter(hook =>
+    hook.fallback && !hooks.some(other => other.event === hook.fallback && other.registered)
+  );
+  check('Fallbacks reference registered events', badFallbacks.length === 0);
+
+  // Test 4: CLI views are derived from the registry
+  check('HOOK_NAMES matches registry', JSON.stringify(HOOK_NAMES) === JSON.stringify(events));
+  check('Display names come from registry',
+    hooks.every(hook => SOUND_CONFIG_UI.HOOK_DISPLAY_NAMES[hook.event] === hook.displayName));
+  check('Registered hooks match hookCommands',
+    JSON.stringify(ConfigDefaults.hookCommands) ===
+    JSON.stringify(hooks.filter(hook => hook.registered).map(hook => hook.event)));
+  check('Default hook states cover every config key',
+    configKeys.every(key => key in ConfigDefaults.defaultHookStates));
+
+  // Test 5: Hooks only start enabled when the default theme can play them
+  const zeldaSounds = readdirSync(path.join(Paths.templateDir, 'themes', 'zelda'))
+    .map(file => path.parse(file).name);
+  const hasSound = hook => zeldaSounds.includes(hook.event) ||
+    (hook.fallback && hasSound(hooks.find(other => other.event === hook.fallback)));
+  check('Enabled-by-default hooks have a zelda sound',
+    hooks.filter(hook => hook.defaultEnabled).every(hasSound));
+  const migrated = ConfigUtils.migrateConfig({ sound_hooks: { stop: false, pre_compact: true } });
+  check('Hooks missing from a config get their registry default',
+    migrated.sound_hooks.stop === false && migrated.sound_hooks.pre_compact === true &&
+    migrated.sound_hooks.session_end === false && migrated.sound_hooks.notification === true);
+
+  console.log(`\n📊 Hook Registry Test Results: ${passed} passed, ${failed} failed`);
+  if (failed > 0) {
+    process.exit(1);
+  }
+}
+
+testHookRegistry();
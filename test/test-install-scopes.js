@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+
+/**
+ * Test project and local install scopes
+ * Runs against a temporary HOME and project so real settings are never touched
+ */
+
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import { ClaudeSound } from '../lib/orchestrator.js';
+import { Paths } from '../lib/utils.js';
+import { UpgradeManager } from '../lib/core/upgrade.js';
+
+const SUCCESS = '✅';
+const FAILED = '❌';
+
+async function testInstallScopes() {
+  console.log('🧪 Testing install scopes...\n');
+
+  const originalHome = process.env.HOME;
+  const originalCwd = process.cwd();
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-gamify-scopes-'));
+  const homeDir = path.join(tmpDir, 'home');
+  const projectDir = path.join(tmpDir, 'repo');
+  fs.mkdirSync(homeDir);
+  fs.mkdirSync(path.join(projectDir, '.git'), { recursive: true });
+  fs.mkdirSync(path.join(projectDir, 'src'));
+  process.env.HOME = homeDir;
+  process.chdir(path.join(projectDir, 'src'));
+
+  let passed = 0;
+  let failed = 0;
+
+  function check(name, condition) {
+    if (condition) {
+      console.log(`${SUCCESS} ${name}`);
+      passed++;
+    } else {
+      console.log(`${FAILED} ${name}`);
+      failed++;
+    }
+  }
+
+  const projectSettingsPath = path.join(projectDir, '.claude', 'settings.json');
+  const localSettingsPath = path.join(projectDir, '.claude', 'settings.local.json');
+  const readJson = filePath => JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+  try {
+    // Test 1: Project scope installs into the repository only
+    await new ClaudeSound({ scope: 'project' }).init();
+    const projectSettings = readJson(projectSettingsPath);
+
+    check('Project root found from a subdirectory', fs.existsSync(projectSettingsPath));
+    check('Project hook command is portable',
+      projectSettings.hooks.Stop[0].hooks[0].command.includes('$HOME/.claude-gamify/index.js'));
+    check('Project output style installed',
+      fs.existsSync(path.join(projectDir, '.claude', 'output-styles', 'zelda.md')));
+    check('User settings untouched', !fs.existsSync(Paths.claudeConfigPath));
+
+    // Test 2: Adding a local scope keeps the existing configuration
+    const manager = new ClaudeSound();
+    await manager.initialize();
+    await manager.setVolume(30);
+    await new ClaudeSound({ scope: 'local' }).init();
+    await manager.configManager.load();
+
+    check('Configuration kept when adding a scope', manager.configManager.getVolume() === 0.3);
+    check('Local hooks use this machine\'s path',
+      readJson(localSettingsPath).hooks.Stop[0].hooks[0].command.includes(Paths.indexPath));
+
+    const scopes = (await manager.detectInstalledScopes()).map(entry => entry.scope);
+    check('Both scopes detected', JSON.stringify(scopes) === JSON.stringify(['project', 'local']));
+
+    // Test 3: Switching theme updates every installed scope
+    await manager.setTheme('system');
+    check('Project output style follows theme', !('outputStyle' in readJson(projectSettingsPath)));
+    check('Local output style follows theme', !('outputStyle' in readJson(localSettingsPath)));
+
+    // Test 4: Silent upgrade does not register user hooks
+    await manager.configManager.set('version', '0.0.0');
+    await new ClaudeSound().initialize();
+    check('Upgrade leaves user settings untouched', !fs.existsSync(Paths.claudeConfigPath));
+
+    const restored = [];
+    for (const file of UpgradeManager.runtimeFiles) {
+      fs.rmSync(file.dest);
+      await new ClaudeSound().initialize();
+      if (fs.existsSync(file.dest)) restored.push(file.name);
+    }
+    check('Every missing runtime file redeployed on startup', restored.length === UpgradeManager.runtimeFiles.length);
+
+    // Test 5: Scoped uninstall removes one scope and keeps the runtime
+    const result = await new ClaudeSound().uninstall({ scope: 'project' });
+    check('Only project scope uninstalled', JSON.stringify(result.scopes) === JSON.stringify(['project']));
+    check('Project hooks removed', !readJson(projectSettingsPath).hooks);
+    check('Local hooks kept', Boolean(readJson(localSettingsPath).hooks));
+    check('Runtime kept after scoped uninstall', fs.existsSync(Paths.indexPath));
+
+    // Test 6: Full uninstall covers the remaining scopes
+    await new ClaudeSound().uninstall();
+    check('Local hooks removed by full uninstall', !readJson(localSettingsPath).hooks);
+    check('Runtime removed by full uninstall', !fs.existsSync(Paths.claudeGamifyDir));
+  } catch (error) {
+    console.log(`${FAILED} Install scope test failed: ${error.message}`);
+    failed++;
+  } finally {
+    process.chdir(originalCwd);
+    process.env.HOME = originalHome;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+
+  console.log(`\n📊 Install Scope Test Results: ${passed} passed, ${failed} failed`);
+  if (failed > 0) {
+    process.exit(1);
+  }
+}
+
+await testInstallScopes();
@@ -0,0 +1,127 @@
+#!/usr/bin/env node
+
+/**
+ * Test per-project configuration overrides
+ * Resolves .claude-gamify.json from a temporary project tree
+ */
+
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import { ConfigManager } from '../lib/core/config.js';
+import { ConfigUtils, ProjectConfig, Paths } from '../lib/utils.js';
+import { UpgradeManager } from '../lib/core/upgrade.js';
+
+const SUCCESS = '✅';
+const FAILED = '❌';
+
+async function testProjectConfig() {
+  console.log('🧪 Testing per-project configuration overrides...\n');
+
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-gamify-project-'));
+  const configPath = path.join(tmpDir, 'config.json');
+  const projectDir = path.join(tmpDir, 'monorepo');
+  const packageDir = path.join(projectDir, 'packages', 'api');
+  const projectConfigPath = path.join(projectDir, '.claude-gamify.json');
+  fs.mkdirSync(packageDir, { recursive: true });
+
+  const configManager = new ConfigManager(configPath);
+
+  let passed = 0;
+  let failed = 0;
+
+  function check(name, condition) {
+    if (condition) {
+      console.log(`${SUCCESS} ${name}`);
+      passed++;
+    } else {
+      console.log(`${FAILED} ${name}`);
+      failed++;
+    }
+  }
+
+  const writeProjectConfig = content => fs.writeFileSync(projectConfigPath,
+    typeof content === 'string' ? content : JSON.stringify(content));
+
+  try {
+    await configManager.initialize();
+
+    // Test 1: Without a project file everything comes from the global config
+    let effective = await configManager.getEffectiveConfig(packageDir);
+    check('No project file found', effective.projectConfigPath === null);
+    check('Values come from global config', effective.sources.sound_volume === configPath);
+
+    // Test 2: Nearest project file is found from a subdirectory and merged
+    writeProjectConfig({ theme: 'system', sound_volume: 0.2, sound_hooks: { stop: false } });
+    effective = await configManager.getEffectiveConfig(packageDir);
+
+    check('Project file found walking up', effective.projectConfigPath === projectConfigPath);
+    check('Theme overridden', effective.config.theme === 'system');
+    check('Volume overridden', effective.config.sound_volume === 0.2);
+    check('Hook toggle overridden', effective.config.sound_hooks.stop === false);
+    check('Other hook toggles kept', effective.config.sound_hooks.notification === true);
+    check('Override source recorded', effective.sources['sound_hooks.stop'] === projectConfigPath);
+    check('Global source recorded', effective.sources.sound_enabled === configPath);
+    check('Global config not modified', configManager.getConfig().sound_volume === 0.5);
+
+    // Test 3: Invalid entries are ignored with warnings
+    writeProjectConfig({ sound_volume: 5, version: '9.9.9', sound_hooks: { stop: 'no', notification: false } });
+    effective = await configManager.getEffectiveConfig(packageDir);
+
+    check('Invalid volume ignored', effective.config.sound_volume === 0.5);
+    check('Valid hook entry kept', effective.config.sound_hooks.notification === false);
+    check('Invalid hook entry ignored', effective.config.sound_hooks.stop === true);
+    check('Warnings reported', effective.warnings.length === 3);
+
+    // Test 4: Unparsable project file falls back to the global config
+    writeProjectConfig('{ not json');
+    effective = await configManager.getEffectiveConfig(packageDir);
+    check('Unparsable file ignored', effective.config.sound_volume === 0.5 && effective.warnings.length === 1);
+
+    // Test 5: Merge keeps nested objects from both sides
+    const merged = ConfigUtils.deepMerge(
+      { tool_sounds: { Bash: 'shell' }, sound_hooks: { stop: true } },
+      { tool_sounds: { Edit: 'write' } }
+    );
+    check('deepMerge merges nested keys',
+      merged.tool_sounds.Bash === 'shell' && merged.tool_sounds.Edit === 'write' && merged.sound_hooks.stop);
+
+    // Test 6: The sound runtime applies overrides with the same checks
+    writeProjectConfig({
+      sound_volume: 0.3,
+      quiet_hours: [{ from: '25:00', to: '07:00' }],
+      max_concurrent_sounds: 500,
+      sound_hooks: { stoop: false }
+    });
+    effective = await configManager.getEffectiveConfig(packageDir);
+    const runtime = ProjectConfig.loadProjectConfig(packageDir);
+    check('Invalid quiet_hours rule ignored', effective.config.quiet_hours.length === 0 &&
+      effective.warnings.some(warning => warning.startsWith('quiet_hours[0]')));
+    check('Out of range limit and unknown hook ignored', effective.config.max_concurrent_sounds === 3 &&
+      !('stoop' in effective.config.sound_hooks) && effective.warnings.length === 3);
+    check('Runtime sees the same overrides', JSON.stringify(runtime.overrides) === JSON.stringify(effective.overrides) &&
+      runtime.path === projectConfigPath);
+    const player = fs.readFileSync(path.join(Paths.templateDir, 'play_sound.js'), 'utf8');
+    check('Runtime uses the shared module', player.includes("require('./project_config.cjs')") &&
+      !player.includes('function sanitizeOverride'));
+    writeProjectConfig({ theme: '../../outside', fallback_theme: 'x/../y' });
+    const traversal = ProjectConfig.loadProjectConfig(packageDir);
+    check('Theme paths outside the themes directory ignored', !('theme' in traversal.overrides) &&
+      !('fallback_theme' in traversal.overrides) &&
+      traversal.warnings.includes('theme must be a theme name'));
+    check('Shared module deployed with the runtime',
+      UpgradeManager.runtimeFiles.some(file => file.name === 'project_config.cjs'));
+  } catch (error) {
+    console.log(`${FAILED} Project config test failed: ${error.message}`);
+    failed++;
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+
+  console.log(`\n📊 Project Config Test Results: ${passed} passed, ${failed} failed`);
+  if (failed > 0) {
+    process.exit(1);
+  }
+}
+
+await testProjectConfig();
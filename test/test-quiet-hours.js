@@ -0,0 +1,130 @@
+#!/usr/bin/env node
+
+/**
+ * Test quiet hours rules and do-not-disturb
+ * Rules are checked at fixed local times; the dnd commands run against a
+ * temporary HOME so the real installation is never touched
+ */
+
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import { ClaudeSound } from '../lib/orchestrator.js';
+import { ConfigUtils, QuietHours } from '../lib/utils.js';
+
+const SUCCESS = '✅';
+const FAILED = '❌';
+
+async function testQuietHours() {
+  console.log('🧪 Testing quiet hours and do-not-disturb...\n');
+
+  const originalHome = process.env.HOME;
+  const tmpHome = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-gamify-quiet-'));
+  process.env.HOME = tmpHome;
+
+  let passed = 0;
+  let failed = 0;
+
+  function check(name, condition) {
+    if (condition) {
+      console.log(`${SUCCESS} ${name}`);
+      passed++;
+    } else {
+      console.log(`${FAILED} ${name}`);
+      failed++;
+    }
+  }
+
+  // 2026-10-19 is a Monday; times are local
+  const at = (day, hours, minutes = 0) => new Date(2026, 9, day, hours, minutes);
+  const quietAt = (config, now) => QuietHours.getQuietState({ quiet_hours: [], ...config }, now);
+
+  try {
+    // Test 1: Daytime and weekday rules
+    const lunch = { quiet_hours: [{ days: 'weekdays', from: '12:00', to: '13:00' }] };
+    const monday = quietAt(lunch, at(19, 12, 30));
+    check('Rule applies inside its hours', monday && monday.source === 'schedule' && monday.volume === 0 &&
+      monday.until.getTime() === at(19, 13).getTime());
+    check('Rule ends at "to"', quietAt(lunch, at(19, 13)) === null);
+    check('Weekday rule skips weekends', quietAt(lunch, at(18, 12, 30)) === null);
+    check('Day lists accepted', quietAt({ quiet_hours: [{ days: ['sun'], from: '12:00', to: '13:00' }] },
+      at(18, 12, 30)) !== null);
+
+    // Test 2: Overnight and whole-day rules
+    const night = { quiet_hours: [{ days: ['fri'], from: '22:00', to: '07:00', volume: 0.2 }] };
+    check('Overnight rule runs past midnight',
+      quietAt(night, at(24, 2)) && quietAt(night, at(24, 2)).until.getTime() === at(24, 7).getTime());
+    check('Overnight rule belongs to the day it starts', quietAt(night, at(23, 2)) === null &&
+      quietAt(night, at(23, 23)).volume === 0.2);
+    const allDay = quietAt({ quiet_hours: [{ days: 'weekends', from: '00:00', to: '00:00' }] }, at(18, 15));
+    check('Equal times cover the whole day', allDay && allDay.until.getTime() === at(19, 0).getTime());
+
+    // Test 3: Do-not-disturb and the lowest volume
+    const dnd = { dnd_until: at(19, 14).toISOString(), dnd_volume: 0.5 };
+    check('Do-not-disturb applies until it ends', quietAt(dnd, at(19, 13)).source === 'dnd' &&
+      quietAt(dnd, at(19, 14)) === null);
+    check('Lowest volume wins', quietAt({ ...dnd, ...lunch }, at(19, 12, 30)).source === 'schedule' &&
+      quietAt({ ...dnd, quiet_hours: [{ from: '12:00', to: '13:00', volume: 0.8 }] }, at(19, 12, 30)).source === 'dnd');
+    check('Invalid rules ignored at runtime', quietAt({ quiet_hours: [{ from: '25:00', to: '07:00' }] }, at(19, 1)) === null);
+
+    // Test 4: Durations
+    check('Durations parsed', QuietHours.parseDuration('45m') === 45 * 60000 &&
+      QuietHours.parseDuration('1h30m') === 90 * 60000 && QuietHours.parseDuration('20') === 20 * 60000);
+    check('Bad durations rejected', ['', 'soon', '1d', 'h'].every(value => QuietHours.parseDuration(value) === null));
+    check('Durations formatted', QuietHours.formatDuration(45 * 60000) === '45m' &&
+      QuietHours.formatDuration(65 * 60000) === '1h 5m' && QuietHours.formatDuration(30 * 3600000) === '1d 6h');
+    check('Quiet state described',
+      QuietHours.describeQuietState(quietAt(night, at(24, 2)), at(24, 2)) === 'Quiet hours until 07:00 (volume 20%)');
+
+    // Test 5: Config validation
+    check('Valid quiet hours accepted', ConfigUtils.validateValue('quiet_hours', night.quiet_hours) === night.quiet_hours &&
+      ConfigUtils.validateValue('dnd_until', null) === null);
+    const rejected = [
+      ['quiet_hours', { from: '22:00', to: '07:00' }],
+      ['quiet_hours', [{ from: '22:00' }]],
+      ['quiet_hours', [{ days: 'mondays', from: '22:00', to: '07:00' }]],
+      ['quiet_hours', [{ from: '22:00', to: '07:00', volume: 2 }]],
+      ['dnd_until', 'tomorrow'],
+      ['dnd_volume', -0.5]
+    ].filter(([key, value]) => {
+      try {
+        ConfigUtils.validateValue(key, value);
+        return false;
+      } catch {
+        return true;
+      }
+    });
+    check('Invalid quiet hours rejected', rejected.length === 6);
+
+    // Test 6: The dnd command
+    await new ClaudeSound().init();
+    const manager = new ClaudeSound();
+    await manager.initialize();
+    const started = await manager.startDnd('45m', { volume: 20 });
+    check('dnd turns sounds down for the duration', started.source === 'dnd' && started.volume === 0.2 &&
+      Math.abs(started.until - Date.now() - 45 * 60000) < 5000);
+    check('dnd saved to the config', new Date(manager.configManager.get('dnd_until')) > new Date());
+    let badDuration = false;
+    try {
+      await manager.startDnd('8d');
+    } catch {
+      badDuration = true;
+    }
+    check('Overlong or invalid durations rejected', badDuration);
+    check('dnd off ends it', await manager.stopDnd() === true && manager.getQuietState({ schedule: false }) === null);
+    check('dnd off when not on reports it', await manager.stopDnd() === false);
+  } catch (error) {
+    console.log(`${FAILED} Quiet hours test failed: ${error.message}`);
+    failed++;
+  } finally {
+    process.env.HOME = originalHome;
+    fs.rmSync(tmpHome, { recursive: true, force: true });
+  }
+
+  console.log(`\n📊 Quiet Hours Test Results: ${passed} passed, ${failed} failed`);
+  if (failed > 0) {
+    process.exit(1);
+  }
+}
+
+await testQuietHours();
@@ -0,0 +1,186 @@
+#!/usr/bin/env node
+
+/**
+ * Test cooldowns, the concurrent sound limit and the shared state lock
+ * Decisions use fixed times and fake process checks; the lock is tested
+ * with real processes updating one state file. Test Sounds is checked
+ * against a runtime install with a stub audio player
+ */
+
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import { spawn } from 'child_process';
+import { SoundPlayer } from '../lib/core/player.js';
+import { UpgradeManager } from '../lib/core/upgrade.js';
+import { ConfigUtils, ConfigDefaults, RateLimit, Paths, AudioBackends } from '../lib/utils.js';
+
+const SUCCESS = '✅';
+const FAILED = '❌';
+
+async function testRateLimit() {
+  console.log('🧪 Testing rate limiting...\n');
+
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-gamify-ratelimit-'));
+
+  let passed = 0;
+  let failed = 0;
+
+  function check(name, condition) {
+    if (condition) {
+      console.log(`${SUCCESS} ${name}`);
+      passed++;
+    } else {
+      console.log(`${FAILED} ${name}`);
+      failed++;
+    }
+  }
+
+  const alive = () => true;
+  const { claimPlayback } = RateLimit;
+
+  // Run events at the given times and list what happened to each
+  function burst(limits, times, state = {}) {
+    return times.map(now => {
+      const decision = claimPlayback(state, 'PreToolUse', limits, now, alive);
+      if (decision.action === 'queue') {
+        RateLimit.recordQueued(state, 'PreToolUse', 1000 + now, decision.due);
+        return `queue@${decision.due}`;
+      }
+      return decision.action;
+    });
+  }
+
+  try {
+    // Test 1: Cooldowns per mode
+    const times = [0, 100, 200, 300, 400, 500];
+    check('Drop plays once per cooldown', burst({ cooldown: 250, mode: 'drop' }, times).join() ===
+      'play,drop,drop,play,drop,drop');
+    check('Coalesce plays one sound per burst', burst({ cooldown: 250, mode: 'coalesce' }, times).join() ===
+      'play,drop,drop,drop,drop,drop');
+    check('Coalesce plays again after a quiet gap',
+      burst({ cooldown: 250, mode: 'coalesce' }, [0, 100, 400]).join() === 'play,drop,play');
+    check('Queue spaces sounds by the cooldown and caps the queue',
+      burst({ cooldown: 250, mode: 'queue' }, times).join() === 'play,queue@250,queue@500,queue@750,drop,drop');
+    check('Events cool down separately', (() => {
+      const state = {};
+      claimPlayback(state, 'PreToolUse', { cooldown: 250 }, 0, alive);
+      return claimPlayback(state, 'Stop', { cooldown: 250 }, 10, alive).action === 'play';
+    })());
+    check('No cooldown plays every event', burst({ cooldown: 0, mode: 'drop' }, times).every(a => a === 'play'));
+
+    // Test 2: Concurrent players
+    const state = {};
+    claimPlayback(state, 'Stop', { maxConcurrent: 2 }, 0, alive);
+    RateLimit.recordPlaying(state, 11, 0);
+    RateLimit.recordPlaying(state, 12, 0);
+    check('Full player limit holds sounds back',
+      claimPlayback(state, 'Notification', { maxConcurrent: 2, mode: 'drop' }, 10, alive).action === 'drop');
+    check('Full player limit queues in queue mode',
+      claimPlayback(state, 'Notification', { maxConcurrent: 2, mode: 'queue' }, 20, alive).action === 'queue');
+    check('Finished players free their slot',
+      RateLimit.hasFreePlayer(state, 2, 30, pid => pid !== 11) &&
+      claimPlayback(state, 'SessionEnd', { maxConcurrent: 2 }, 30, pid => pid !== 11).action === 'play');
+    check('Zero means no limit', RateLimit.hasFreePlayer(state, 0, 40, alive));
+
+    // Test 3: The lock serializes updates from separate processes
+    const stateFile = path.join(tmpDir, 'state.json');
+    const script = `const r = require(${JSON.stringify(Paths.templateRateLimitModulePath)});
+      for (let i = 0; i < 20; i++) r.withStateLock(${JSON.stringify(stateFile)}, s => { s.count = (s.count || 0) + 1; });`;
+    await Promise.all([1, 2, 3].map(() => new Promise(resolve => {
+      spawn(process.execPath, ['-e', script], { stdio: 'ignore' }).on('exit', resolve);
+    })));
+    check('No update lost across processes', RateLimit.readState(stateFile).count === 60);
+    check('Lock released', !fs.existsSync(`${stateFile}.lock`));
+    fs.writeFileSync(`${stateFile}.lock`, '');
+    fs.utimesSync(`${stateFile}.lock`, new Date(0), new Date(0));
+    RateLimit.withStateLock(stateFile, s => { s.count++; });
+    check('Stale lock taken over', RateLimit.readState(stateFile).count === 61);
+
+    // Test 4: Config values
+    check('Tool hooks cool down by default', ConfigDefaults.defaultCooldowns.pre_tool_use > 0 &&
+      ConfigDefaults.defaultCooldowns.stop === 0);
+    check('Valid limits accepted', ConfigUtils.validateValue('sound_cooldowns.stop', 500) === 500 &&
+      ConfigUtils.validateValue('max_concurrent_sounds', 0) === 0 &&
+      ConfigUtils.validateValue('rate_limit_mode', 'queue') === 'queue');
+    const rejected = [
+      ['sound_cooldowns.stop', -1],
+      ['sound_cooldowns.nope', 100],
+      ['max_concurrent_sounds', 2.5],
+      ['rate_limit_mode', 'later']
+    ].filter(([key, value]) => {
+      try {
+        ConfigUtils.validateValue(key, value);
+        return false;
+      } catch {
+        return true;
+      }
+    });
+    check('Invalid limits rejected', rejected.length === 4);
+
+    // Test 5: Test Sounds ignores toggles, limits and do-not-disturb
+    const player = AudioBackends.getPlatformBackends()[0];
+    if (!player) {
+      console.log('   (no audio backend on this platform, Test Sounds check skipped)');
+    } else {
+      const gamifyDir = path.join(tmpDir, 'home', '.claude-gamify');
+      const binDir = path.join(tmpDir, 'bin');
+      const log = path.join(tmpDir, 'plays.log');
+      fs.mkdirSync(path.join(gamifyDir, 'themes', 'test'), { recursive: true });
+      fs.mkdirSync(binDir);
+      fs.writeFileSync(path.join(gamifyDir, 'themes', 'test', 'Stop.wav'), '');
+      UpgradeManager.runtimeFiles.forEach(file => fs.copyFileSync(file.src, path.join(gamifyDir, file.name)));
+      fs.writeFileSync(path.join(gamifyDir, 'config.json'), JSON.stringify({
+        theme: 'test',
+        sound_enabled: true,
+        sound_volume: 0.5,
+        sound_hooks: { stop: false },
+        sound_cooldowns: { stop: 60000 },
+        dnd_until: new Date(Date.now() + 3600000).toISOString(),
+        dnd_volume: 0
+      }));
+      fs.writeFileSync(path.join(binDir, player.name), `#!/bin/sh\necho played >> "${log}"\n`);
+      fs.chmodSync(path.join(binDir, player.name), 0o755);
+
+      // Detached players report through the log
+      const waitForPlays = async (count) => {
+        const deadline = Date.now() + 3000;
+        while (Date.now() < deadline) {
+          const plays = fs.existsSync(log) ? fs.readFileSync(log, 'utf8').trim().split('\n').length : 0;
+          if (plays >= count) return plays;
+          await new Promise(resolve => setTimeout(resolve, 50));
+        }
+        return fs.existsSync(log) ? fs.readFileSync(log, 'utf8').trim().split('\n').length : 0;
+      };
+
+      const env = { HOME: process.env.HOME, PATH: process.env.PATH };
+      process.env.HOME = path.join(tmpDir, 'home');
+      process.env.PATH = `${binDir}${path.delimiter}${process.env.PATH}`;
+      try {
+        const soundPlayer = new SoundPlayer(null, null, path.join(gamifyDir, 'play_sound.js'));
+        soundPlayer.spawnPlayer('Stop');
+        await new Promise(resolve => setTimeout(resolve, 1000));
+        check('Hook run stays quiet', !fs.existsSync(log));
+
+        await soundPlayer.testSingleForced('Stop');
+        await soundPlayer.testSingleForced('Stop');
+        check('Test Sounds plays every time anyway', await waitForPlays(2) === 2);
+      } finally {
+        process.env.HOME = env.HOME;
+        process.env.PATH = env.PATH;
+      }
+    }
+  } catch (error) {
+    console.log(`${FAILED} Rate limit test failed: ${error.message}`);
+    failed++;
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+
+  console.log(`\n📊 Rate Limit Test Results: ${passed} passed, ${failed} failed`);
+  if (failed > 0) {
+    process.exit(1);
+  }
+}
+
+await testRateLimit();
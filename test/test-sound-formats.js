@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+
+/**
+ * Test that the CLI, the runtime and theme sync agree on audio formats, and
+ * that themes with formats the installed players can't play are flagged
+ * Builds themes in a temporary directory; players are faked
+ */
+
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import { ThemeManager } from '../lib/core/themes.js';
+import { ThemeManagementDisplay } from '../lib/ui/components/theme-management-display.js';
+import { AudioBackends, Paths } from '../lib/utils.js';
+
+const SUCCESS = '✅';
+const FAILED = '❌';
+
+async function testSoundFormats() {
+  console.log('🧪 Testing sound formats...\n');
+
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-gamify-formats-'));
+  const themesDir = path.join(tmpDir, 'themes');
+  const configManager = { get: () => null, getTheme: () => 'mixed' };
+  const themeManager = new ThemeManager(themesDir, configManager);
+
+  let passed = 0;
+  let failed = 0;
+
+  function check(name, condition) {
+    if (condition) {
+      console.log(`${SUCCESS} ${name}`);
+      passed++;
+    } else {
+      console.log(`${FAILED} ${name}`);
+      failed++;
+    }
+  }
+
+  try {
+    const themeDir = path.join(themesDir, 'mixed');
+    fs.mkdirSync(themeDir, { recursive: true });
+    ['Stop.aiff', 'Notification.ogg', 'SessionStart.flac', 'SessionEnd.m4a', 'PreToolUse.mp3', 'PostToolUse.wav', 'notes.txt']
+      .forEach(file => fs.writeFileSync(path.join(themeDir, file), ''));
+
+    // Test 1: One format list everywhere
+    check('CLI uses the shared format list', ThemeManager.soundExtensions === AudioBackends.SOUND_FORMATS);
+    check('New formats supported', ['.aiff', '.ogg', '.flac', '.m4a'].every(f => AudioBackends.SOUND_FORMATS.includes(f)));
+    const runtime = fs.readFileSync(path.join(Paths.templateDir, 'play_sound.js'), 'utf8');
+    check('Runtime has no format list of its own', !/\['\.aiff'|\['\.wav'/.test(runtime));
+
+    // Test 2: Themes in any supported format show up and validate
+    const sounds = await themeManager.getThemeSoundFiles(themeDir);
+    check('Every format listed', ['Stop', 'Notification', 'SessionStart', 'SessionEnd', 'PreToolUse', 'PostToolUse']
+      .every(sound => sounds.includes(sound)) && sounds.length === 6);
+    check('Sound path found for .aiff', await themeManager.getSoundPath('mixed', 'Stop') === path.join(themeDir, 'Stop.aiff'));
+    const validation = await themeManager.validateTheme(themeDir);
+    check('Theme with new formats is valid', validation.valid &&
+      !validation.warnings.some(warning => /No sound files/.test(warning)));
+
+    // Test 3: Formats the players can play
+    const linux = (preference, ...installed) => AudioBackends.getPlayableFormats(preference, installed, 'linux');
+    check('Auto combines installed players', linux('auto', 'aplay', 'mpg123').formats.join() === '.wav,.mp3');
+    check('Forced player limits formats', linux('paplay', 'paplay', 'mpv').formats.join() === '.wav,.aiff,.ogg,.flac' &&
+      linux('paplay', 'paplay', 'mpv').players.join() === 'paplay');
+    check('Missing forced player falls back to auto', linux('mpv', 'aplay').players.join() === 'aplay');
+
+    // Test 4: Theme menu flags unplayable formats
+    const [theme] = await themeManager.list();
+    check('Unplayable formats flagged',
+      ThemeManagementDisplay.getUnplayableFormats(theme, linux('auto', 'aplay', 'mpg123')).sort().join() ===
+      '.aiff,.flac,.m4a,.ogg');
+    check('Nothing flagged when a player plays everything',
+      ThemeManagementDisplay.getUnplayableFormats(theme, linux('auto', 'mpv')).length === 0);
+    check('Nothing flagged without players', ThemeManagementDisplay.getUnplayableFormats(theme, linux('auto')).length === 0);
+  } catch (error) {
+    console.log(`${FAILED} Sound formats test failed: ${error.message}`);
+    failed++;
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+
+  console.log(`\n📊 Sound Formats Test Results: ${passed} passed, ${failed} failed`);
+  if (failed > 0) {
+    process.exit(1);
+  }
+}
+
+await testSoundFormats();
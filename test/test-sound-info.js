@@ -0,0 +1,177 @@
+#!/usr/bin/env node
+
+/**
+ * Test WAV/AIFF header parsing and the sound details and long sound warnings
+ * of theme analysis
+ * Builds small sound files and themes in a temporary directory
+ */
+
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import { ThemeManager } from '../lib/core/themes.js';
+import { ThemeManagementDisplay } from '../lib/ui/components/theme-management-display.js';
+import { AudioFile, ConfigDefaults, ConfigUtils } from '../lib/utils.js';
+
+const SUCCESS = '✅';
+const FAILED = '❌';
+
+/**
+ * Silent 16-bit PCM WAV file
+ * @param {number} seconds - Duration
+ * @param {Object} options - { sampleRate, channels, listChunk }
+ */
+function makeWav(seconds, { sampleRate = 8000, channels = 1, listChunk = 0 } = {}) {
+  const dataSize = Math.round(seconds * sampleRate) * channels * 2;
+  const header = Buffer.alloc(44 + listChunk + (listChunk ? 8 : 0));
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(header.length - 8 + dataSize, 4);
+  header.write('WAVE', 8, 'ascii');
+  header.write('fmt ', 12, 'ascii');
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);
+  header.writeUInt16LE(channels, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * channels * 2, 28);
+  header.writeUInt16LE(channels * 2, 32);
+  header.writeUInt16LE(16, 34);
+  let offset = 36;
+  if (listChunk) {
+    header.write('LIST', offset, 'ascii');
+    header.writeUInt32LE(listChunk, offset + 4);
+    offset += 8 + listChunk;
+  }
+  header.write('data', offset, 'ascii');
+  header.writeUInt32LE(dataSize, offset + 4);
+  return Buffer.concat([header, Buffer.alloc(dataSize)]);
+}
+
+/**
+ * Silent 16-bit AIFF file (sample rate as an 80-bit extended float)
+ */
+function makeAiff(seconds, { sampleRate = 44100, channels = 2 } = {}) {
+  const frames = Math.round(seconds * sampleRate);
+  const comm = Buffer.alloc(26);
+  comm.write('COMM', 0, 'ascii');
+  comm.writeUInt32BE(18, 4);
+  comm.writeUInt16BE(channels, 8);
+  comm.writeUInt32BE(frames, 10);
+  comm.writeUInt16BE(16, 14);
+  const exponent = Math.floor(Math.log2(sampleRate));
+  comm.writeUInt16BE(16383 + exponent, 16);
+  comm.writeUInt32BE(sampleRate * Math.pow(2, 31 - exponent), 18);
+
+  const ssnd = Buffer.alloc(16 + frames * channels * 2);
+  ssnd.write('SSND', 0, 'ascii');
+  ssnd.writeUInt32BE(ssnd.length - 8, 4);
+
+  const form = Buffer.alloc(12);
+  form.write('FORM', 0, 'ascii');
+  form.writeUInt32BE(4 + comm.length + ssnd.length, 4);
+  form.write('AIFF', 8, 'ascii');
+  return Buffer.concat([form, comm, ssnd]);
+}
+
+async function testSoundInfo() {
+  console.log('🧪 Testing sound info...\n');
+
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-gamify-soundinfo-'));
+  const themesDir = path.join(tmpDir, 'themes');
+  const config = {};
+  const configManager = { get: key => config[key], getTheme: () => 'long' };
+  const themeManager = new ThemeManager(themesDir, configManager);
+
+  let passed = 0;
+  let failed = 0;
+
+  function check(name, condition) {
+    if (condition) {
+      console.log(`${SUCCESS} ${name}`);
+      passed++;
+    } else {
+      console.log(`${FAILED} ${name}`);
+      failed++;
+    }
+  }
+
+  const write = (file, buffer) => {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, buffer);
+    return file;
+  };
+  const close = (a, b) => Math.abs(a - b) < 0.01;
+
+  try {
+    // Test 1: Headers read without the whole file
+    const wav = AudioFile.getAudioInfo(write(path.join(tmpDir, 'a.wav'), makeWav(2.5, { sampleRate: 22050, channels: 2 })));
+    check('WAV details read', wav.format === 'wav' && close(wav.duration, 2.5) && wav.sampleRate === 22050 &&
+      wav.channels === 2 && wav.bitsPerSample === 16 && wav.size === fs.statSync(path.join(tmpDir, 'a.wav')).size);
+    const long = AudioFile.getAudioInfo(write(path.join(tmpDir, 'b.wav'), makeWav(12, { listChunk: 1000 })));
+    check('Duration of data past the header', close(long.duration, 12));
+    const aiff = AudioFile.getAudioInfo(write(path.join(tmpDir, 'c.aiff'), makeAiff(1.5)));
+    check('AIFF details read', aiff.format === 'aiff' && close(aiff.duration, 1.5) && aiff.sampleRate === 44100 &&
+      aiff.channels === 2);
+    const mp3 = AudioFile.getAudioInfo(write(path.join(tmpDir, 'd.mp3'), Buffer.from('ID3 not parsed')));
+    check('Other formats report only the size', mp3.format === 'mp3' && mp3.duration === null && mp3.size === 14);
+    check('Missing file has no details', AudioFile.getAudioInfo(path.join(tmpDir, 'missing.wav')) === null);
+    check('Durations formatted', AudioFile.formatDuration(0.43) === '0.4s' && AudioFile.formatDuration(12.4) === '12s' &&
+      AudioFile.formatDuration(65) === '1:05');
+
+    // Test 2: Theme info lists the details of each file
+    const themeDir = path.join(themesDir, 'long');
+    write(path.join(themeDir, 'Stop.wav'), makeWav(9));
+    write(path.join(themeDir, 'Notification.aiff'), makeAiff(0.5));
+    write(path.join(themeDir, 'PreToolUse.wav'), makeWav(4));
+    write(path.join(themeDir, 'PostToolUse', 'coin.wav'), makeWav(0.3));
+    write(path.join(themeDir, 'PostToolUse', 'fanfare.aiff'), makeAiff(3));
+    write(path.join(themeDir, 'README.md'), '# Long');
+
+    const theme = await themeManager.get('long');
+    check('Details for every file', Object.keys(theme.soundDetails).length === 5 &&
+      close(theme.soundDetails['Stop.wav'].duration, 9) &&
+      close(theme.soundDetails[path.join('PostToolUse', 'fanfare.aiff')].duration, 3));
+    check('Frequent hooks from the registry',
+      ['PreToolUse', 'PostToolUse', 'PostToolUseError'].every(hook => ConfigDefaults.frequentHooks.includes(hook)) &&
+      !ConfigDefaults.frequentHooks.includes('Stop'));
+
+    // Test 3: Long sounds on tool hooks are flagged
+    const flagged = theme.longSounds.map(entry => entry.file).sort().join();
+    check('Long tool hook sounds flagged', flagged === [path.join('PostToolUse', 'fanfare.aiff'), 'PreToolUse.wav'].sort().join());
+    check('Long sounds of other hooks not flagged', !theme.longSounds.some(entry => entry.sound === 'Stop'));
+    const validation = await themeManager.validateTheme(themeDir);
+    check('Validation warns about long sounds', validation.valid &&
+      validation.warnings.some(warning => warning.startsWith('PreToolUse.wav is 4.0s long')));
+
+    config.max_frequent_sound_seconds = 5;
+    check('Limit is configurable', (await themeManager.get('long')).longSounds.length === 0);
+    config.max_frequent_sound_seconds = 0;
+    check('Limit of 0 turns warnings off', (await themeManager.validateTheme(themeDir)).warnings
+      .every(warning => !warning.includes('max_frequent_sound_seconds')));
+    check('Limit validated', ConfigUtils.validateValue('max_frequent_sound_seconds', 1.5) === 1.5 &&
+      (() => {
+        try {
+          ConfigUtils.validateValue('max_frequent_sound_seconds', -1);
+          return false;
+        } catch {
+          return true;
+        }
+      })());
+
+    // Test 4: Theme list shows the range of durations
+    check('Duration range in theme list', ThemeManagementDisplay.formatDetails(theme) === 'Long · 0.3-9.0s');
+    check('No range without known durations',
+      ThemeManagementDisplay.formatDurationRange({ soundDetails: { 'Stop.mp3': mp3 } }) === null);
+  } catch (error) {
+    console.log(`${FAILED} Sound info test failed: ${error.message}`);
+    failed++;
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+
+  console.log(`\n📊 Sound Info Test Results: ${passed} passed, ${failed} failed`);
+  if (failed > 0) {
+    process.exit(1);
+  }
+}
+
+await testSoundInfo();
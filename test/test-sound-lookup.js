@@ -10,17 +10,11 @@ import { existsSync, readFileSync } from 'fs';
 import path from 'path';
 import { homedir } from 'os';
 import { HOOK_NAMES } from '../lib/ui/constants/index.js';
+import { ConfigDefaults } from '../lib/utils.js';
 
-// Hook event mapping from play_sound.js
-const HOOK_EVENT_MAPPING = {
-  'SessionStart': 'session_start',
-  'UserPromptSubmit': 'user_prompt_submit', 
-  'PreToolUse': 'pre_tool_use',
-  'PostToolUse': 'post_tool_use',
-  'Notification': 'notification',
-  'Stop': 'stop',
-  'SubagentStop': 'subagent_stop'
-};
+// Hook event mapping and fallbacks from the shared hook registry
+const HOOK_EVENT_MAPPING = ConfigDefaults.hookEventMapping;
+const SOUND_FALLBACKS = ConfigDefaults.soundFallbacks;
 
 async function testSoundLookup() {
   console.log('🔍 Testing Sound File Lookup Logic\n');
@@ -61,6 +55,8 @@ async function testSoundLookup() {
     const soundPath = path.join(themeDir, `${hookName}.wav`);
     if (existsSync(soundPath)) {
       console.log(`   ✅ ${hookName}.wav exists`);
+    } else if (SOUND_FALLBACKS[hookName]) {
+      console.log(`   ⚪ ${hookName}.wav not provided, falls back to ${SOUND_FALLBACKS[hookName]}`);
     } else {
       console.log(`   ❌ ${hookName}.wav missing!`);
       fileErrors++;
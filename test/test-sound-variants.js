@@ -0,0 +1,137 @@
+#!/usr/bin/env node
+
+/**
+ * Test sound variants (several files per event) and the strategies that
+ * pick among them
+ * Builds themes in a temporary directory
+ */
+
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import { ThemeManager } from '../lib/core/themes.js';
+import { ConfigUtils, ThemeManifest } from '../lib/utils.js';
+
+const SUCCESS = '✅';
+const FAILED = '❌';
+
+async function testSoundVariants() {
+  console.log('🧪 Testing sound variants...\n');
+
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-gamify-variants-'));
+  const themesDir = path.join(tmpDir, 'themes');
+  const config = { fallback_theme: null };
+  const configManager = { get: key => config[key], getTheme: () => 'arcade' };
+  const themeManager = new ThemeManager(themesDir, configManager);
+
+  let passed = 0;
+  let failed = 0;
+
+  function check(name, condition) {
+    if (condition) {
+      console.log(`${SUCCESS} ${name}`);
+      passed++;
+    } else {
+      console.log(`${FAILED} ${name}`);
+      failed++;
+    }
+  }
+
+  function writeTheme(name, files) {
+    for (const [file, content] of Object.entries(files)) {
+      const filePath = path.join(themesDir, name, file);
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, typeof content === 'string' ? content : JSON.stringify(content));
+    }
+  }
+
+  // Deterministic stand-in for Math.random
+  const sequence = values => {
+    let i = 0;
+    return () => values[i++ % values.length];
+  };
+
+  const { pickVariant } = ThemeManifest;
+
+  try {
+    writeTheme('arcade', {
+      'theme.json': { sounds: { Notification: ['ping-a.wav', 'ping-b.wav'] }, weights: { 'Stop.2.wav': 3 } },
+      'Stop.wav': '',
+      'Stop.10.wav': '',
+      'Stop.2.wav': '',
+      'Stop/zz.mp3': '',
+      'Stop/aa.wav': '',
+      'Stop/notes.txt': '',
+      'ping-a.wav': '',
+      'ping-b.wav': '',
+      'PreToolUse.Bash.wav': '',
+      'PreToolUse.Bash.1.wav': '',
+      'sfx/SessionStart.wav': ''
+    });
+    const themeDir = path.join(themesDir, 'arcade');
+
+    // Test 1: Variants are found by number, folder and manifest list
+    const variants = await themeManager.getThemeSoundVariants(themeDir);
+    check('Plain, numbered then folder files in order', JSON.stringify(variants.Stop) ===
+      JSON.stringify(['Stop.wav', 'Stop.2.wav', 'Stop.10.wav', path.join('Stop', 'aa.wav'), path.join('Stop', 'zz.mp3')]));
+    check('Manifest list used as variants', JSON.stringify(variants.Notification) === '["ping-a.wav","ping-b.wav"]');
+    check('Tool variants can have variants too', variants['PreToolUse.Bash'].length === 2);
+    check('Lowercase folders are not sounds', !Object.keys(variants).some(name => name.startsWith('sfx')));
+
+    // Test 2: Numbered files are not mistaken for tool variants
+    const soundFiles = await themeManager.getThemeSoundFiles(themeDir);
+    check('Each sound listed once', soundFiles.filter(name => name.startsWith('Stop')).join() === 'Stop');
+    check('Numbers are not tools',
+      JSON.stringify(await themeManager.getToolVariants('arcade', 'PreToolUse')) === '["Bash"]');
+
+    // Test 3: Lookup returns every variant and the first as the sound path
+    const stopFiles = await themeManager.getSoundVariants('arcade', 'Stop');
+    check('All variant files returned', stopFiles.length === 5 && stopFiles.every(file => path.isAbsolute(file)));
+    check('First variant is the sound path',
+      await themeManager.getSoundPath('arcade', 'Stop') === path.join(themeDir, 'Stop.wav'));
+
+    // Test 4: Strategies
+    const pool = [{ file: 'a', weight: 1 }, { file: 'b', weight: 3 }, { file: 'c', weight: 1 }];
+    check('Round-robin continues after the last file',
+      pickVariant(pool, 'round-robin', 'a').file === 'b' && pickVariant(pool, 'round-robin', 'c').file === 'a');
+    check('Round-robin starts at the first file', pickVariant(pool, 'round-robin', null).file === 'a');
+    check('Random ignores weights', pickVariant(pool, 'random', null, sequence([0.5])).file === 'b' &&
+      pickVariant(pool, 'random', null, sequence([0.9])).file === 'c');
+    check('Weighted uses weights', pickVariant(pool, 'weighted', null, sequence([0.7])).file === 'b' &&
+      pickVariant(pool, 'weighted', null, sequence([0.1])).file === 'a');
+    const picks = [0, 0.3, 0.6, 0.99].map(value => pickVariant(pool, 'no-repeat', 'b', sequence([value])).file);
+    check('No-repeat never repeats the last file', !picks.includes('b'));
+    check('Manifest weights applied', ThemeManifest.listSoundVariants(themeDir,
+      ThemeManifest.loadThemeManifest(themeDir).manifest, ['.wav']).Stop[1].weight === 3);
+
+    // Test 5: Manifest and config validation
+    const { manifest, errors } = ThemeManifest.normalizeManifest({ variant_strategy: 'shuffle', weights: { 'a.wav': 0 } });
+    check('Unknown strategy and bad weights rejected', errors.length === 2 && manifest.variantStrategy === null);
+    writeTheme('arcade', { 'theme.json': { weights: { 'gone.wav': 2 } } });
+    const validation = await themeManager.validateTheme(themeDir);
+    check('Weights for missing files warned about', validation.valid &&
+      validation.warnings.some(warning => /gone\.wav/.test(warning)));
+    check('variant_strategy accepts strategies',
+      ConfigUtils.validateValue('variant_strategy', 'no-repeat') === 'no-repeat' &&
+      ConfigUtils.validateValue('variant_strategy', null) === null);
+    let rejected = false;
+    try {
+      ConfigUtils.validateValue('variant_strategy', 'shuffle');
+    } catch {
+      rejected = true;
+    }
+    check('variant_strategy rejects unknown strategies', rejected);
+  } catch (error) {
+    console.log(`${FAILED} Sound variants test failed: ${error.message}`);
+    failed++;
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+
+  console.log(`\n📊 Sound Variants Test Results: ${passed} passed, ${failed} failed`);
+  if (failed > 0) {
+    process.exit(1);
+  }
+}
+
+await testSoundVariants();
@@ -0,0 +1,88 @@
+#!/usr/bin/env node
+
+/**
+ * Test that the theme commands only touch themes inside the themes directory
+ * Runs the CLI against a temporary HOME so real themes are never touched
+ */
+
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import { spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
+
+const SUCCESS = '✅';
+const FAILED = '❌';
+
+const cliPath = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'bin', 'cli.js');
+
+async function testThemeCommands() {
+  console.log('🧪 Testing theme commands...\n');
+
+  const tmpHome = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-gamify-themecmd-'));
+  const themesDir = path.join(tmpHome, '.claude-gamify', 'themes');
+
+  let passed = 0;
+  let failed = 0;
+
+  function check(name, condition) {
+    if (condition) {
+      console.log(`${SUCCESS} ${name}`);
+      passed++;
+    } else {
+      console.log(`${FAILED} ${name}`);
+      failed++;
+    }
+  }
+
+  // Run the CLI without a terminal
+  const cli = (...args) => spawnSync(process.execPath, [cliPath, ...args], {
+    env: { ...process.env, HOME: tmpHome, USERPROFILE: tmpHome },
+    encoding: 'utf8',
+    input: '',
+    timeout: 30000
+  });
+
+  try {
+    cli('init');
+    check('Installed into the temporary HOME', fs.existsSync(path.join(themesDir, 'zelda')));
+
+    // Test 1: Names that leave the themes directory are refused
+    const victim = path.join(tmpHome, 'victim');
+    fs.mkdirSync(victim);
+    fs.writeFileSync(path.join(victim, 'keep.txt'), 'keep');
+    const traversal = cli('theme', 'remove', '../../victim', '-y');
+    check('Traversal in theme remove refused', traversal.status !== 0 && /Invalid theme name/.test(traversal.stderr));
+    check('Directory outside the themes dir kept', fs.existsSync(path.join(victim, 'keep.txt')));
+    check('Themes directory itself kept', cli('theme', 'remove', '..', '-y').status !== 0 && fs.existsSync(themesDir));
+
+    const info = cli('theme', 'info', '..', '--json');
+    check('theme info .. is not a theme', info.status !== 0 && /not found/.test(info.stderr));
+    check('theme info with a path is not a theme', cli('theme', 'info', 'zelda/../zelda').status !== 0);
+
+    // Test 2: Built-in themes are protected
+    const builtIn = cli('theme', 'remove', 'zelda', '-y');
+    check('Built-in theme not removed', builtIn.status !== 0 && /built-in/.test(builtIn.stderr) &&
+      fs.existsSync(path.join(themesDir, 'zelda')));
+    check('System theme not removed', cli('theme', 'remove', 'system', '-y').status !== 0 &&
+      fs.existsSync(path.join(themesDir, 'system')));
+
+    // Test 3: Custom themes are still removed
+    fs.mkdirSync(path.join(themesDir, 'custom'));
+    fs.writeFileSync(path.join(themesDir, 'custom', 'Stop.wav'), '');
+    const removed = cli('theme', 'remove', 'custom', '-y', '--json');
+    check('Custom theme removed', removed.status === 0 && !fs.existsSync(path.join(themesDir, 'custom')));
+  } catch (error) {
+    console.log(`${FAILED} Theme commands test failed: ${error.message}`);
+    failed++;
+  } finally {
+    fs.rmSync(tmpHome, { recursive: true, force: true });
+  }
+
+  console.log(`\n📊 Theme Commands Test Results: ${passed} passed, ${failed} failed`);
+  if (failed > 0) {
+    process.exit(1);
+  }
+}
+
+await testThemeCommands();
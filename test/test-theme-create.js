@@ -0,0 +1,142 @@
+#!/usr/bin/env node
+
+/**
+ * Test creating themes from a base theme and picked sound files
+ * Runs against a temporary HOME so real themes are never touched
+ */
+
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import { ClaudeSound } from '../lib/orchestrator.js';
+import { Paths } from '../lib/utils.js';
+
+const SUCCESS = '✅';
+const FAILED = '❌';
+
+async function testThemeCreate() {
+  console.log('🧪 Testing theme creation...\n');
+
+  const originalHome = process.env.HOME;
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-gamify-create-'));
+  const homeDir = path.join(tmpDir, 'home');
+  const pickedFile = path.join(tmpDir, 'victory.mp3');
+  fs.mkdirSync(homeDir);
+  fs.writeFileSync(pickedFile, 'victory');
+  process.env.HOME = homeDir;
+
+  let passed = 0;
+  let failed = 0;
+
+  function check(name, condition) {
+    if (condition) {
+      console.log(`${SUCCESS} ${name}`);
+      passed++;
+    } else {
+      console.log(`${FAILED} ${name}`);
+      failed++;
+    }
+  }
+
+  async function rejects(promise, pattern) {
+    try {
+      await promise;
+      return false;
+    } catch (error) {
+      return pattern.test(error.message);
+    }
+  }
+
+  try {
+    await new ClaudeSound().init();
+    const manager = new ClaudeSound();
+    await manager.initialize();
+
+    // Test 1: Picked files replace base sounds and are mapped in theme.json
+    const result = await manager.createTheme({
+      name: 'hyrule-remix',
+      base: 'zelda',
+      sounds: { Stop: pickedFile, Notification: null },
+      description: 'Zelda with a victory jingle'
+    });
+    const themeDir = path.join(Paths.themesDir, 'hyrule-remix');
+    const manifest = JSON.parse(fs.readFileSync(path.join(themeDir, 'theme.json'), 'utf8'));
+
+    check('Picked file copied under the hook name',
+      fs.readFileSync(path.join(themeDir, 'Stop.mp3'), 'utf8') === 'victory');
+    check('Base sound for the hook removed', !fs.existsSync(path.join(themeDir, 'Stop.wav')));
+    check('Picked file mapped in manifest', manifest.sounds.Stop === 'Stop.mp3');
+    check('Manifest describes the new theme', manifest.name === 'hyrule-remix' &&
+      manifest.version === '1.0.0' && manifest.description === 'Zelda with a victory jingle' && !manifest.author);
+    check('Removed sound not listed', !result.soundFiles.includes('Notification'));
+    check('Untouched base sounds kept', result.soundFiles.includes('SessionStart'));
+    check('Lookup uses the picked file', await manager.themeManager.getSoundPath('hyrule-remix', 'Stop') ===
+      path.join(themeDir, 'Stop.mp3'));
+
+    // Test 2: The base output style is cloned and installed
+    check('Output style cloned', result.hasOutputStyle &&
+      fs.readFileSync(result.outputStylePath, 'utf8') ===
+      fs.readFileSync(path.join(Paths.themesDir, 'zelda', 'output-style.md'), 'utf8'));
+    check('Output style installed', fs.existsSync(path.join(Paths.claudeOutputStylesDir, 'hyrule-remix.md')));
+    check('New theme is valid', (await manager.themeManager.validateTheme(themeDir)).valid);
+
+    // Test 3: The style can be left out
+    const plain = await manager.createTheme({ name: 'quiet', base: 'zelda', cloneStyle: false });
+    check('No output style without cloning', !plain.hasOutputStyle &&
+      !fs.existsSync(path.join(Paths.claudeOutputStylesDir, 'quiet.md')));
+
+    // Test 4: Bad input is refused without leaving a theme behind
+    check('Taken name refused',
+      await rejects(manager.createTheme({ name: 'zelda', base: 'system' }), /already exists/));
+    check('Invalid name refused',
+      await rejects(manager.createTheme({ name: '../evil', base: 'system' }), /Use letters/));
+    check('Unsupported file refused', await rejects(
+      manager.createTheme({ name: 'odd', base: 'system', sounds: { Stop: path.join(tmpDir, 'notes.txt') } }),
+      /unsupported sound file/));
+    check('Missing picked file refused', await rejects(
+      manager.createTheme({ name: 'ghost', base: 'system', sounds: { Stop: path.join(tmpDir, 'missing.wav') } }),
+      /ENOENT/));
+    check('Failed themes not created', !fs.existsSync(path.join(Paths.themesDir, 'odd')) &&
+      !fs.existsSync(path.join(Paths.themesDir, 'ghost')));
+
+    // Test 5: Every variant of a replaced or removed base sound is dropped
+    const layeredDir = path.join(Paths.themesDir, 'layered');
+    fs.mkdirSync(path.join(layeredDir, 'Stop'), { recursive: true });
+    fs.mkdirSync(path.join(layeredDir, 'intro'));
+    ['Stop.wav', 'Stop.2.wav', path.join('Stop', 'extra.wav'), 'Notification.wav', 'Notification.3.wav',
+      'PreToolUse.wav', 'PreToolUse.Bash.wav', path.join('intro', 'a.wav'), path.join('intro', 'b.wav'), 'UserPromptSubmit.wav']
+      .forEach(file => fs.writeFileSync(path.join(layeredDir, file), 'base'));
+    fs.writeFileSync(path.join(layeredDir, 'theme.json'), JSON.stringify({
+      sounds: { SessionStart: ['intro/a.wav', 'intro/b.wav'], UserPromptSubmit: 'intro/b.wav' },
+      weights: { 'Stop.2.wav': 3 }
+    }));
+    await manager.createTheme({
+      name: 'relayered',
+      base: 'layered',
+      sounds: { Stop: pickedFile, Notification: null, PreToolUse: null, SessionStart: null }
+    });
+    const relayeredDir = path.join(Paths.themesDir, 'relayered');
+    const variants = await manager.themeManager.getThemeSoundVariants(relayeredDir);
+    const relayeredManifest = JSON.parse(fs.readFileSync(path.join(relayeredDir, 'theme.json'), 'utf8'));
+    check('Numbered and folder variants of a replaced sound dropped', variants.Stop.join() === 'Stop.mp3' &&
+      !fs.existsSync(path.join(relayeredDir, 'Stop.2.wav')) && !fs.existsSync(path.join(relayeredDir, 'Stop')));
+    check('Weights of dropped files removed', !relayeredManifest.weights['Stop.2.wav']);
+    check('Variants of a removed sound dropped', !variants.Notification && !variants.SessionStart &&
+      !fs.existsSync(path.join(relayeredDir, 'intro', 'a.wav')));
+    check('Tool variants and files other sounds play kept', variants['PreToolUse.Bash'] && !variants.PreToolUse &&
+      variants.UserPromptSubmit.join() === path.join('intro', 'b.wav'));
+  } catch (error) {
+    console.log(`${FAILED} Theme create test failed: ${error.message}`);
+    failed++;
+  } finally {
+    process.env.HOME = originalHome;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+
+  console.log(`\n📊 Theme Create Test Results: ${passed} passed, ${failed} failed`);
+  if (failed > 0) {
+    process.exit(1);
+  }
+}
+
+await testThemeCreate();
@@ -0,0 +1,148 @@
+#!/usr/bin/env node
+
+/**
+ * Test theme inheritance ("extends") and the fallback theme
+ * Builds themes in a temporary directory and checks lookup, listing and
+ * output style layering
+ */
+
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import { ThemeManager } from '../lib/core/themes.js';
+import { StyleManager } from '../lib/core/styles.js';
+import { ConfigUtils } from '../lib/utils.js';
+
+const SUCCESS = '✅';
+const FAILED = '❌';
+
+async function testThemeInheritance() {
+  console.log('🧪 Testing theme inheritance...\n');
+
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-gamify-inherit-'));
+  const themesDir = path.join(tmpDir, 'themes');
+  const stylesDir = path.join(tmpDir, 'output-styles');
+  fs.mkdirSync(stylesDir);
+
+  const config = { fallback_theme: 'base' };
+  const configManager = { get: key => config[key], getTheme: () => 'child' };
+  const themeManager = new ThemeManager(themesDir, configManager);
+  const styleManager = new StyleManager(path.join(tmpDir, 'settings.json'), stylesDir);
+
+  let passed = 0;
+  let failed = 0;
+
+  function check(name, condition) {
+    if (condition) {
+      console.log(`${SUCCESS} ${name}`);
+      passed++;
+    } else {
+      console.log(`${FAILED} ${name}`);
+      failed++;
+    }
+  }
+
+  function writeTheme(name, files) {
+    for (const [file, content] of Object.entries(files)) {
+      const filePath = path.join(themesDir, name, file);
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, typeof content === 'string' ? content : JSON.stringify(content));
+    }
+  }
+
+  const soundPath = (theme, file) => path.join(themesDir, theme, file);
+
+  try {
+    writeTheme('base', { 'SessionEnd.wav': '' });
+    writeTheme('parent', {
+      'Stop.wav': '',
+      'Notification.wav': '',
+      'PreToolUse.Bash.wav': '',
+      'PostToolUse.Bash.wav': '',
+      'PostToolUse.wav': '',
+      'output-style.md': '---\ndescription: Parent\nname: Parent\n---\n\n# Parent intro\n\n## Rules\n\nParent rules.\n\n## Tone\n\nParent tone.\n'
+    });
+    writeTheme('child', {
+      'theme.json': { extends: 'parent' },
+      'Stop.mp3': '',
+      'PreToolUse.wav': '',
+      'output-style.md': '---\ndescription: Child\n---\n\n## Tone\n\nChild tone.\n\n## Extra\n\nChild extra.\n'
+    });
+    writeTheme('loop-a', { 'theme.json': { extends: 'loop-b' } });
+    writeTheme('loop-b', { 'theme.json': { extends: 'loop-a' } });
+
+    // Test 1: The chain is the theme, its parents, then the fallback theme
+    check('Chain follows extends then fallback',
+      themeManager.getThemeChain('child').map(theme => theme.name).join(',') === 'child,parent,base');
+    check('Extends cycles end the chain',
+      themeManager.getThemeChain('loop-a').map(theme => theme.name).join(',') === 'loop-a,loop-b,base');
+
+    // Test 2: Sounds come from the nearest theme that has them
+    check('Own sound wins', await themeManager.getSoundPath('child', 'Stop') === soundPath('child', 'Stop.mp3'));
+    check('Missing sound inherited from parent',
+      await themeManager.getSoundPath('child', 'Notification') === soundPath('parent', 'Notification.wav'));
+    check('Fallback theme used last',
+      await themeManager.getSoundPath('child', 'SessionEnd') === soundPath('base', 'SessionEnd.wav'));
+    check('Own hook sound beats parent tool variant',
+      await themeManager.getSoundPath('child', 'PreToolUse', 'Bash') === soundPath('child', 'PreToolUse.wav'));
+    check('Parent tool variant used when theme lacks the hook',
+      await themeManager.getSoundPath('child', 'PostToolUse', 'Bash') === soundPath('parent', 'PostToolUse.Bash.wav'));
+    check('Only reachable tool variants listed',
+      JSON.stringify(await themeManager.getToolVariants('child', 'PreToolUse')) === '[]' &&
+      JSON.stringify(await themeManager.getToolVariants('child', 'PostToolUse')) === '["Bash"]');
+
+    // Test 3: Theme info shows provided and inherited events
+    const child = await themeManager.get('child');
+    check('Extends reported', child.extends === 'parent');
+    check('Own events attributed to the theme', child.soundSources.Stop === 'child');
+    check('Inherited events attributed to their theme',
+      child.soundSources.Notification === 'parent' && child.soundSources.SessionEnd === 'base');
+    check('Inherited events listed', child.inheritedSounds.includes('Notification') &&
+      !child.inheritedSounds.includes('Stop'));
+    check('Events no theme has left out', child.soundSources.SubagentStop === null &&
+      !child.inheritedSounds.includes('SubagentStop'));
+
+    // Test 4: Without a fallback theme only extends is followed
+    config.fallback_theme = null;
+    check('No fallback when unset', await themeManager.getSoundPath('child', 'SessionEnd') === null);
+
+    // Test 5: Validation warns about a missing parent
+    writeTheme('orphan', { 'theme.json': { extends: 'gone' } });
+    const validation = await themeManager.validateTheme(path.join(themesDir, 'orphan'));
+    check('Missing parent is a warning', validation.valid && validation.warnings.some(w => /gone/.test(w)));
+    check('Sound-less child not warned about sounds', !validation.warnings.some(w => /No sound files/.test(w)));
+
+    // Test 6: Output styles are layered section by section
+    await styleManager.installThemeStyle(themesDir, 'child');
+    const style = fs.readFileSync(path.join(stylesDir, 'child.md'), 'utf8');
+    check('Frontmatter fields overridden and kept',
+      style.includes('description: Child') && style.includes('name: Parent') && !style.includes('description: Parent'));
+    check('Parent preamble kept', style.includes('# Parent intro'));
+    check('Matching section replaced', style.includes('Child tone.') && !style.includes('Parent tone.'));
+    check('Other sections kept in order, new ones appended',
+      style.indexOf('## Rules') < style.indexOf('## Tone') && style.indexOf('## Tone') < style.indexOf('## Extra'));
+    check('Inherited style reported', child.outputStyleInherited && child.hasOutputStyle);
+
+    // Test 7: fallback_theme accepts theme names or null
+    check('fallback_theme accepts null', ConfigUtils.validateValue('fallback_theme', null) === null);
+    let rejected = false;
+    try {
+      ConfigUtils.validateValue('fallback_theme', '../escape');
+    } catch {
+      rejected = true;
+    }
+    check('fallback_theme rejects paths', rejected);
+  } catch (error) {
+    console.log(`${FAILED} Theme inheritance test failed: ${error.message}`);
+    failed++;
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+
+  console.log(`\n📊 Theme Inheritance Test Results: ${passed} passed, ${failed} failed`);
+  if (failed > 0) {
+    process.exit(1);
+  }
+}
+
+await testThemeInheritance();
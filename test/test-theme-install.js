@@ -0,0 +1,228 @@
+#!/usr/bin/env node
+
+/**
+ * Test installing themes from directories and archives
+ * Runs against a temporary HOME so real themes are never touched
+ */
+
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import zlib from 'zlib';
+import { ClaudeSound } from '../lib/orchestrator.js';
+import { Paths } from '../lib/utils.js';
+
+const SUCCESS = '✅';
+const FAILED = '❌';
+
+/**
+ * Build a gzipped ustar archive from { name: content } entries
+ */
+function createTarGz(files) {
+  const blocks = [];
+  for (const [name, content] of Object.entries(files)) {
+    const data = Buffer.from(content);
+    const header = Buffer.alloc(512);
+    header.write(name, 0);
+    header.write('0000644\0', 100);
+    header.write('0000000\0', 108);
+    header.write('0000000\0', 116);
+    header.write(data.length.toString(8).padStart(11, '0') + '\0', 124);
+    header.write('00000000000\0', 136);
+    header.write('        ', 148);
+    header.write('0', 156);
+    header.write('ustar\0' + '00', 257);
+    const checksum = header.reduce((sum, byte) => sum + byte, 0);
+    header.write(checksum.toString(8).padStart(6, '0') + '\0 ', 148);
+    blocks.push(header, data, Buffer.alloc((512 - (data.length % 512)) % 512));
+  }
+  blocks.push(Buffer.alloc(1024));
+  return zlib.gzipSync(Buffer.concat(blocks));
+}
+
+/**
+ * Build a zip archive with stored (uncompressed) entries
+ * @param {Object} options - { deflate: compress entries, declaredSize:
+ *   uncompressed size to record instead of the real one }
+ */
+function createZip(files, { deflate = false, declaredSize = null } = {}) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  for (const [name, content] of Object.entries(files)) {
+    const data = deflate ? zlib.deflateRawSync(Buffer.from(content)) : Buffer.from(content);
+    const size = declaredSize === null ? Buffer.from(content).length : declaredSize;
+    const nameBuffer = Buffer.from(name);
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(deflate ? 8 : 0, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(size, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(deflate ? 8 : 0, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(size, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+    locals.push(local, nameBuffer, data);
+    centrals.push(central, nameBuffer);
+    offset += local.length + nameBuffer.length + data.length;
+  }
+  const centralDir = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Object.keys(files).length, 8);
+  end.writeUInt16LE(Object.keys(files).length, 10);
+  end.writeUInt32LE(centralDir.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, centralDir, end]);
+}
+
+async function testThemeInstall() {
+  console.log('🧪 Testing theme install...\n');
+
+  const originalHome = process.env.HOME;
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-gamify-install-'));
+  const homeDir = path.join(tmpDir, 'home');
+  const sourceDir = path.join(tmpDir, 'src');
+  fs.mkdirSync(homeDir);
+  process.env.HOME = homeDir;
+
+  let passed = 0;
+  let failed = 0;
+
+  function check(name, condition) {
+    if (condition) {
+      console.log(`${SUCCESS} ${name}`);
+      passed++;
+    } else {
+      console.log(`${FAILED} ${name}`);
+      failed++;
+    }
+  }
+
+  async function rejects(promise, pattern) {
+    try {
+      await promise;
+      return false;
+    } catch (error) {
+      return pattern.test(error.message);
+    }
+  }
+
+  const themeFiles = {
+    'README.md': '# Arcade',
+    'Stop.wav': 'stop',
+    'output-style.md': '# Arcade style'
+  };
+
+  try {
+    await new ClaudeSound().init();
+    const manager = new ClaudeSound();
+    await manager.initialize();
+
+    // Test 1: Directory install copies files and the output style
+    for (const [file, content] of Object.entries(themeFiles)) {
+      fs.mkdirSync(path.join(sourceDir, 'arcade'), { recursive: true });
+      fs.writeFileSync(path.join(sourceDir, 'arcade', file), content);
+    }
+    const result = await manager.installTheme(path.join(sourceDir, 'arcade'));
+    check('Directory installed under its name', result.name === 'arcade' &&
+      fs.existsSync(path.join(Paths.themesDir, 'arcade', 'Stop.wav')));
+    check('Output style installed', fs.existsSync(path.join(Paths.claudeOutputStylesDir, 'arcade.md')));
+    check('Sounds reported', JSON.stringify(result.soundFiles) === '["Stop"]');
+
+    // Test 2: Collisions need a new name or overwrite
+    let collision = null;
+    try {
+      await manager.installTheme(path.join(sourceDir, 'arcade'));
+    } catch (error) {
+      collision = error;
+    }
+    check('Collision reported', collision && collision.code === 'THEME_EXISTS' && collision.themeName === 'arcade');
+    check('Rename installs a copy',
+      (await manager.installTheme(path.join(sourceDir, 'arcade'), { name: 'arcade2' })).name === 'arcade2');
+    check('Overwrite replaces the theme',
+      (await manager.installTheme(path.join(sourceDir, 'arcade'), { overwrite: true })).overwritten);
+
+    // Test 3: Archives with a top-level directory install that directory
+    const tgzPath = path.join(sourceDir, 'pack.tgz');
+    fs.writeFileSync(tgzPath, createTarGz(Object.fromEntries(
+      Object.entries(themeFiles).map(([file, content]) => [`chiptune/${file}`, content])
+    )));
+    check('.tgz installed under its directory name', (await manager.installTheme(tgzPath)).name === 'chiptune');
+
+    // Test 4: Flat archives use the archive name
+    const zipPath = path.join(sourceDir, 'bleeps.zip');
+    fs.writeFileSync(zipPath, createZip(themeFiles));
+    check('.zip installed under its file name', (await manager.installTheme(zipPath)).name === 'bleeps' &&
+      fs.readFileSync(path.join(Paths.themesDir, 'bleeps', 'Stop.wav'), 'utf8') === 'stop');
+
+    // Test 5: Unsafe and invalid themes are rejected
+    const evilPath = path.join(sourceDir, 'evil.tgz');
+    fs.writeFileSync(evilPath, createTarGz({ 'Stop.wav': 'x', '../escaped.txt': 'x' }));
+    check('Path traversal rejected', await rejects(manager.installTheme(evilPath), /Unsafe path/));
+    check('Nothing written outside', !fs.existsSync(path.join(os.tmpdir(), 'escaped.txt')));
+
+    const brokenPath = path.join(sourceDir, 'broken.zip');
+    fs.writeFileSync(brokenPath, createZip({ 'theme.json': '{ not json', 'Stop.wav': 'x' }));
+    check('Invalid theme rejected', await rejects(manager.installTheme(brokenPath), /Invalid theme/));
+    check('Invalid theme not installed', !fs.existsSync(path.join(Paths.themesDir, 'broken')));
+    check('Unsupported format rejected',
+      await rejects(manager.installTheme(path.join(sourceDir, 'arcade', 'README.md')), /Unsupported archive/));
+
+    // Two entries of 101 MB each claiming 1 byte: each fits the cap alone,
+    // together they exceed it
+    const bombPath = path.join(sourceDir, 'bomb.zip');
+    const filler = Buffer.alloc(101 * 1024 * 1024);
+    fs.writeFileSync(bombPath, createZip({ 'Stop.wav': filler, 'Notification.wav': filler },
+      { deflate: true, declaredSize: 1 }));
+    check('Understated sizes rejected', await rejects(manager.installTheme(bombPath), /too large/));
+    check('Oversized theme not installed', !fs.existsSync(path.join(Paths.themesDir, 'bomb')));
+    const deflatedPath = path.join(sourceDir, 'squeezed.zip');
+    fs.writeFileSync(deflatedPath, createZip(themeFiles, { deflate: true }));
+    check('Deflated entries extracted', (await manager.installTheme(deflatedPath)).name === 'squeezed' &&
+      fs.readFileSync(path.join(Paths.themesDir, 'squeezed', 'Stop.wav'), 'utf8') === 'stop');
+
+    // Test 6: Entries naming the archive root are skipped
+    const rootTgzPath = path.join(sourceDir, 'rooted.tgz');
+    fs.writeFileSync(rootTgzPath, createTarGz({ './': '', 'Stop.wav': 'stop', 'README.md': '# Rooted' }));
+    check('"./" entry in a .tgz skipped', (await manager.installTheme(rootTgzPath)).name === 'rooted');
+    const rootZipPath = path.join(sourceDir, 'dotted.zip');
+    fs.writeFileSync(rootZipPath, createZip({ '.': '', 'Stop.wav': 'stop' }));
+    check('"." entry in a .zip skipped', (await manager.installTheme(rootZipPath)).name === 'dotted');
+
+    // Test 7: Built-in themes are never replaced
+    const zeldaStop = fs.readFileSync(path.join(Paths.themesDir, 'zelda', 'Stop.wav'));
+    const zeldaPath = path.join(sourceDir, 'zelda.zip');
+    fs.writeFileSync(zeldaPath, createZip(themeFiles));
+    let builtIn = null;
+    try {
+      await manager.installTheme(zeldaPath);
+    } catch (error) {
+      builtIn = error;
+    }
+    check('Built-in name reported as a collision', builtIn && builtIn.code === 'THEME_EXISTS' && builtIn.builtIn);
+    check('Overwrite refused for built-in themes',
+      await rejects(manager.installTheme(zeldaPath, { overwrite: true }), /built-in theme/) &&
+      fs.readFileSync(path.join(Paths.themesDir, 'zelda', 'Stop.wav')).equals(zeldaStop));
+    check('Built-in names not offered for renames',
+      typeof await manager.themeManager.validateNewName('system') === 'string' &&
+      (await manager.installTheme(zeldaPath, { name: 'zelda-copy' })).name === 'zelda-copy');
+  } catch (error) {
+    console.log(`${FAILED} Theme install test failed: ${error.message}`);
+    failed++;
+  } finally {
+    process.env.HOME = originalHome;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+
+  console.log(`\n📊 Theme Install Test Results: ${passed} passed, ${failed} failed`);
+  if (failed > 0) {
+    process.exit(1);
+  }
+}
+
+await testThemeInstall();
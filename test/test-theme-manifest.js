@@ -0,0 +1,130 @@
+#!/usr/bin/env node
+
+/**
+ * Test theme.json manifests
+ * Builds themes in a temporary directory and checks listing, lookup and validation
+ */
+
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import { ThemeManager } from '../lib/core/themes.js';
+import { ThemeManifest } from '../lib/utils.js';
+
+const SUCCESS = '✅';
+const FAILED = '❌';
+
+async function testThemeManifest() {
+  console.log('🧪 Testing theme manifests...\n');
+
+  const themesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-gamify-manifest-'));
+  const configManager = { get: () => ({}), getTheme: () => 'packed' };
+  const themeManager = new ThemeManager(themesDir, configManager);
+
+  let passed = 0;
+  let failed = 0;
+
+  function check(name, condition) {
+    if (condition) {
+      console.log(`${SUCCESS} ${name}`);
+      passed++;
+    } else {
+      console.log(`${FAILED} ${name}`);
+      failed++;
+    }
+  }
+
+  function writeTheme(name, files) {
+    for (const [file, content] of Object.entries(files)) {
+      const filePath = path.join(themesDir, name, file);
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, typeof content === 'string' ? content : JSON.stringify(content));
+    }
+  }
+
+  try {
+    writeTheme('packed', {
+      'theme.json': {
+        name: 'Packed',
+        version: '2.1.0',
+        author: { name: 'Ann', email: 'ann@example.com' },
+        description: 'Manifest description',
+        volume: 0.4,
+        output_style: 'styles/packed.md',
+        sounds: {
+          Stop: ['sfx/stop-1.wav', 'sfx/stop-2.wav'],
+          'PreToolUse.Bash': 'sfx/shell.mp3'
+        }
+      },
+      'README.md': '# README description',
+      'PreToolUse.wav': '',
+      'sfx/stop-1.wav': '',
+      'sfx/stop-2.wav': '',
+      'sfx/shell.mp3': '',
+      'styles/packed.md': '# Packed style'
+    });
+    writeTheme('plain', { 'README.md': '# Plain theme', 'Stop.wav': '' });
+
+    // Test 1: Metadata comes from the manifest
+    const packed = await themeManager.get('packed');
+    check('Manifest name and version read', packed.displayName === 'Packed' && packed.version === '2.1.0');
+    check('Author object formatted', packed.author === 'Ann <ann@example.com>');
+    check('Manifest description wins over README', packed.description === 'Manifest description');
+    check('Theme volume read', packed.volume === 0.4);
+    check('Linked output style found', packed.hasOutputStyle &&
+      await themeManager.getOutputStylePath('packed') === path.join(themesDir, 'packed', 'styles', 'packed.md'));
+
+    // Test 2: Mapped sounds are listed by hook name, alongside convention files
+    check('Mapped and convention sounds listed',
+      ['Stop', 'PreToolUse.Bash', 'PreToolUse'].every(sound => packed.soundFiles.includes(sound)));
+    check('Mapped files not listed by filename', !packed.soundFiles.includes('stop-1'));
+    check('Mapped tool variant listed',
+      JSON.stringify(await themeManager.getToolVariants('packed', 'PreToolUse')) === '["Bash"]');
+
+    // Test 3: Lookup prefers the manifest and falls back to filenames
+    check('Mapped sound resolved', await themeManager.getSoundPath('packed', 'Stop') ===
+      path.join(themesDir, 'packed', 'sfx', 'stop-1.wav'));
+    check('Mapped tool sound resolved', await themeManager.getSoundPath('packed', 'PreToolUse', 'Bash') ===
+      path.join(themesDir, 'packed', 'sfx', 'shell.mp3'));
+    check('Unmapped sound found by filename', await themeManager.getSoundPath('packed', 'PreToolUse', 'Edit') ===
+      path.join(themesDir, 'packed', 'PreToolUse.wav'));
+
+    // Test 4: Themes without a manifest work as before
+    const plain = await themeManager.get('plain');
+    check('README description without manifest', plain.description === 'Plain theme' && plain.version === null);
+    check('Plain theme valid', (await themeManager.validateTheme(path.join(themesDir, 'plain'))).valid);
+    check('Packed theme valid', (await themeManager.validateTheme(path.join(themesDir, 'packed'))).valid);
+
+    // Test 5: Broken manifests are reported by validateTheme
+    writeTheme('broken', {
+      'theme.json': { volume: 3, sounds: { Stop: 'missing.wav', SessionStart: '../escape.wav', Bogus: 'Stop.wav' } },
+      'Stop.wav': ''
+    });
+    const validation = await themeManager.validateTheme(path.join(themesDir, 'broken'));
+    check('Broken manifest invalid', !validation.valid);
+    check('Out-of-range volume reported', validation.errors.some(error => /volume/.test(error)));
+    check('Missing mapped file reported', validation.errors.some(error => /missing\.wav/.test(error)));
+    check('Path outside theme reported', validation.errors.some(error => /SessionStart/.test(error)));
+    check('Unknown hook warned', validation.warnings.some(error => /Bogus/.test(error)));
+
+    writeTheme('garbled', { 'theme.json': '{ not json', 'Stop.wav': '' });
+    check('Unparsable manifest invalid',
+      !(await themeManager.validateTheme(path.join(themesDir, 'garbled'))).valid);
+
+    // Test 6: The runtime reader ignores unusable entries
+    const { manifest } = ThemeManifest.normalizeManifest({ sounds: { Stop: [] }, author: 42 });
+    check('Empty sound list dropped', !('Stop' in manifest.sounds) && manifest.author === null);
+  } catch (error) {
+    console.log(`${FAILED} Theme manifest test failed: ${error.message}`);
+    failed++;
+  } finally {
+    fs.rmSync(themesDir, { recursive: true, force: true });
+  }
+
+  console.log(`\n📊 Theme Manifest Test Results: ${passed} passed, ${failed} failed`);
+  if (failed > 0) {
+    process.exit(1);
+  }
+}
+
+await testThemeManifest();
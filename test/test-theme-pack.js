@@ -0,0 +1,116 @@
+#!/usr/bin/env node
+
+/**
+ * Test packing themes into archives and installing them back
+ * Runs against a temporary HOME so real themes are never touched
+ */
+
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import { ClaudeSound } from '../lib/orchestrator.js';
+import { ThemeArchive } from '../lib/core/archive.js';
+import { Paths } from '../lib/utils.js';
+
+const SUCCESS = '✅';
+const FAILED = '❌';
+
+async function testThemePack() {
+  console.log('🧪 Testing theme pack...\n');
+
+  const originalHome = process.env.HOME;
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-gamify-pack-'));
+  const homeDir = path.join(tmpDir, 'home');
+  const outputDir = path.join(tmpDir, 'out');
+  fs.mkdirSync(homeDir);
+  fs.mkdirSync(outputDir);
+  process.env.HOME = homeDir;
+
+  let passed = 0;
+  let failed = 0;
+
+  function check(name, condition) {
+    if (condition) {
+      console.log(`${SUCCESS} ${name}`);
+      passed++;
+    } else {
+      console.log(`${FAILED} ${name}`);
+      failed++;
+    }
+  }
+
+  async function rejects(promise, pattern) {
+    try {
+      await promise;
+      return false;
+    } catch (error) {
+      return pattern.test(error.message);
+    }
+  }
+
+  function writeTheme(name, files) {
+    for (const [file, content] of Object.entries(files)) {
+      const filePath = path.join(Paths.themesDir, name, file);
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, typeof content === 'string' ? content : JSON.stringify(content));
+    }
+  }
+
+  const longName = `sfx/${'nested-directory/'.repeat(6)}stop.wav`;
+
+  try {
+    await new ClaudeSound().init();
+    const manager = new ClaudeSound();
+    await manager.initialize();
+
+    writeTheme('arcade', {
+      'theme.json': { name: 'Arcade', version: '1.2.0', sounds: { Stop: longName } },
+      'README.md': '# Arcade',
+      'SessionStart.wav': 'start',
+      [longName]: 'stop',
+      'output-style.md': '# Arcade style'
+    });
+
+    // Test 1: Packing writes a versioned archive and a checksum file
+    const result = await manager.packTheme('arcade', { output: outputDir });
+    check('Versioned archive name', result.archivePath === path.join(outputDir, 'arcade-1.2.0.tgz'));
+    check('Checksum file written', fs.readFileSync(result.checksumPath, 'utf8') ===
+      `${result.checksum}  arcade-1.2.0.tgz\n`);
+    check('Checksum matches archive', await ThemeArchive.verifyChecksum(result.archivePath));
+    check('Manifest and output style included',
+      result.files.includes('theme.json') && result.files.includes('output-style.md'));
+
+    // Test 2: The archive installs back with identical files
+    const installed = await manager.installTheme(result.archivePath, { name: 'arcade-copy' });
+    check('Round trip installs the theme', installed.name === 'arcade-copy' && installed.checksumVerified);
+    check('Long paths preserved',
+      fs.readFileSync(path.join(Paths.themesDir, 'arcade-copy', longName), 'utf8') === 'stop');
+    check('Output style installed', fs.existsSync(path.join(Paths.claudeOutputStylesDir, 'arcade-copy.md')));
+
+    // Test 3: Tampered archives are rejected
+    fs.writeFileSync(result.checksumPath, `${'0'.repeat(64)}  arcade-1.2.0.tgz\n`);
+    check('Checksum mismatch rejected',
+      await rejects(manager.installTheme(result.archivePath, { name: 'tampered' }), /Checksum mismatch/));
+    check('Tampered theme not installed', !fs.existsSync(path.join(Paths.themesDir, 'tampered')));
+
+    // Test 4: Invalid themes and bad output names are refused
+    writeTheme('broken', { 'theme.json': '{ not json', 'Stop.wav': 'x' });
+    check('Invalid theme refused', await rejects(manager.packTheme('broken', { output: outputDir }), /not valid/));
+    check('Missing theme refused', await rejects(manager.packTheme('nope', { output: outputDir }), /not found/i));
+    check('Non-.tgz output refused', await rejects(
+      manager.packTheme('arcade', { output: path.join(outputDir, 'arcade.zip') }), /\.tgz/));
+  } catch (error) {
+    console.log(`${FAILED} Theme pack test failed: ${error.message}`);
+    failed++;
+  } finally {
+    process.env.HOME = originalHome;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+
+  console.log(`\n📊 Theme Pack Test Results: ${passed} passed, ${failed} failed`);
+  if (failed > 0) {
+    process.exit(1);
+  }
+}
+
+await testThemePack();
@@ -0,0 +1,145 @@
+#!/usr/bin/env node
+
+/**
+ * Test tool-specific sound lookup: tool_sounds pattern matching, the order
+ * sounds are tried in, tool variants of themes, and that the sound runtime
+ * plays the file the CLI resolves
+ * Builds themes and a runtime install in a temporary directory; the audio
+ * player is a stub script
+ */
+
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import { spawnSync } from 'child_process';
+import { ThemeManager } from '../lib/core/themes.js';
+import { UpgradeManager } from '../lib/core/upgrade.js';
+import { SoundUtils, AudioBackends } from '../lib/utils.js';
+
+const SUCCESS = '✅';
+const FAILED = '❌';
+
+async function testToolSounds() {
+  console.log('🧪 Testing tool sounds...\n');
+
+  const tmpHome = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-gamify-toolsounds-'));
+  const gamifyDir = path.join(tmpHome, '.claude-gamify');
+  const themesDir = path.join(gamifyDir, 'themes');
+  const config = { tool_sounds: { 'mcp__*': 'mcp', 'Edit': 'write', 'Multi?dit': 'write' }, fallback_theme: 'base' };
+  const configManager = { get: key => config[key], getTheme: () => 'tools' };
+  const themeManager = new ThemeManager(themesDir, configManager);
+
+  let passed = 0;
+  let failed = 0;
+
+  function check(name, condition) {
+    if (condition) {
+      console.log(`${SUCCESS} ${name}`);
+      passed++;
+    } else {
+      console.log(`${FAILED} ${name}`);
+      failed++;
+    }
+  }
+
+  const touch = file => {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, '');
+  };
+
+  try {
+    // Test 1: Pattern matching
+    const match = SoundUtils.matchToolPattern;
+    check('Exact name matches', match('Bash', 'Bash') && !match('Bash', 'BashOutput'));
+    check('* matches any run of characters', match('mcp__*', 'mcp__github__search') && match('*', 'Read') &&
+      !match('mcp__*', 'Read'));
+    check('? matches one character', match('Multi?dit', 'MultiEdit') && !match('Multi?dit', 'MultiEEdit'));
+    check('Other characters are literal', !match('a.c', 'abc') && match('a.c', 'a.c') && match('(x)+', '(x)+'));
+
+    // Test 2: Candidates, most specific first
+    const candidates = (hook, tool) => SoundUtils.getSoundCandidates(hook, tool, config.tool_sounds).join();
+    check('Tool sound, mapped variant, then hook sound',
+      candidates('PreToolUse', 'mcp__github__search') === 'PreToolUse.mcp__github__search,PreToolUse.mcp,PreToolUse');
+    check('Variants of every matching pattern, in order',
+      SoundUtils.getSoundCandidates('PreToolUse', 'MultiEdit', { 'Multi*': 'multi', '*': 'any' }).join() ===
+      'PreToolUse.MultiEdit,PreToolUse.multi,PreToolUse.any,PreToolUse');
+    check('Fallback hook follows with its own tool candidates', candidates('PostToolUseError', 'Edit') ===
+      'PostToolUseError.Edit,PostToolUseError.write,PostToolUseError,PostToolUse.Edit,PostToolUse.write,PostToolUse');
+    check('No tool candidates without a tool', candidates('PreToolUse', null) === 'PreToolUse');
+    check('Hooks without tool variants ignore the tool', candidates('Stop', 'Bash') === 'Stop');
+    check('Duplicates listed once', SoundUtils.getSoundCandidates('PreToolUse', 'Edit', { Edit: 'Edit' }).join() ===
+      'PreToolUse.Edit,PreToolUse');
+
+    // Test 3: Tool variants of a theme and the themes it inherits from
+    touch(path.join(themesDir, 'base', 'PreToolUse.wav'));
+    touch(path.join(themesDir, 'base', 'PreToolUse.Read.wav'));
+    touch(path.join(themesDir, 'parent', 'PreToolUse.Grep.wav'));
+    touch(path.join(themesDir, 'parent', 'PostToolUse.wav'));
+    touch(path.join(themesDir, 'parent', 'PostToolUse.Edit.wav'));
+    touch(path.join(themesDir, 'tools', 'PreToolUse.Bash.wav'));
+    touch(path.join(themesDir, 'tools', 'PreToolUse.mcp.wav'));
+    touch(path.join(themesDir, 'tools', 'PostToolUse.write.wav'));
+    fs.writeFileSync(path.join(themesDir, 'tools', 'theme.json'), JSON.stringify({ extends: 'parent' }));
+
+    check('Own and inherited tool variants listed, sorted',
+      (await themeManager.getToolVariants('tools', 'PreToolUse')).join() === 'Bash,Grep,Read,mcp');
+    check('Variants stop at the first theme with the plain sound',
+      (await themeManager.getToolVariants('tools', 'PostToolUse')).join() === 'Edit,write');
+    check('No variants for other hooks', (await themeManager.getToolVariants('tools', 'Stop')).length === 0);
+
+    // Test 4: The runtime plays the file the CLI resolves
+    const player = AudioBackends.getPlatformBackends()[0];
+    if (!player) {
+      console.log('   (no audio backend on this platform, runtime check skipped)');
+    } else {
+      UpgradeManager.runtimeFiles.forEach(file => fs.copyFileSync(file.src, path.join(gamifyDir, file.name)));
+      fs.writeFileSync(path.join(gamifyDir, 'config.json'), JSON.stringify({
+        theme: 'tools',
+        fallback_theme: 'base',
+        tool_sounds: config.tool_sounds,
+        sound_cooldowns: { pre_tool_use: 0, post_tool_use: 0, post_tool_use_error: 0 },
+        max_concurrent_sounds: 0
+      }));
+
+      const binDir = path.join(tmpHome, 'bin');
+      const log = path.join(tmpHome, 'plays.log');
+      fs.mkdirSync(binDir);
+      fs.writeFileSync(path.join(binDir, player.name), `#!/bin/sh\nfor arg; do last="$arg"; done\necho "$last" >> "${log}"\n`);
+      fs.chmodSync(path.join(binDir, player.name), 0o755);
+
+      const played = (hook, toolName) => {
+        fs.rmSync(log, { force: true });
+        spawnSync(process.execPath, [path.join(gamifyDir, 'play_sound.js'), hook], {
+          env: { ...process.env, HOME: tmpHome, PATH: `${binDir}${path.delimiter}${process.env.PATH}` },
+          input: JSON.stringify({ hook_event_name: hook, tool_name: toolName, cwd: tmpHome }),
+          timeout: 10000
+        });
+        // The player is started detached
+        const deadline = Date.now() + 3000;
+        while (!fs.existsSync(log) && Date.now() < deadline) {
+          Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, 50);
+        }
+        return fs.existsSync(log) ? fs.readFileSync(log, 'utf8').trim() : null;
+      };
+
+      for (const [hook, toolName] of [['PreToolUse', 'mcp__github__search'], ['PreToolUse', 'Read'],
+        ['PostToolUse', 'MultiEdit'], ['PostToolUse', 'Edit']]) {
+        const expected = await themeManager.getSoundPath('tools', hook, toolName);
+        check(`Runtime and CLI agree on ${hook} ${toolName} (${path.basename(expected)})`,
+          played(hook, toolName) === expected);
+      }
+    }
+  } catch (error) {
+    console.log(`${FAILED} Tool sounds test failed: ${error.message}`);
+    failed++;
+  } finally {
+    fs.rmSync(tmpHome, { recursive: true, force: true });
+  }
+
+  console.log(`\n📊 Tool Sounds Test Results: ${passed} passed, ${failed} failed`);
+  if (failed > 0) {
+    process.exit(1);
+  }
+}
+
+await testToolSounds();